@@ -7,6 +7,17 @@ const API_CONFIG = {
     ALPHA_VANTAGE_KEY: 'YOUR_ALPHA_VANTAGE_KEY_HERE',
     ALPHA_VANTAGE_URL: 'https://www.alphavantage.co/query',
     
+    // Optional alternative stock data providers, tried when Alpha Vantage fails
+    // Twelve Data: https://twelvedata.com/pricing  Finnhub: https://finnhub.io/register
+    TWELVE_DATA_KEY: 'YOUR_TWELVE_DATA_KEY_HERE',
+    TWELVE_DATA_URL: 'https://api.twelvedata.com',
+    FINNHUB_KEY: 'YOUR_FINNHUB_KEY_HERE',
+    FINNHUB_URL: 'https://finnhub.io/api/v1',
+    
+    // Order in which market data providers are tried; add 'local' for the fixture files
+    MARKET_DATA_PROVIDERS: ['alpha_vantage', 'twelve_data', 'finnhub'],
+    LOCAL_DATA_URL: 'fixtures/market-data',
+    
     // ExchangeRate-API for currency data (free tier doesn't require API key)
     EXCHANGE_RATE_URL: 'https://api.exchangerate-api.com/v4/latest',
     
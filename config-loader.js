@@ -20,6 +20,9 @@ class ConfigLoader {
             if (typeof process !== 'undefined' && process.env) {
                 this.config = {
                     ALPHA_VANTAGE_KEY: process.env.ALPHA_VANTAGE_KEY,
+                    TWELVE_DATA_KEY: process.env.TWELVE_DATA_KEY,
+                    FINNHUB_KEY: process.env.FINNHUB_KEY,
+                    MARKET_DATA_PROVIDERS: process.env.MARKET_DATA_PROVIDERS,
                     EXCHANGE_RATE_KEY: process.env.EXCHANGE_RATE_KEY,
                     NEWS_API_KEY: process.env.NEWS_API_KEY
                 };
@@ -64,7 +67,7 @@ class ConfigLoader {
         if (savedKeys) {
             try {
                 const keys = JSON.parse(savedKeys);
-                if (keys.ALPHA_VANTAGE_KEY && keys.NEWS_API_KEY) {
+                if (this.hasMarketDataSource(keys) && keys.NEWS_API_KEY) {
                     console.log('✅ Found valid saved configuration');
                     this.config = keys;
                     return;
@@ -89,13 +92,28 @@ class ConfigLoader {
         modal.innerHTML = `
             <div class="config-content">
                 <h3>🔐 API Configuration Required</h3>
-                <p>Please enter your API keys to use the application:</p>
+                <p>Please enter your API keys to use the application (at least one market data key):</p>
                 <form id="configForm">
                     <div class="config-field">
                         <label>Alpha Vantage API Key:</label>
-                        <input type="password" id="alphaKey" placeholder="Your Alpha Vantage API key" required>
+                        <input type="password" id="alphaKey" placeholder="Your Alpha Vantage API key">
                         <small>Get it from: <a href="https://www.alphavantage.co/support/#api-key" target="_blank">alphavantage.co</a></small>
                     </div>
+                    <div class="config-field">
+                        <label>Twelve Data API Key:</label>
+                        <input type="password" id="twelveDataKey" placeholder="Your Twelve Data API key (optional)">
+                        <small>Get it from: <a href="https://twelvedata.com/pricing" target="_blank">twelvedata.com</a></small>
+                    </div>
+                    <div class="config-field">
+                        <label>Finnhub API Key:</label>
+                        <input type="password" id="finnhubKey" placeholder="Your Finnhub API key (optional)">
+                        <small>Get it from: <a href="https://finnhub.io/register" target="_blank">finnhub.io</a></small>
+                    </div>
+                    <div class="config-field">
+                        <label>Market Data Provider Order:</label>
+                        <input type="text" id="providerOrder" placeholder="alpha_vantage,twelve_data,finnhub">
+                        <small>Providers are tried in this order; add "local" to use the fixture files</small>
+                    </div>
                     <div class="config-field">
                         <label>News API Key:</label>
                         <input type="password" id="newsKey" placeholder="Your News API key" required>
@@ -109,6 +127,7 @@ class ConfigLoader {
                     <div class="config-actions">
                         <button type="submit" class="save-config-btn">💾 Save Configuration</button>
                         <button type="button" onclick="useDemo()" class="demo-btn">🎮 Use Demo Mode</button>
+                        <button type="button" onclick="useFixtures()" class="demo-btn">📁 Use Offline Fixtures</button>
                     </div>
                 </form>
             </div>
@@ -122,65 +141,92 @@ class ConfigLoader {
             this.saveConfiguration(resolvePromise);
         });
 
-        // Add demo mode function to window
+        // Add demo mode functions to window
         window.useDemo = () => {
-            try {
-                this.config = {
-                    ALPHA_VANTAGE_KEY: 'DEMO_MODE',
-                    EXCHANGE_RATE_KEY: 'DEMO_MODE', 
-                    NEWS_API_KEY: 'DEMO_MODE'
-                };
-                
-                localStorage.setItem('api_keys_configured', JSON.stringify(this.config));
-                
-                // Verify save
-                const saved = localStorage.getItem('api_keys_configured');
-                if (saved) {
-                    console.log('✅ Demo mode configuration saved');
+            this.applyPreset({
+                ALPHA_VANTAGE_KEY: 'DEMO_MODE',
+                EXCHANGE_RATE_KEY: 'DEMO_MODE', 
+                NEWS_API_KEY: 'DEMO_MODE'
+            }, '🎮 Demo mode activated! Loading application...', resolvePromise);
+        };
+
+        // Market data from the local fixture files; news and exchange rates stay in demo mode
+        window.useFixtures = () => {
+            this.applyPreset({
+                ALPHA_VANTAGE_KEY: 'DEMO_MODE',
+                EXCHANGE_RATE_KEY: 'DEMO_MODE',
+                NEWS_API_KEY: 'DEMO_MODE',
+                MARKET_DATA_PROVIDERS: 'local'
+            }, '📁 Offline fixtures activated! Loading application...', resolvePromise);
+        };
+    }
+
+    // Save a preset configuration from the modal and reload
+    applyPreset(preset, message, resolvePromise) {
+        try {
+            this.config = preset;
+            
+            localStorage.setItem('api_keys_configured', JSON.stringify(this.config));
+            
+            // Verify save
+            const saved = localStorage.getItem('api_keys_configured');
+            if (saved) {
+                console.log('✅ Preset configuration saved');
+                const modal = document.querySelector('.config-modal');
+                if (modal) {
                     modal.remove();
-                    
-                    // Resolve the promise to continue initialization
-                    if (resolvePromise) {
-                        resolvePromise();
-                    }
-                    
-                    // Show demo mode message
-                    const demoMsg = document.createElement('div');
-                    demoMsg.style.cssText = `
-                        position: fixed; top: 20px; right: 20px; z-index: 9999;
-                        background: #ffc107; color: #333; padding: 15px 20px;
-                        border-radius: 8px; font-weight: bold; box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-                    `;
-                    demoMsg.textContent = '🎮 Demo mode activated! Loading application...';
-                    document.body.appendChild(demoMsg);
-                    
-                    setTimeout(() => {
-                        window.location.reload();
-                    }, 1500);
-                } else {
-                    throw new Error('Demo mode save failed');
                 }
-            } catch (error) {
-                console.error('❌ Failed to set demo mode:', error);
-                alert('❌ Failed to activate demo mode. Please try again.');
+                
+                // Resolve the promise to continue initialization
+                if (resolvePromise) {
+                    resolvePromise();
+                }
+                
+                // Show demo mode message
+                const demoMsg = document.createElement('div');
+                demoMsg.style.cssText = `
+                    position: fixed; top: 20px; right: 20px; z-index: 9999;
+                    background: #ffc107; color: #333; padding: 15px 20px;
+                    border-radius: 8px; font-weight: bold; box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+                `;
+                demoMsg.textContent = message;
+                document.body.appendChild(demoMsg);
+                
+                setTimeout(() => {
+                    window.location.reload();
+                }, 1500);
+            } else {
+                throw new Error('Demo mode save failed');
             }
-        };
+        } catch (error) {
+            console.error('❌ Failed to set demo mode:', error);
+            alert('❌ Failed to activate demo mode. Please try again.');
+        }
     }
 
     // Save user configuration
     saveConfiguration(resolvePromise) {
         const alphaKey = document.getElementById('alphaKey').value.trim();
+        const twelveDataKey = document.getElementById('twelveDataKey').value.trim();
+        const finnhubKey = document.getElementById('finnhubKey').value.trim();
+        const providerOrder = document.getElementById('providerOrder').value.replace(/\s+/g, '');
         const newsKey = document.getElementById('newsKey').value.trim();
         const exchangeKey = document.getElementById('exchangeKey').value.trim() || 'not_required';
 
-        if (!alphaKey || !newsKey) {
-            alert('❌ Please enter at least Alpha Vantage and News API keys');
+        const keys = {
+            ALPHA_VANTAGE_KEY: alphaKey,
+            TWELVE_DATA_KEY: twelveDataKey,
+            FINNHUB_KEY: finnhubKey,
+            MARKET_DATA_PROVIDERS: providerOrder
+        };
+        if (!this.hasMarketDataSource(keys) || !newsKey) {
+            alert('❌ Please enter at least one market data key and the News API key');
             return false;
         }
 
         try {
             this.config = {
-                ALPHA_VANTAGE_KEY: alphaKey,
+                ...keys,
                 EXCHANGE_RATE_KEY: exchangeKey,
                 NEWS_API_KEY: newsKey
             };
@@ -230,10 +276,24 @@ class ConfigLoader {
         }
     }
 
+    // Check for at least one market data provider key, or the local fixtures in the provider order
+    hasMarketDataSource(config) {
+        return Boolean(config.ALPHA_VANTAGE_KEY || config.TWELVE_DATA_KEY || config.FINNHUB_KEY) ||
+            this.parseProviderOrder(config.MARKET_DATA_PROVIDERS).includes('local');
+    }
+
+    // Split a comma-separated provider order such as "finnhub,alpha_vantage"
+    parseProviderOrder(value) {
+        return String(value || '').split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+    }
+
     // Validate that all required configuration is present
     validateConfig() {
-        const required = ['ALPHA_VANTAGE_KEY', 'NEWS_API_KEY'];
+        const required = ['NEWS_API_KEY'];
         const missing = required.filter(key => !this.config[key] || this.config[key] === '');
+        if (!this.hasMarketDataSource(this.config)) {
+            missing.push('ALPHA_VANTAGE_KEY, TWELVE_DATA_KEY or FINNHUB_KEY');
+        }
         
         if (missing.length > 0) {
             console.warn('Missing required API keys:', missing);
@@ -246,10 +306,22 @@ class ConfigLoader {
     // Get API configuration
     getConfig() {
         return {
+            // Market data providers, tried in this order (defaults to Alpha Vantage, Twelve Data, Finnhub)
+            MARKET_DATA_PROVIDERS: this.parseProviderOrder(this.config.MARKET_DATA_PROVIDERS),
+            
             // Alpha Vantage API for stock data
             ALPHA_VANTAGE_KEY: this.config.ALPHA_VANTAGE_KEY,
             ALPHA_VANTAGE_URL: 'https://www.alphavantage.co/query',
             
+            // Twelve Data and Finnhub as alternative stock data providers
+            TWELVE_DATA_KEY: this.config.TWELVE_DATA_KEY,
+            TWELVE_DATA_URL: 'https://api.twelvedata.com',
+            FINNHUB_KEY: this.config.FINNHUB_KEY,
+            FINNHUB_URL: 'https://finnhub.io/api/v1',
+            
+            // Fixture files for working offline (provider "local")
+            LOCAL_DATA_URL: 'fixtures/market-data',
+            
             // ExchangeRate-API for currency data
             EXCHANGE_RATE_URL: 'https://api.exchangerate-api.com/v4/latest',
             EXCHANGE_RATE_KEY: this.config.EXCHANGE_RATE_KEY,
@@ -265,6 +337,12 @@ class ConfigLoader {
         return this.config.ALPHA_VANTAGE_KEY === 'DEMO_MODE';
     }
 
+    // Check if market data comes only from the local fixture files
+    isFixtureMode() {
+        const order = this.parseProviderOrder(this.config.MARKET_DATA_PROVIDERS);
+        return order.length === 1 && order[0] === 'local';
+    }
+
     // Clear stored configuration (for development)
     clearConfig() {
         try {
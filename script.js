@@ -5,7 +5,7 @@
  * Date: November 25, 2025
  * 
  * A comprehensive financial application integrating multiple APIs:
- * - Alpha Vantage API for real-time stock data
+ * - Alpha Vantage API for real-time stock data (Twelve Data, Finnhub or local fixtures as alternatives)
  * - NewsAPI for financial news
  * - ExchangeRate-API for currency conversion
  */
@@ -20,9 +20,16 @@ const AppState = {
     configLoader: null,
     isConfigLoaded: false,
     isInitialized: false,
-    portfolio: JSON.parse(localStorage.getItem('portfolio')) || [],
+    portfolio: migratePortfolioData(JSON.parse(localStorage.getItem('portfolio'))),
+    portfolios: [],
+    activePortfolioId: null,
+    ledger: null,
     stockData: new Map(),
+    dividendData: new Map(),
     exchangeRates: {},
+    exchangeRatesSource: null,
+    exchangeRatesUpdated: null,
+    settings: loadPreferences(),
     currentSection: 'portfolio'
 };
 
@@ -31,44 +38,278 @@ const APP_CONSTANTS = {
     CACHE: {
         STOCK_DURATION: 60000,      // 1 minute for real-time data
         NEWS_DURATION: 300000,      // 5 minutes for news
-        EXCHANGE_DURATION: 300000,  // 5 minutes for rates
+        EXCHANGE_DURATION: 240000,  // 4 minutes for rates, so each 5-minute refresh fetches
         MOCK_DURATION: 30000,       // 30 seconds for mock data
         ERROR_DURATION: 10000,      // 10 seconds for error fallbacks
+        HISTORY_DURATION: 21600000, // 6 hours for daily price series
+        INTRADAY_DURATION: 900000,  // 15 minutes for intraday series
+        DIVIDEND_DURATION: 86400000, // 1 day for dividend history
+        OVERVIEW_DURATION: 86400000, // 1 day for company fundamentals
+        SEARCH_DURATION: 604800000, // 7 days for stored symbol searches
         MAX_SIZE: 100,              // Maximum cached items
-        CLEANUP_INTERVAL: 600000    // 10 minutes cleanup cycle
+        MAX_BYTES: 2097152,         // 2 MB of cached JSON in memory
+        // Item limits per namespace, so long price series cannot crowd out quotes
+        NAMESPACE_LIMITS: { quotes: 60, history: 30, fundamentals: 30, news: 8, rates: 2 },
+        CLEANUP_INTERVAL: 600000,   // 10 minutes cleanup cycle
+        STALE_MAX_AGE: 604800000,   // 7 days: older saved data is deleted rather than shown
+        DB_NAME: 'financeTrackerCache',
+        // Namespace of each cache key prefix; only these are saved in IndexedDB, one object store each
+        NAMESPACES: {
+            stock_: 'quotes',
+            history_: 'history',
+            dividends_: 'fundamentals',
+            overview_: 'fundamentals',
+            news_: 'news',
+            rates_: 'rates'
+        }
     },
     API: {
         TIMEOUT: 10000,             // 10 seconds API timeout
         RETRY_ATTEMPTS: 3,          // Number of retry attempts
-        RETRY_DELAY: 1000           // 1 second between retries
+        RETRY_DELAY: 1000,          // First retry after about 1 second, doubling each time
+        RETRY_MAX_DELAY: 30000,     // Longest wait between attempts, including Retry-After
+        RETRYABLE_STATUSES: [408, 429, 500, 502, 503, 504]
     },
     DEFAULT_STOCKS: ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA'], // Default portfolio
     VALIDATION: {
-        MAX_SYMBOL_LENGTH: 10,
+        MAX_SYMBOL_LENGTH: 15,
         MAX_AMOUNT: 1000000000,
         MAX_INPUT_LENGTH: 50,
-        STOCK_SYMBOL_PATTERN: /^[A-Za-z.]{1,10}$/
+        // Ticker, optional share class and optional exchange suffix, e.g. BRK-B, 0700.HK, RELIANCE.NSE;
+        // each exchange then checks the ticker against its own format
+        STOCK_SYMBOL_PATTERN: /^[A-Za-z0-9]{1,10}([.-][A-Za-z]{1,2})?(\.[A-Za-z]{1,3})?$/,
+        // Crypto assets are held as pairs of asset and quote currency, e.g. BTC-USD
+        CRYPTO_SYMBOL_PATTERN: /^[A-Za-z0-9]{2,6}-[A-Za-z]{3}$/
+    },
+    LEDGER: {
+        TRANSACTION_TYPES: ['BUY', 'SELL', 'DIVIDEND', 'FEE', 'SPLIT'],
+        LOT_METHODS: ['FIFO', 'LIFO', 'SPECIFIC'],
+        DEFAULT_LOT_METHOD: 'FIFO',
+        // Same-day ordering: buys and splits settle before income and sales
+        TYPE_ORDER: { BUY: 0, SPLIT: 1, DIVIDEND: 2, FEE: 3, SELL: 4 }
+    },
+    HISTORY: {
+        // Look-back in days per period; null periods are resolved at runtime
+        PERIODS: { '1W': 7, '1M': 30, 'YTD': null, '1Y': 365, 'ALL': null },
+        MAX_POINTS: 1830,           // About five years of daily snapshots
+        BACKFILL_DAYS: 140,         // Calendar days covered by a compact daily series
+        INTRADAY_INTERVAL: '60min',
+        SPARKLINE_DAYS: 30,
+        // Price chart ranges: intraday ranges count trading days, daily ranges calendar days
+        CHART_RANGES: {
+            '1D': { interval: '60min', days: 1 },
+            '5D': { interval: '60min', days: 5 },
+            '1M': { interval: 'daily', days: 30 },
+            '3M': { interval: 'daily', days: 90 },
+            'MAX': { interval: 'daily', days: null }
+        }
+    },
+    DIVIDENDS: {
+        MATCH_WINDOW_DAYS: 10,      // Ledger entries this close to a payment date count as recording it
+        PROJECTION_MONTHS: 12
+    },
+    ALERTS: {
+        TYPES: ['PRICE_ABOVE', 'PRICE_BELOW', 'CHANGE_BEYOND', 'MA_CROSS'],
+        COOLDOWN: 3600000,          // 1 hour before the same rule fires again
+        SNOOZE_DURATION: 86400000,  // Snoozing silences a rule for 24 hours
+        MIN_MA_PERIOD: 5,
+        MAX_MA_PERIOD: 100,         // Limited by the compact daily series
+        MAX_LOG_ENTRIES: 50
+    },
+    CRYPTO: {
+        // Name and approximate USD price of common assets, for search suggestions and demo data
+        ASSETS: {
+            'BTC': ['Bitcoin', 65000], 'ETH': ['Ethereum', 3200], 'SOL': ['Solana', 150],
+            'XRP': ['XRP', 0.55], 'ADA': ['Cardano', 0.45], 'DOGE': ['Dogecoin', 0.15],
+            'LTC': ['Litecoin', 80], 'DOT': ['Polkadot', 7], 'AVAX': ['Avalanche', 35], 'LINK': ['Chainlink', 15]
+        },
+        MOCK_VOLATILITY: 0.035      // Daily moves of demo crypto series
+    },
+    REBALANCE: {
+        GROUPS: ['holding', 'assetClass'],
+        DEFAULT_TOLERANCE: 5,       // Percentage points of drift allowed before trades are suggested
+        FRACTIONAL_DIGITS: 4        // Share precision for fractional trades
+    },
+    RISK: {
+        TRADING_DAYS: 252,          // Annualization factor for daily returns
+        RISK_FREE_RATE: 0.04,       // Annual rate used by the Sharpe and Sortino ratios
+        MIN_OBSERVATIONS: 20        // Daily returns needed before figures are shown
+    },
+    PROVIDERS: {
+        // Market data providers tried in turn when MARKET_DATA_PROVIDERS is not configured;
+        // 'local' (fixture files) is only used when listed there
+        DEFAULT_ORDER: ['alpha_vantage', 'twelve_data', 'finnhub'],
+        // Free-tier budgets; requests beyond them wait in the queue (null: no limit)
+        BUDGETS: {
+            'alpha_vantage': { perMinute: 5, perDay: 25 },
+            'twelve_data': { perMinute: 8, perDay: 800 },
+            'finnhub': { perMinute: 60, perDay: null }
+        },
+        // Queue order: what the user just asked for, cards on screen, other holdings, background work
+        PRIORITY: { USER: 0, VISIBLE: 1, NORMAL: 2, BACKGROUND: 3 },
+        QUOTA_WARNING: 0.2,         // Highlight a provider's quota when less than this share is left
+        INITIAL_VISIBLE_CARDS: 6,   // Cards treated as on screen before any have been drawn
+        RENDER_DELAY: 250           // Quotes arriving within this many ms share one re-render
+    },
+    SEARCH: {
+        MIN_QUERY_LENGTH: 1,
+        MAX_RESULTS: 8,
+        MAX_RECENT: 30              // Searches kept in localStorage
+    },
+    // Listing venues keyed by the symbol suffix stored for them (Alpha Vantage's where it has one).
+    // Aliases are other common suffixes accepted on input, ticker the format before the suffix,
+    // and minorUnits the divisor for venues that quote in pence rather than pounds. Hours are
+    // the regular session in the exchange's time zone; calendar names its holiday rules.
+    EXCHANGES: {
+        'US': { name: 'US', currency: 'USD', aliases: [], ticker: /^[A-Z]{1,6}(-[A-Z]{1,2})?$/,
+            timeZone: 'America/New_York', hours: ['09:30', '16:00'], extendedHours: ['04:00', '20:00'], calendar: 'NYSE' },
+        'LON': { name: 'London', currency: 'GBP', minorUnits: 100, aliases: ['L'], ticker: /^[A-Z0-9]{1,5}$/,
+            timeZone: 'Europe/London', hours: ['08:00', '16:30'], calendar: 'LSE' },
+        'TRT': { name: 'Toronto', currency: 'CAD', aliases: ['TO'], ticker: /^[A-Z]{1,5}(-[A-Z]{1,2})?$/,
+            timeZone: 'America/Toronto', hours: ['09:30', '16:00'], calendar: 'TSX' },
+        'TRV': { name: 'TSX Venture', currency: 'CAD', aliases: ['V'], ticker: /^[A-Z]{1,5}(-[A-Z]{1,2})?$/,
+            timeZone: 'America/Toronto', hours: ['09:30', '16:00'], calendar: 'TSX' },
+        'DEX': { name: 'XETRA', currency: 'EUR', aliases: ['DE'], ticker: /^[A-Z0-9]{1,6}$/,
+            timeZone: 'Europe/Berlin', hours: ['09:00', '17:30'], calendar: 'XETRA' },
+        'FRK': { name: 'Frankfurt', currency: 'EUR', aliases: ['F'], ticker: /^[A-Z0-9]{1,6}$/,
+            timeZone: 'Europe/Berlin', hours: ['08:00', '22:00'], calendar: 'XETRA' },
+        'PAR': { name: 'Paris', currency: 'EUR', aliases: ['PA'], ticker: /^[A-Z0-9]{1,6}$/,
+            timeZone: 'Europe/Paris', hours: ['09:00', '17:30'], calendar: 'EURONEXT' },
+        'AMS': { name: 'Amsterdam', currency: 'EUR', aliases: ['AS'], ticker: /^[A-Z0-9]{1,6}$/,
+            timeZone: 'Europe/Amsterdam', hours: ['09:00', '17:30'], calendar: 'EURONEXT' },
+        'SW': { name: 'SIX Swiss', currency: 'CHF', aliases: [], ticker: /^[A-Z0-9]{1,6}$/,
+            timeZone: 'Europe/Zurich', hours: ['09:00', '17:30'], calendar: 'SIX' },
+        'AX': { name: 'ASX', currency: 'AUD', aliases: ['ASX'], ticker: /^[A-Z0-9]{3}$/,
+            timeZone: 'Australia/Sydney', hours: ['10:00', '16:00'], calendar: 'ASX' },
+        'HK': { name: 'Hong Kong', currency: 'HKD', aliases: ['HKG'], ticker: /^[0-9]{4,5}$/,
+            timeZone: 'Asia/Hong_Kong', hours: ['09:30', '16:00'], calendar: 'HKEX' },
+        'T': { name: 'Tokyo', currency: 'JPY', aliases: ['TYO'], ticker: /^[0-9]{3}[0-9A-Z]$/,
+            timeZone: 'Asia/Tokyo', hours: ['09:00', '15:30'], calendar: 'JPX' },
+        'BSE': { name: 'Bombay', currency: 'INR', aliases: ['BO'], ticker: /^[A-Z0-9]{1,10}$/,
+            timeZone: 'Asia/Kolkata', hours: ['09:15', '15:30'], calendar: 'INDIA' },
+        'NSE': { name: 'India NSE', currency: 'INR', aliases: ['NS'], ticker: /^[A-Z0-9]{1,10}$/,
+            timeZone: 'Asia/Kolkata', hours: ['09:15', '15:30'], calendar: 'INDIA' },
+        'SHH': { name: 'Shanghai', currency: 'CNY', aliases: ['SS'], ticker: /^[0-9]{6}$/,
+            timeZone: 'Asia/Shanghai', hours: ['09:30', '15:00'], calendar: 'CHINA' },
+        'SHZ': { name: 'Shenzhen', currency: 'CNY', aliases: ['SZ'], ticker: /^[0-9]{6}$/,
+            timeZone: 'Asia/Shanghai', hours: ['09:30', '15:00'], calendar: 'CHINA' },
+        'SAO': { name: 'São Paulo', currency: 'BRL', aliases: ['SA'], ticker: /^[A-Z]{4}[0-9]{1,2}$/,
+            timeZone: 'America/Sao_Paulo', hours: ['10:00', '17:00'], calendar: 'B3' }
+    },
+    MARKET: {
+        // Auto-refresh cadence by the most active of the watched markets; closed markets are not polled
+        REFRESH_INTERVALS: {
+            open: 120000,           // 2 minutes during regular trading hours
+            extended: 600000,       // 10 minutes pre-market and after hours
+            closed: null
+        },
+        FX_REFRESH_INTERVAL: 300000, // Exchange rates trade around the clock on weekdays
+        STATUS_INTERVAL: 60000,     // How often market status is re-evaluated
+        // Holiday rules: 'MM-DD' fixed date, 'E+N' days from Easter Sunday, 'MM/D#N' the Nth
+        // weekday D (1 = Monday) of the month (N = -1 for the last), 'MM/D<DD' the last weekday D
+        // before day DD; weekday rules take an optional '+N' offset. Fixed dates that fall on a
+        // weekend move by `observe`: 'nearest' (Saturday to Friday, Sunday to Monday) or 'next'
+        // (the next weekday that is not already a holiday). Lunar-calendar holidays are not covered.
+        CALENDARS: {
+            NYSE: {
+                observe: 'nearest', earlyClose: '13:00',
+                holidays: ['01-01', '01/1#3', '02/1#3', 'E-2', '05/1#-1', '06-19', '07-04', '09/1#1', '11/4#4', '12-25'],
+                halfDays: ['07-03', '11/4#4+1', '12-24']
+            },
+            LSE: {
+                observe: 'next', earlyClose: '12:30',
+                holidays: ['01-01', 'E-2', 'E+1', '05/1#1', '05/1#-1', '08/1#-1', '12-25', '12-26'],
+                halfDays: ['12-24', '12-31']
+            },
+            TSX: {
+                observe: 'next', earlyClose: '13:00',
+                holidays: ['01-01', '02/1#3', 'E-2', '05/1<25', '07-01', '08/1#1', '09/1#1', '10/1#2', '12-25', '12-26'],
+                halfDays: ['12-24']
+            },
+            XETRA: { holidays: ['01-01', 'E-2', 'E+1', '05-01', '12-24', '12-25', '12-26', '12-31'] },
+            EURONEXT: {
+                earlyClose: '14:05',
+                holidays: ['01-01', 'E-2', 'E+1', '05-01', '12-25', '12-26'],
+                halfDays: ['12-24', '12-31']
+            },
+            SIX: { holidays: ['01-01', '01-02', 'E-2', 'E+1', 'E+39', 'E+50', '05-01', '08-01', '12-24', '12-25', '12-26', '12-31'] },
+            ASX: {
+                observe: 'next', earlyClose: '14:10',
+                holidays: ['01-01', '01-26', 'E-2', 'E+1', '04-25', '06/1#2', '12-25', '12-26'],
+                halfDays: ['12-24', '12-31']
+            },
+            HKEX: {
+                observe: 'next', earlyClose: '12:00',
+                holidays: ['01-01', 'E-2', 'E+1', '05-01', '07-01', '10-01', '12-25', '12-26'],
+                halfDays: ['12-24', '12-31']
+            },
+            JPX: { holidays: ['01-01', '01-02', '01-03', '01/1#2', '02-11', '02-23', '04-29', '05-03', '05-04', '05-05', '07/1#3', '09/1#3', '10/1#2', '11-03', '11-23', '12-31'] },
+            INDIA: { holidays: ['01-26', '05-01', '08-15', '10-02', '12-25'] },
+            CHINA: { holidays: ['01-01', '05-01', '05-02', '05-03', '10-01', '10-02', '10-03', '10-04', '10-05', '10-06', '10-07'] },
+            B3: { holidays: ['01-01', 'E-48', 'E-47', 'E-2', '04-21', '05-01', 'E+60', '09-07', '10-12', '11-02', '11-15', '11-20', '12-24', '12-25', '12-31'] }
+        }
     },
     UI: {
         ANIMATION_DURATION: 300,
         DEBOUNCE_DELAY: 500,
         ERROR_DISPLAY_TIME: 5000,
-        SUCCESS_DISPLAY_TIME: 3000
+        SUCCESS_DISPLAY_TIME: 3000,
+        CHART_COLORS: ['#3498db', '#e74c3c', '#f39c12', '#27ae60', '#9b59b6', '#1abc9c', '#34495e', '#e67e22', '#16a085', '#c0392b']
+    },
+    // Sector and asset class for common symbols; anything else is grouped as unclassified
+    SECURITY_PROFILES: {
+        'AAPL': { sector: 'Technology', assetClass: 'Stock' },
+        'MSFT': { sector: 'Technology', assetClass: 'Stock' },
+        'NVDA': { sector: 'Technology', assetClass: 'Stock' },
+        'AMD': { sector: 'Technology', assetClass: 'Stock' },
+        'CRM': { sector: 'Technology', assetClass: 'Stock' },
+        'GOOGL': { sector: 'Communication Services', assetClass: 'Stock' },
+        'META': { sector: 'Communication Services', assetClass: 'Stock' },
+        'NFLX': { sector: 'Communication Services', assetClass: 'Stock' },
+        'AMZN': { sector: 'Consumer Cyclical', assetClass: 'Stock' },
+        'TSLA': { sector: 'Consumer Cyclical', assetClass: 'Stock' },
+        'JPM': { sector: 'Financial Services', assetClass: 'Stock' },
+        'V': { sector: 'Financial Services', assetClass: 'Stock' },
+        'JNJ': { sector: 'Healthcare', assetClass: 'Stock' },
+        'XOM': { sector: 'Energy', assetClass: 'Stock' },
+        'SPY': { sector: 'Diversified', assetClass: 'ETF' },
+        'VOO': { sector: 'Diversified', assetClass: 'ETF' },
+        'VTI': { sector: 'Diversified', assetClass: 'ETF' },
+        'QQQ': { sector: 'Diversified', assetClass: 'ETF' },
+        'BND': { sector: 'Fixed Income', assetClass: 'Bond ETF' },
+        'AGG': { sector: 'Fixed Income', assetClass: 'Bond ETF' },
+        'GLD': { sector: 'Commodities', assetClass: 'Commodity ETF' }
     }
 };
 
 /**
  * Advanced Cache Management System
- * Implements intelligent caching with automatic cleanup and performance monitoring
+ * Implements intelligent caching with automatic cleanup and performance monitoring.
+ * Entries are evicted least recently used first, within an item limit per namespace and
+ * a byte budget for the whole cache. Live data is also written to a PersistentCache,
+ * when one is given, so it outlives a reload.
  */
 class CacheManager {
+    /**
+     * @param {Object} options - { maxSize, maxBytes, defaultDuration, namespaces: { keyPrefix: namespace },
+     *     namespaceLimits: { namespace: maxItems }, ttlPolicies: { keyPrefix: duration }, persistentStore }
+     */
     constructor(options = {}) {
+        // Map order is recency order: the first key is the least recently used
         this.cache = new Map();
         this.timestamps = new Map();
+        this.sizes = new Map();
+        this.totalBytes = 0;
         this.hitCount = 0;
         this.missCount = 0;
+        this.evictions = { capacity: 0, namespace: 0, bytes: 0, expired: 0 };
         this.maxSize = options.maxSize || APP_CONSTANTS.CACHE.MAX_SIZE;
+        this.maxBytes = options.maxBytes || APP_CONSTANTS.CACHE.MAX_BYTES;
         this.defaultDuration = options.defaultDuration || 300000;
+        this.namespaces = options.namespaces || {};
+        this.namespaceLimits = options.namespaceLimits || {};
+        this.ttlPolicies = options.ttlPolicies || {};
+        this.persistentStore = options.persistentStore || null;
         
         // Start periodic cleanup
         this.startCleanupInterval();
@@ -76,13 +317,62 @@ class CacheManager {
         console.log(`🗄️ CacheManager initialized with max size: ${this.maxSize}`);
     }
 
+    /**
+     * Longest key prefix configured in a { keyPrefix: setting } map
+     * @param {Object} settings - Settings by key prefix
+     * @param {string} key - Cache key
+     * @returns {string|null} Matching prefix, or null
+     */
+    static matchPrefix(settings, key) {
+        if (typeof key !== 'string') {
+            return null;
+        }
+        return Object.keys(settings)
+            .filter(prefix => key.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0] || null;
+    }
+
+    /**
+     * Namespace a key is counted in
+     * @param {string} key - Cache key
+     * @returns {string} Namespace, or 'other' for keys outside the configured prefixes
+     */
+    getNamespace(key) {
+        const prefix = CacheManager.matchPrefix(this.namespaces, key);
+        return prefix ? this.namespaces[prefix] : 'other';
+    }
+
+    /**
+     * Time to live for a key, from its prefix's policy
+     * @param {string} key - Cache key
+     * @returns {number} Duration in milliseconds
+     */
+    getTTL(key) {
+        const prefix = CacheManager.matchPrefix(this.ttlPolicies, key);
+        return prefix ? this.ttlPolicies[prefix] : this.defaultDuration;
+    }
+
+    /**
+     * Approximate size of a value, as the length of its JSON
+     * @param {any} value - Data to measure
+     * @returns {number} Size in bytes
+     */
+    static estimateSize(value) {
+        try {
+            return (JSON.stringify(value) || '').length;
+        } catch (error) {
+            return 0;
+        }
+    }
+
     /**
      * Store data in cache with expiration
      * @param {string} key - Cache key identifier
      * @param {any} value - Data to cache
-     * @param {number} duration - Cache duration in milliseconds
+     * @param {number} duration - Cache duration in milliseconds; defaults to the key prefix's TTL policy
+     * @param {Object} options - { persist: false to keep the entry in memory only }
      */
-    set(key, value, duration = this.defaultDuration) {
+    set(key, value, duration = this.getTTL(key), options = {}) {
         try {
             // Validate inputs
             if (!key || value === undefined) {
@@ -90,12 +380,16 @@ class CacheManager {
                 return false;
             }
 
-            // Cleanup old entries if approaching limit
-            this.enforceMaxSize();
+            const storedAt = Date.now();
+            const expirationTime = storedAt + duration;
+            if (!this.store(key, value, expirationTime)) {
+                return false;
+            }
 
-            const expirationTime = Date.now() + duration;
-            this.cache.set(key, value);
-            this.timestamps.set(key, expirationTime);
+            // Mock data is never saved, so it cannot be shown as stale live data later
+            if (this.persistentStore && options.persist !== false && !(value && value.isMockData)) {
+                this.persistentStore.put(key, value, storedAt, expirationTime);
+            }
 
             console.log(`💾 Cached: ${key} (expires in ${duration}ms)`);
             return true;
@@ -105,6 +399,29 @@ class CacheManager {
         }
     }
 
+    /**
+     * Put an entry in memory as the most recently used, evicting to make room
+     * @param {string} key - Cache key identifier
+     * @param {any} value - Data to cache
+     * @param {number} expirationTime - Expiry timestamp (ms)
+     * @returns {boolean} False when the value alone exceeds the byte budget
+     */
+    store(key, value, expirationTime) {
+        const size = CacheManager.estimateSize(value);
+        this.remove(key);
+        if (size > this.maxBytes) {
+            console.warn(`CacheManager: ${key} (${Math.round(size / 1024)}KB) exceeds the cache budget, not cached`);
+            return false;
+        }
+
+        this.evictFor(key, size);
+        this.cache.set(key, value);
+        this.timestamps.set(key, expirationTime);
+        this.sizes.set(key, size);
+        this.totalBytes += size;
+        return true;
+    }
+
     /**
      * Retrieve data from cache if not expired
      * @param {string} key - Cache key identifier
@@ -123,10 +440,15 @@ class CacheManager {
             if (expirationTime && now < expirationTime) {
                 this.hitCount++;
                 console.log(`⚡ Cache hit: ${key}`);
-                return this.cache.get(key);
+                // Move to the most recently used end
+                const value = this.cache.get(key);
+                this.cache.delete(key);
+                this.cache.set(key, value);
+                return value;
             } else {
                 // Expired, remove from cache
                 this.delete(key);
+                this.evictions.expired++;
                 this.missCount++;
                 console.log(`⏰ Cache expired: ${key}`);
                 return null;
@@ -138,14 +460,35 @@ class CacheManager {
         }
     }
 
+    /**
+     * Look up the saved copy of an entry that is not in memory: cached by an earlier
+     * session, or expired. Unexpired copies are loaded back into memory.
+     * @param {string} key - Cache key identifier
+     * @returns {Promise<Object|null>} { value, storedAt, fresh }, or null when nothing is saved
+     */
+    async getPersisted(key) {
+        if (!this.persistentStore) {
+            return null;
+        }
+
+        const entry = await this.persistentStore.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        const fresh = Date.now() < entry.expiresAt;
+        if (fresh && this.store(key, entry.value, entry.expiresAt)) {
+            console.log(`📀 Restored from saved cache: ${key}`);
+        }
+        return { value: entry.value, storedAt: entry.storedAt, fresh };
+    }
+
     /**
      * Remove specific item from cache
      * @param {string} key - Cache key to remove
      */
     delete(key) {
-        if (this.cache.has(key)) {
-            this.cache.delete(key);
-            this.timestamps.delete(key);
+        if (this.remove(key)) {
             console.log(`🗑️ Removed from cache: ${key}`);
             return true;
         }
@@ -153,29 +496,72 @@ class CacheManager {
     }
 
     /**
-     * Clear all cached data
+     * Drop an entry from memory and from the byte count
+     * @param {string} key - Cache key to remove
+     * @returns {boolean} True when the key was cached
+     */
+    remove(key) {
+        if (!this.cache.has(key)) {
+            return false;
+        }
+        this.totalBytes -= this.sizes.get(key) || 0;
+        this.cache.delete(key);
+        this.timestamps.delete(key);
+        this.sizes.delete(key);
+        return true;
+    }
+
+    /**
+     * Clear all cached data, in memory and saved
+     * @returns {Promise<void>} Resolves once the saved copies are deleted
      */
     clear() {
         const size = this.cache.size;
         this.cache.clear();
         this.timestamps.clear();
+        this.sizes.clear();
+        this.totalBytes = 0;
         this.hitCount = 0;
         this.missCount = 0;
+        this.evictions = { capacity: 0, namespace: 0, bytes: 0, expired: 0 };
         console.log(`🧹 Cache cleared: ${size} items removed`);
+        return this.persistentStore ? this.persistentStore.clear() : Promise.resolve();
     }
 
     /**
-     * Enforce maximum cache size by removing oldest entries
+     * Evict least recently used entries until a new entry fits: first within its
+     * namespace's item limit, then the overall item limit, then the byte budget
+     * @param {string} key - Key about to be stored
+     * @param {number} size - Its size in bytes
      */
-    enforceMaxSize() {
-        while (this.cache.size >= this.maxSize) {
-            const oldestKey = this.cache.keys().next().value;
-            if (oldestKey) {
-                this.delete(oldestKey);
-            } else {
-                break;
+    evictFor(key, size) {
+        const namespace = this.getNamespace(key);
+        const limit = this.namespaceLimits[namespace];
+        if (limit) {
+            const keys = [...this.cache.keys()].filter(cachedKey => this.getNamespace(cachedKey) === namespace);
+            while (keys.length >= limit) {
+                this.evict(keys.shift(), 'namespace');
             }
         }
+
+        while (this.cache.size >= this.maxSize) {
+            this.evict(this.cache.keys().next().value, 'capacity');
+        }
+
+        while (this.cache.size > 0 && this.totalBytes + size > this.maxBytes) {
+            this.evict(this.cache.keys().next().value, 'bytes');
+        }
+    }
+
+    /**
+     * Evict an entry and count why
+     * @param {string} key - Key to evict
+     * @param {string} reason - 'capacity', 'namespace' or 'bytes'
+     */
+    evict(key, reason) {
+        this.remove(key);
+        this.evictions[reason]++;
+        console.log(`♻️ Evicted from cache (${reason}): ${key}`);
     }
 
     /**
@@ -193,8 +579,14 @@ class CacheManager {
         }
 
         if (removedCount > 0) {
+            this.evictions.expired += removedCount;
             console.log(`🧽 Cache cleanup: ${removedCount} expired items removed`);
         }
+
+        // Saved copies outlive expiry to be shown while refreshing, up to a limit
+        if (this.persistentStore) {
+            this.persistentStore.prune();
+        }
     }
 
     /**
@@ -208,19 +600,35 @@ class CacheManager {
 
     /**
      * Get cache performance statistics
-     * @returns {Object} Cache statistics
+     * @returns {Object} Cache statistics; items are listed least recently used first
      */
     getStats() {
         const totalRequests = this.hitCount + this.missCount;
         const hitRate = totalRequests > 0 ? (this.hitCount / totalRequests) * 100 : 0;
 
+        const namespaces = {};
+        Object.keys(this.namespaceLimits).forEach(namespace => {
+            namespaces[namespace] = { count: 0, limit: this.namespaceLimits[namespace] };
+        });
+        for (const key of this.cache.keys()) {
+            const namespace = this.getNamespace(key);
+            if (!namespaces[namespace]) {
+                namespaces[namespace] = { count: 0, limit: this.namespaceLimits[namespace] || null };
+            }
+            namespaces[namespace].count++;
+        }
+
         return {
             size: this.cache.size,
             maxSize: this.maxSize,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
             hitCount: this.hitCount,
             missCount: this.missCount,
             hitRate: Math.round(hitRate * 100) / 100,
             memoryUsage: this.getMemoryUsage(),
+            evictions: { ...this.evictions },
+            namespaces,
             items: Array.from(this.cache.keys())
         };
     }
@@ -230,11 +638,15 @@ class CacheManager {
      * @returns {string} Memory usage estimate
      */
     getMemoryUsage() {
-        let totalSize = 0;
-        for (const value of this.cache.values()) {
-            totalSize += JSON.stringify(value).length;
-        }
-        return `${Math.round(totalSize / 1024)}KB`;
+        return `${Math.round(this.totalBytes / 1024)}KB`;
+    }
+
+    /**
+     * Statistics for the saved cache
+     * @returns {Promise<Object|null>} See PersistentCache.getStats, or null without a persistent store
+     */
+    getPersistentStats() {
+        return this.persistentStore ? this.persistentStore.getStats() : Promise.resolve(null);
     }
 
     /**
@@ -247,6 +659,198 @@ class CacheManager {
     }
 }
 
+/**
+ * Persistent Cache Store
+ * Keeps cached API data in IndexedDB with one object store per namespace (quotes, history,
+ * fundamentals, news and rates), so a reload can show the last data at once instead of
+ * spending quota on it again. Methods resolve with null rather than reject: without
+ * IndexedDB (private browsing, blocked storage) the app runs on the memory cache alone.
+ */
+class PersistentCache {
+    /**
+     * @param {string} name - Database name
+     * @param {Object} namespaces - { keyPrefix: objectStoreName }
+     */
+    constructor(name, namespaces) {
+        this.name = name;
+        this.namespaces = namespaces;
+        this.storeNames = [...new Set(Object.values(namespaces))];
+        this.database = null;
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - Pending request
+     * @returns {Promise<any>} Request result
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the database once, creating an object store per namespace.
+     * Bump the version when adding a namespace so the upgrade creates its store.
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise(resolve => {
+                const request = indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => {
+                    this.storeNames.forEach(storeName => {
+                        if (!request.result.objectStoreNames.contains(storeName)) {
+                            request.result.createObjectStore(storeName, { keyPath: 'key' });
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ IndexedDB unavailable, caching in memory only:', request.error);
+                    resolve(null);
+                };
+            }).catch(error => {
+                // indexedDB is missing or throws when storage is blocked
+                console.warn('⚠️ IndexedDB unavailable, caching in memory only:', error);
+                return null;
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Object store a cache key belongs in
+     * @param {string} key - Cache key
+     * @returns {string|null} Store name, or null for keys that are not saved
+     */
+    getStoreName(key) {
+        // Same longest-prefix rule as the memory cache, so both layers file a key alike
+        const prefix = CacheManager.matchPrefix(this.namespaces, key);
+        return prefix ? this.namespaces[prefix] : null;
+    }
+
+    /**
+     * Run one request against an object store
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the IDBObjectStore and returns an IDBRequest
+     * @returns {Promise<any>} Request result, or null when the database is unavailable or the request fails
+     */
+    async withStore(storeName, mode, operation) {
+        try {
+            const database = await this.open();
+            if (!database) {
+                return null;
+            }
+            return await PersistentCache.promisify(operation(database.transaction(storeName, mode).objectStore(storeName)));
+        } catch (error) {
+            console.warn(`⚠️ Saved cache ${mode} on ${storeName} failed:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Saved entry for a key, whether or not it has expired
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { key, value, storedAt, expiresAt }, or null
+     */
+    async get(key) {
+        const storeName = this.getStoreName(key);
+        if (!storeName) {
+            return null;
+        }
+
+        const entry = await this.withStore(storeName, 'readonly', store => store.get(key));
+        if (entry && Date.now() - entry.storedAt > APP_CONSTANTS.CACHE.STALE_MAX_AGE) {
+            this.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    /**
+     * Save an entry; keys outside the namespaces are ignored
+     * @param {string} key - Cache key
+     * @param {any} value - Data to save
+     * @param {number} storedAt - When the data was fetched (ms)
+     * @param {number} expiresAt - When it stops being fresh (ms)
+     * @returns {Promise<string|null>} The key once saved
+     */
+    put(key, value, storedAt, expiresAt) {
+        const storeName = this.getStoreName(key);
+        if (!storeName) {
+            return Promise.resolve(null);
+        }
+        return this.withStore(storeName, 'readwrite', store => store.put({ key, value, storedAt, expiresAt }));
+    }
+
+    /**
+     * Delete a saved entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    delete(key) {
+        const storeName = this.getStoreName(key);
+        if (!storeName) {
+            return Promise.resolve(null);
+        }
+        return this.withStore(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Delete every saved entry
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await Promise.all(this.storeNames.map(storeName => this.withStore(storeName, 'readwrite', store => store.clear())));
+        console.log('🧹 Saved cache cleared');
+    }
+
+    /**
+     * Delete entries older than APP_CONSTANTS.CACHE.STALE_MAX_AGE
+     * @returns {Promise<number>} Entries deleted
+     */
+    async prune() {
+        const cutoff = Date.now() - APP_CONSTANTS.CACHE.STALE_MAX_AGE;
+        let removed = 0;
+        for (const storeName of this.storeNames) {
+            const entries = await this.withStore(storeName, 'readonly', store => store.getAll()) || [];
+            const old = entries.filter(entry => entry.storedAt < cutoff);
+            await Promise.all(old.map(entry => this.withStore(storeName, 'readwrite', store => store.delete(entry.key))));
+            removed += old.length;
+        }
+        if (removed > 0) {
+            console.log(`🧽 Saved cache cleanup: ${removed} old items removed`);
+        }
+        return removed;
+    }
+
+    /**
+     * Entry counts and approximate size per namespace
+     * @returns {Promise<Object>} { available, count, stale, size, namespaces: { name: { count, stale, size } } };
+     *   size is in bytes of JSON
+     */
+    async getStats() {
+        const stats = { available: Boolean(await this.open()), count: 0, stale: 0, size: 0, namespaces: {} };
+        const now = Date.now();
+        for (const storeName of this.storeNames) {
+            const entries = await this.withStore(storeName, 'readonly', store => store.getAll()) || [];
+            const namespace = {
+                count: entries.length,
+                stale: entries.filter(entry => entry.expiresAt <= now).length,
+                size: entries.reduce((total, entry) => total + JSON.stringify(entry.value).length, 0)
+            };
+            stats.namespaces[storeName] = namespace;
+            stats.count += namespace.count;
+            stats.stale += namespace.stale;
+            stats.size += namespace.size;
+        }
+        return stats;
+    }
+}
+
 // Security utilities
 /**
  * Enhanced Security Management System
@@ -285,6 +889,8 @@ class SecurityManager {
 
     /**
      * Validate stock symbol format according to market standards
+     * Each exchange checks the ticker against its own format (see Instrument.parse);
+     * crypto pairs such as BTC-USD are accepted alongside equity tickers.
      * @param {string} symbol - Stock symbol to validate
      * @returns {boolean} True if valid stock symbol
      */
@@ -294,9 +900,9 @@ class SecurityManager {
         }
 
         const sanitized = this.sanitizeInput(symbol.toUpperCase());
-        return APP_CONSTANTS.VALIDATION.STOCK_SYMBOL_PATTERN.test(sanitized) &&
-               sanitized.length >= 1 && 
-               sanitized.length <= APP_CONSTANTS.VALIDATION.MAX_SYMBOL_LENGTH;
+        return sanitized.length >= 1 && 
+               sanitized.length <= APP_CONSTANTS.VALIDATION.MAX_SYMBOL_LENGTH &&
+               Instrument.parse(sanitized) !== null;
     }
 
     /**
@@ -393,6 +999,24 @@ class SecurityManager {
         return true;
     }
 
+    /**
+     * Time until checkRateLimit() would allow another request
+     * @param {string} key - Rate limit key
+     * @param {number} limit - Maximum requests per minute
+     * @returns {number} Milliseconds to wait, 0 when a request is allowed now
+     */
+    static getRateLimitWait(key, limit = 60) {
+        const now = Date.now();
+        let requests = [];
+        try {
+            requests = JSON.parse(localStorage.getItem(`rate_limit_${key}`) || '[]')
+                .filter(timestamp => now - timestamp < 60000);
+        } catch (error) {
+            localStorage.removeItem(`rate_limit_${key}`);
+        }
+        return requests.length < limit ? 0 : requests[requests.length - limit] + 60000 - now;
+    }
+
     /**
      * Validate and sanitize configuration data
      * @param {Object} config - Configuration object
@@ -404,7 +1028,7 @@ class SecurityManager {
         }
 
         const validated = {};
-        const requiredKeys = ['ALPHA_VANTAGE_KEY', 'NEWS_API_KEY'];
+        const requiredKeys = ['NEWS_API_KEY'];
         
         for (const key of requiredKeys) {
             if (!config[key] || typeof config[key] !== 'string') {
@@ -413,9 +1037,15 @@ class SecurityManager {
             validated[key] = this.sanitizeInput(config[key]);
         }
 
-        // Optional keys
-        if (config.EXCHANGE_RATE_KEY) {
-            validated.EXCHANGE_RATE_KEY = this.sanitizeInput(config.EXCHANGE_RATE_KEY);
+        // Optional keys; market data needs at least one provider key or the local fixtures
+        ['ALPHA_VANTAGE_KEY', 'TWELVE_DATA_KEY', 'FINNHUB_KEY', 'EXCHANGE_RATE_KEY', 'MARKET_DATA_PROVIDERS'].forEach(key => {
+            if (config[key] && typeof config[key] === 'string') {
+                validated[key] = this.sanitizeInput(config[key]);
+            }
+        });
+        const usesFixtures = String(validated.MARKET_DATA_PROVIDERS || '').split(',').some(id => id.trim() === 'local');
+        if (!validated.ALPHA_VANTAGE_KEY && !validated.TWELVE_DATA_KEY && !validated.FINNHUB_KEY && !usesFixtures) {
+            throw new Error('Missing market data provider key');
         }
 
         return validated;
@@ -431,7 +1061,7 @@ class SecurityManager {
             "script-src 'self' 'unsafe-inline'",
             "style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com",
             "font-src 'self' https://cdnjs.cloudflare.com",
-            "connect-src 'self' https://api.exchangerate-api.com https://www.alphavantage.co https://newsapi.org",
+            "connect-src 'self' https://api.exchangerate-api.com https://www.alphavantage.co https://api.twelvedata.com https://finnhub.io https://newsapi.org",
             "img-src 'self' data: https:",
             "frame-ancestors 'none'",
             "base-uri 'self'",
@@ -499,7 +1129,7 @@ class SecurityManager {
             return false;
         }
         
-        const validCurrencies = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY'];
+        const validCurrencies = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'HKD', 'INR', 'BRL'];
         return validCurrencies.includes(currency.toUpperCase());
     }
 
@@ -821,354 +1451,7206 @@ class PerformanceMonitor {
 }
 
 /**
- * Application Initialization and Core Systems
+ * Transaction Ledger
+ * Journal of buys, sells, dividends, fees and splits from which positions are derived.
+ * Sales are matched against open tax lots (FIFO, LIFO or a specific lot) and
+ * realized gains are recorded per matched lot.
  */
+class TransactionLedger {
+    constructor(transactions = [], options = {}) {
+        this.transactions = Array.isArray(transactions) ? transactions : [];
+        this.lotMethod = APP_CONSTANTS.LEDGER.LOT_METHODS.includes(options.lotMethod)
+            ? options.lotMethod
+            : APP_CONSTANTS.LEDGER.DEFAULT_LOT_METHOD;
+    }
 
-// Initialize advanced systems with enhanced configuration
-const cacheManager = new CacheManager({
-    maxSize: APP_CONSTANTS.CACHE.MAX_SIZE,
-    defaultDuration: APP_CONSTANTS.CACHE.STOCK_DURATION
-});
+    /**
+     * Validate and normalize a transaction before it enters the journal
+     * @param {Object} transaction - Raw transaction fields
+     * @returns {Object} Normalized transaction
+     * @throws {Error} When a required field is missing or invalid
+     */
+    static normalize(transaction) {
+        const type = String(transaction.type || '').toUpperCase();
+        if (!APP_CONSTANTS.LEDGER.TRANSACTION_TYPES.includes(type)) {
+            throw new Error(`Unknown transaction type: ${transaction.type}`);
+        }
 
-const performanceMonitor = new PerformanceMonitor();
+        const date = transaction.date || getLocalDate();
+        if (isNaN(Date.parse(date))) {
+            throw new Error('Invalid transaction date');
+        }
 
-// Enhanced DOM utilities
-const DOMUtils = {
-    loading: document.getElementById('loading'),
-    errorMessage: document.getElementById('errorMessage'),
-    
-    show(element) {
-        if (element) element.classList.add('show');
-    },
-    
-    hide(element) {
-        if (element) element.classList.remove('show');
-    },
-    
-    setContent(element, content, isHTML = false) {
-        if (element) {
-            if (isHTML) {
-                element.innerHTML = SecurityManager.sanitizeInput(content);
-            } else {
-                element.textContent = content;
+        const rawSymbol = transaction.symbol ? String(transaction.symbol).toUpperCase().trim() : '';
+        const symbol = Instrument.normalize(rawSymbol) || rawSymbol;
+        if (type !== 'FEE' && !SecurityManager.validateStockSymbol(symbol)) {
+            throw new Error('Invalid stock symbol provided');
+        }
+
+        const normalized = {
+            id: transaction.id || SecurityManager.generateSecureToken(8),
+            date: date.slice(0, 10),
+            type,
+            symbol,
+            quantity: 0,
+            price: null,
+            fees: parseFloat(transaction.fees) || 0,
+            amount: 0,
+            notes: transaction.notes ? SecurityManager.sanitizeInput(transaction.notes, { maxLength: 200 }) : ''
+        };
+
+        if (normalized.fees < 0) {
+            throw new Error('Fees cannot be negative');
+        }
+
+        if (transaction.currency) {
+            if (!SecurityManager.validateCurrency(transaction.currency)) {
+                throw new Error(`Unsupported currency: ${transaction.currency}`);
             }
+            normalized.currency = String(transaction.currency).toUpperCase();
+        }
+
+        switch (type) {
+            case 'BUY':
+            case 'SELL':
+                if (!SecurityManager.validateAmount(transaction.quantity)) {
+                    throw new Error('Quantity must be a positive number');
+                }
+                normalized.quantity = parseFloat(transaction.quantity);
+                if (transaction.price !== null && transaction.price !== undefined && transaction.price !== '') {
+                    if (!SecurityManager.validateAmount(transaction.price)) {
+                        throw new Error('Price must be a positive number');
+                    }
+                    normalized.price = parseFloat(transaction.price);
+                } else if (type === 'SELL') {
+                    throw new Error('A sale requires a price');
+                }
+                if (type === 'SELL') {
+                    normalized.lotMethod = APP_CONSTANTS.LEDGER.LOT_METHODS.includes(transaction.lotMethod)
+                        ? transaction.lotMethod
+                        : APP_CONSTANTS.LEDGER.DEFAULT_LOT_METHOD;
+                    if (normalized.lotMethod === 'SPECIFIC') {
+                        if (!transaction.lotId) {
+                            throw new Error('Specific lot matching requires a lot to be selected');
+                        }
+                        normalized.lotId = String(transaction.lotId);
+                    }
+                }
+                break;
+            case 'DIVIDEND':
+            case 'FEE':
+                if (!SecurityManager.validateAmount(transaction.amount)) {
+                    throw new Error('Amount must be a positive number');
+                }
+                normalized.amount = parseFloat(transaction.amount);
+                break;
+            case 'SPLIT':
+                if (!SecurityManager.validateAmount(transaction.ratio)) {
+                    throw new Error('Split ratio must be a positive number');
+                }
+                normalized.ratio = parseFloat(transaction.ratio);
+                break;
         }
+
+        return normalized;
     }
-};
 
-/**
- * Enhanced Application Initialization
- * Implements robust startup sequence with error handling
- */
-document.addEventListener('DOMContentLoaded', async function() {
-    console.log('🚀 Personal Finance Tracker initializing...');
-    performanceMonitor.recordUserInteraction('app_start');
-    
-    try {
-        // Initialize secure configuration
-        await initializeConfig();
-        
-        // Load application data with error handling
-        await Promise.allSettled([
-            loadPortfolio(),
-            loadExchangeRates(),
-            loadNews()
-        ]);
-        
-        // Add security indicator
-        addSecurityIndicator();
-        
-        // Setup event listeners
-        setupEventListeners();
-        
-        // Mark application as initialized
-        AppState.isInitialized = true;
-        
-        console.log('✅ Application initialized successfully');
-        performanceMonitor.recordUserInteraction('app_initialized');
-        
-    } catch (error) {
-        console.error('❌ Application initialization failed:', error);
-        performanceMonitor.recordError(error, 'initialization');
-        showError('Application failed to initialize. Please refresh and try again.');
+    /**
+     * Record a new transaction after checking it keeps the journal consistent
+     * @param {Object} transaction - Raw transaction fields
+     * @returns {Object} The stored transaction
+     */
+    add(transaction) {
+        const normalized = TransactionLedger.normalize({
+            lotMethod: this.lotMethod,
+            ...transaction
+        });
+
+        // Replay with the candidate entry first so an oversell never gets stored
+        TransactionLedger.replay([...this.transactions, normalized]);
+        this.transactions.push(normalized);
+        return normalized;
     }
-});
 
-/**
- * Setup Event Listeners
- * Configures all application event handlers with performance optimization
- */
-function setupEventListeners() {
-    try {
-        // Stock symbol input - Enter key support
-        const stockSymbolInput = document.getElementById('stockSymbol');
-        if (stockSymbolInput) {
-            stockSymbolInput.addEventListener('keydown', function(e) {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    addStock();
+    /**
+     * Record several transactions at once; either all are stored or none are
+     * Entries are validated together, so a file may list a sale before its buy.
+     * @param {Array<Object>} transactions - Raw transaction fields
+     * @returns {Array<Object>} The stored transactions
+     */
+    addMany(transactions) {
+        const normalized = transactions.map(transaction => TransactionLedger.normalize({
+            lotMethod: this.lotMethod,
+            ...transaction
+        }));
+
+        TransactionLedger.replay([...this.transactions, ...normalized]);
+        this.transactions.push(...normalized);
+        return normalized;
+    }
+
+    /**
+     * Fingerprint used to recognise the same trade across imports
+     * @param {Object} transaction - Normalized transaction
+     * @returns {string} Fingerprint key
+     */
+    static fingerprint(transaction) {
+        return [
+            transaction.date,
+            transaction.type,
+            transaction.symbol,
+            (transaction.quantity || 0).toFixed(6),
+            transaction.price !== null && transaction.price !== undefined ? transaction.price.toFixed(4) : '',
+            (transaction.amount || 0).toFixed(2)
+        ].join('|');
+    }
+
+    /**
+     * Remove a transaction, refusing if later entries depend on it
+     * @param {string} id - Transaction identifier
+     * @returns {boolean} True if removed
+     */
+    remove(id) {
+        const remaining = this.transactions.filter(tx => tx.id !== id);
+        if (remaining.length === this.transactions.length) {
+            return false;
+        }
+
+        TransactionLedger.replay(remaining);
+        this.transactions = remaining;
+        return true;
+    }
+
+    /**
+     * Sort transactions chronologically, settling same-day buys before sales
+     * @param {Array<Object>} transactions - Transactions to order
+     * @returns {Array<Object>} New ordered array
+     */
+    static sortTransactions(transactions) {
+        const typeOrder = APP_CONSTANTS.LEDGER.TYPE_ORDER;
+        return transactions
+            .map((tx, index) => ({ tx, index }))
+            .sort((a, b) => a.tx.date.localeCompare(b.tx.date) ||
+                typeOrder[a.tx.type] - typeOrder[b.tx.type] ||
+                a.index - b.index)
+            .map(entry => entry.tx);
+    }
+
+    /**
+     * Replay the journal to build open lots and realized gains
+     * @param {Array<Object>} transactions - Normalized transactions
+     * @returns {Object} { positions: Map, realized: Array, totals: Object }
+     * @throws {Error} When a sale exceeds the shares held or targets a missing lot
+     */
+    static replay(transactions) {
+        const positions = new Map();
+        const realized = [];
+        const totals = { realizedGain: 0, dividends: 0, fees: 0, byCurrency: {} };
+
+        const getPosition = (symbol) => {
+            if (!positions.has(symbol)) {
+                positions.set(symbol, { symbol, currency: null, lots: [], realizedGain: 0, dividends: 0, fees: 0 });
+            }
+            return positions.get(symbol);
+        };
+
+        // Totals are also kept per trade currency so they can be converted for display
+        const addTotal = (field, value, currency) => {
+            totals[field] += value;
+            if (!totals.byCurrency[currency]) {
+                totals.byCurrency[currency] = { realizedGain: 0, dividends: 0, fees: 0 };
+            }
+            totals.byCurrency[currency][field] += value;
+        };
+        const currencyOf = (tx, position) => tx.currency || (position && position.currency) || 'USD';
+
+        for (const tx of TransactionLedger.sortTransactions(transactions)) {
+            switch (tx.type) {
+                case 'BUY': {
+                    const position = getPosition(tx.symbol);
+                    if (!position.currency) {
+                        position.currency = currencyOf(tx);
+                    }
+                    // Commissions are capitalized into the lot's cost basis
+                    const costPerShare = tx.price !== null
+                        ? ((tx.price * tx.quantity) + tx.fees) / tx.quantity
+                        : null;
+                    position.lots.push({
+                        id: tx.id,
+                        date: tx.date,
+                        quantity: tx.quantity,
+                        costPerShare
+                    });
+                    break;
                 }
-            });
+                case 'SELL': {
+                    const position = getPosition(tx.symbol);
+                    const held = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+                    if (tx.quantity > held + 1e-9) {
+                        throw new Error(`Cannot sell ${tx.quantity} ${tx.symbol} on ${tx.date}: only ${held} held`);
+                    }
+
+                    let remaining = tx.quantity;
+                    const candidates = TransactionLedger.orderLotsForSale(position.lots, tx);
+                    for (const lot of candidates) {
+                        if (remaining <= 1e-9) break;
+                        const matched = Math.min(lot.quantity, remaining);
+                        // Sale-side fees are allocated pro rata to each matched lot
+                        const proceeds = (matched * tx.price) - (tx.fees * (matched / tx.quantity));
+                        const costBasis = lot.costPerShare !== null ? matched * lot.costPerShare : null;
+                        const gain = costBasis !== null ? proceeds - costBasis : null;
+
+                        realized.push({
+                            saleId: tx.id,
+                            symbol: tx.symbol,
+                            currency: currencyOf(tx, position),
+                            lotId: lot.id,
+                            acquiredDate: lot.date,
+                            soldDate: tx.date,
+                            quantity: matched,
+                            proceeds,
+                            costBasis,
+                            gain
+                        });
+
+                        if (gain !== null) {
+                            position.realizedGain += gain;
+                            addTotal('realizedGain', gain, currencyOf(tx, position));
+                        }
+
+                        lot.quantity -= matched;
+                        remaining -= matched;
+                    }
+
+                    if (remaining > 1e-9) {
+                        throw new Error(`Selected lot does not hold enough ${tx.symbol} shares for the sale on ${tx.date}`);
+                    }
+
+                    position.lots = position.lots.filter(lot => lot.quantity > 1e-9);
+                    break;
+                }
+                case 'DIVIDEND': {
+                    const position = getPosition(tx.symbol);
+                    const net = tx.amount - tx.fees;
+                    position.dividends += net;
+                    addTotal('dividends', net, currencyOf(tx, position));
+                    break;
+                }
+                case 'FEE': {
+                    const fee = tx.amount + tx.fees;
+                    const position = tx.symbol ? getPosition(tx.symbol) : null;
+                    if (position) {
+                        position.fees += fee;
+                    }
+                    addTotal('fees', fee, currencyOf(tx, position));
+                    break;
+                }
+                case 'SPLIT': {
+                    const position = getPosition(tx.symbol);
+                    position.lots.forEach(lot => {
+                        lot.quantity *= tx.ratio;
+                        if (lot.costPerShare !== null) {
+                            lot.costPerShare /= tx.ratio;
+                        }
+                    });
+                    break;
+                }
+            }
         }
 
-        // Stock filter - Debounced input
-        const stockFilter = document.getElementById('stockFilter');
-        if (stockFilter) {
-            let filterTimeout;
-            stockFilter.addEventListener('input', function() {
-                clearTimeout(filterTimeout);
-                filterTimeout = setTimeout(() => {
-                    filterStocks();
-                }, APP_CONSTANTS.UI.DEBOUNCE_DELAY);
+        return { positions, realized, totals };
+    }
+
+    /**
+     * Order open lots according to the sale's lot-matching method
+     * @param {Array<Object>} lots - Open lots in acquisition order
+     * @param {Object} sale - SELL transaction
+     * @returns {Array<Object>} Lots in the order they should be consumed
+     */
+    static orderLotsForSale(lots, sale) {
+        switch (sale.lotMethod) {
+            case 'LIFO':
+                return [...lots].reverse();
+            case 'SPECIFIC': {
+                const lot = lots.find(candidate => candidate.id === sale.lotId);
+                if (!lot) {
+                    throw new Error(`Lot ${sale.lotId} is not open for ${sale.symbol} on ${sale.date}`);
+                }
+                return [lot];
+            }
+            case 'FIFO':
+            default:
+                return lots;
+        }
+    }
+
+    /**
+     * Derive current holdings from the journal
+     * @returns {Array<Object>} Holdings of shape { symbol, quantity, averageCost, purchaseDate, lots }
+     */
+    getHoldings() {
+        const { positions } = TransactionLedger.replay(this.transactions);
+        const holdings = [];
+
+        positions.forEach(position => {
+            const quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+            if (quantity <= 1e-9) return;
+
+            const hasUnknownCost = position.lots.some(lot => lot.costPerShare === null);
+            const totalCost = position.lots.reduce((sum, lot) => sum + (lot.quantity * (lot.costPerShare || 0)), 0);
+
+            holdings.push({
+                symbol: position.symbol,
+                currency: position.currency || 'USD',
+                quantity,
+                averageCost: hasUnknownCost ? null : totalCost / quantity,
+                purchaseDate: position.lots[0].date,
+                lots: position.lots,
+                realizedGain: position.realizedGain,
+                dividends: position.dividends
             });
+        });
+
+        return holdings;
+    }
+
+    /**
+     * Open lots for a symbol, used for specific-lot sales
+     * @param {string} symbol - Stock symbol
+     * @returns {Array<Object>} Open lots
+     */
+    getOpenLots(symbol) {
+        const { positions } = TransactionLedger.replay(this.transactions);
+        const position = positions.get(symbol);
+        return position ? position.lots : [];
+    }
+
+    /**
+     * Realized gains per matched lot plus income and fee totals
+     * @returns {Object} { realized: Array, totals: Object }
+     */
+    getRealizedSummary() {
+        const { realized, totals } = TransactionLedger.replay(this.transactions);
+        return {
+            realized,
+            totals: {
+                ...totals,
+                net: totals.realizedGain + totals.dividends - totals.fees
+            }
+        };
+    }
+
+    /**
+     * Transactions newest first for display
+     * @returns {Array<Object>} Ordered transactions
+     */
+    getHistory() {
+        return TransactionLedger.sortTransactions(this.transactions).reverse();
+    }
+
+    toJSON() {
+        return this.transactions;
+    }
+}
+
+/**
+ * Broker CSV Importer
+ * Parses transaction exports from common brokers, maps their columns onto
+ * ledger fields and flags invalid or already-imported rows before commit.
+ */
+class CSVImporter {
+    /**
+     * Fields that can be mapped, with header names used by common broker exports
+     */
+    static get FIELDS() {
+        return {
+            date: ['date', 'trade date', 'run date', 'activity date', 'transaction date', 'date/time', 'settlement date'],
+            symbol: ['symbol', 'ticker', 'instrument', 'security', 'stock symbol'],
+            side: ['action', 'side', 'type', 'transaction type', 'trans code', 'activity', 'buy/sell'],
+            quantity: ['quantity', 'shares', 'qty', 'units', 'share quantity'],
+            price: ['price', 'price ($)', 'share price', 't. price', 'trade price', 'execution price', 'price per share'],
+            fees: ['fees', 'fees ($)', 'commission', 'commission ($)', 'fees & comm', 'comm/fee', 'commission fees', 'fee'],
+            amount: ['amount', 'amount ($)', 'net amount', 'proceeds', 'total', 'value'],
+            currency: ['currency', 'ccy', 'settlement currency']
+        };
+    }
+
+    /**
+     * Parse CSV text into rows, honouring quoted fields and escaped quotes
+     * @param {string} text - Raw CSV content
+     * @returns {Array<Object>} Non-empty rows { cells, line }, line being the row's 1-based line in the file
+     */
+    static parse(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+        const delimiter = CSVImporter.detectDelimiter(text);
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    // Quoted cells may span lines
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push({ cells: row, line: rowLine });
+                row = [];
+                cell = '';
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
         }
 
-        // Currency conversion input - Enter key support
-        const amountInput = document.getElementById('amount');
-        if (amountInput) {
-            amountInput.addEventListener('keydown', function(e) {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    convertCurrency();
+        row.push(cell.trim());
+        rows.push({ cells: row, line: rowLine });
+
+        return rows.filter(({ cells }) => cells.some(value => value !== ''));
+    }
+
+    /**
+     * Guess the delimiter (comma, semicolon or tab): the one that splits the most of the
+     * first lines into the same number of cells, so preamble lines above the header do not decide it
+     * @param {string} text - Raw CSV content
+     * @returns {string} Delimiter character
+     */
+    static detectDelimiter(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10);
+        const scores = [',', ';', '\t'].map(delimiter => {
+            const frequency = new Map();
+            lines.forEach(line => {
+                const cells = line.split(delimiter).length;
+                if (cells > 1) {
+                    frequency.set(cells, (frequency.get(cells) || 0) + 1);
                 }
             });
+            // Most lines with a matching cell count, then the widest such split
+            const [cells, consistent] = [...frequency.entries()]
+                .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [0, 0];
+            return { delimiter, consistent, cells };
+        });
+        return scores.sort((a, b) => b.consistent - a.consistent || b.cells - a.cells)[0].delimiter;
+    }
+
+    /**
+     * Locate the header row; some brokers put account details above it
+     * @param {Array<Object>} rows - Rows from parse()
+     * @returns {number} Index of the header row
+     */
+    static findHeaderRow(rows) {
+        const known = Object.values(CSVImporter.FIELDS).flat();
+        let best = 0;
+        let bestScore = -1;
+
+        rows.slice(0, 15).forEach(({ cells }, index) => {
+            const score = cells.filter(cell => known.includes(cell.toLowerCase())).length;
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Suggest a column for each field from the header names
+     * @param {Array<string>} headers - Header cells
+     * @returns {Object} Field name to column index (-1 when unmapped)
+     */
+    static detectMapping(headers) {
+        const lowered = headers.map(header => header.toLowerCase().trim());
+        const mapping = {};
+
+        Object.entries(CSVImporter.FIELDS).forEach(([field, names]) => {
+            mapping[field] = lowered.findIndex(header => names.includes(header));
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Decimal separator a number shows by itself
+     * With both marks the last one is the decimal; a mark used twice groups thousands.
+     * A single mark followed by exactly three digits ("1,234") could be either.
+     * @param {string} digits - Number reduced to digits, points and commas
+     * @returns {string|null|undefined} '.' or ',', null without any mark, undefined when ambiguous
+     */
+    static readDecimalMark(digits) {
+        const lastPoint = digits.lastIndexOf('.');
+        const lastComma = digits.lastIndexOf(',');
+        if (lastPoint === -1 && lastComma === -1) return null;
+        if (lastPoint !== -1 && lastComma !== -1) return lastPoint > lastComma ? '.' : ',';
+
+        const mark = lastPoint !== -1 ? '.' : ',';
+        if (digits.indexOf(mark) !== digits.lastIndexOf(mark)) return mark === '.' ? ',' : '.';
+        if (digits.length - digits.indexOf(mark) - 1 !== 3 || /^0?[.,]/.test(digits)) return mark;
+        return undefined;
+    }
+
+    /**
+     * Decimal separator used by the mapped number columns of a file
+     * @param {Array<Object>} rows - Data rows from parse()
+     * @param {Object} mapping - Field name to column index
+     * @returns {string|null} '.' or ',', or null when no value settles it or values disagree
+     */
+    static detectDecimalMark(rows, mapping) {
+        const marks = new Set();
+        rows.forEach(({ cells }) => {
+            ['quantity', 'price', 'fees', 'amount'].forEach(field => {
+                const value = mapping[field] >= 0 ? cells[mapping[field]] : '';
+                const mark = value ? CSVImporter.readDecimalMark(value.replace(/[^0-9.,]/g, '')) : null;
+                if (mark) marks.add(mark);
+            });
+        });
+        return marks.size === 1 ? [...marks][0] : null;
+    }
+
+    /**
+     * Parse a broker-formatted number such as "$1,234.50", "1.234,50 €" or "(12.00)"
+     * @param {string} value - Cell value
+     * @param {string|null} decimal - Decimal separator for values that do not show it ('.' or ',')
+     * @returns {number|null} Parsed number or null when empty
+     * @throws {Error} When the decimal separator cannot be told and none is given
+     */
+    static parseNumber(value, decimal = null) {
+        if (value === undefined || value === null) return null;
+        const text = String(value).trim();
+        if (text === '' || text === '-' || text === '--') return null;
+
+        const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+        const digits = text.replace(/[^0-9.,]/g, '');
+        const own = CSVImporter.readDecimalMark(digits);
+        if (own === undefined && !decimal) {
+            throw new Error(`"${text}" could use either point or comma as decimal separator`);
         }
 
-        // Global keyboard shortcuts
-        document.addEventListener('keydown', function(e) {
-            // Ctrl+R - Refresh current section
-            if (e.ctrlKey && e.key === 'r') {
-                e.preventDefault();
-                refreshCurrentSection();
+        const mark = own === undefined ? decimal : own;
+
+        const grouping = mark === ',' ? '.' : ',';
+        const number = parseFloat(digits.split(grouping).join('').replace(',', '.'));
+        if (isNaN(number)) return NaN;
+        return negative ? -number : number;
+    }
+
+    /**
+     * Parse common date layouts into YYYY-MM-DD
+     * @param {string} value - Cell value
+     * @param {boolean} dayFirst - Treat 01/02/2024 as 1 February
+     * @returns {string|null} ISO date or null when unrecognised
+     */
+    static parseDate(value, dayFirst = false) {
+        const text = String(value || '').trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        let year, month, day;
+
+        if (match) {
+            [, year, month, day] = match;
+        } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})\b/))) {
+            [, year, month, day] = match;
+        } else if ((match = text.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})/))) {
+            const [, first, second, rawYear] = match;
+            year = rawYear.length === 2 ? `20${rawYear}` : rawYear;
+            // Dotted dates (31.01.2024) are always day-first
+            const isDayFirst = dayFirst || text.includes('.');
+            month = isDayFirst ? second : first;
+            day = isDayFirst ? first : second;
+        } else {
+            return null;
+        }
+
+        const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        const parsed = new Date(`${iso}T00:00:00Z`);
+        return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === iso ? iso : null;
+    }
+
+    /**
+     * Map a broker action label onto a ledger transaction type
+     * @param {string} value - Action cell value
+     * @returns {string|null} BUY, SELL, DIVIDEND, FEE, SPLIT or null
+     */
+    static parseSide(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (!text) return null;
+
+        const codes = { b: 'BUY', s: 'SELL', cdiv: 'DIVIDEND', div: 'DIVIDEND', spl: 'SPLIT', spr: 'SPLIT' };
+        if (codes[text]) return codes[text];
+
+        if (text.includes('div')) return 'DIVIDEND';
+        if (text.includes('split')) return 'SPLIT';
+        if (text.includes('fee') || text.includes('commission')) return 'FEE';
+        if (text.includes('sell') || text.includes('sold')) return 'SELL';
+        if (text.includes('buy') || text.includes('bought') || text.includes('purchase') || text.includes('reinvest')) return 'BUY';
+        return null;
+    }
+
+    /**
+     * Turn mapped rows into candidate transactions with validation results
+     * @param {Array<Object>} rows - Data rows from parse() (header excluded)
+     * @param {Object} mapping - Field name to column index
+     * @param {Object} options - { dayFirst, decimal: separator when the file's numbers do not settle it, existing: Array of ledger transactions }
+     * @returns {Array<Object>} Preview rows { line, transaction, errors, duplicate }
+     */
+    static buildPreview(rows, mapping, options = {}) {
+        const cell = (cells, field) => (mapping[field] >= 0 ? cells[mapping[field]] : '') || '';
+        const decimal = CSVImporter.detectDecimalMark(rows, mapping) || options.decimal || null;
+        const existingCounts = new Map();
+        (options.existing || []).forEach(tx => {
+            const key = TransactionLedger.fingerprint(tx);
+            existingCounts.set(key, (existingCounts.get(key) || 0) + 1);
+        });
+
+        return rows.map(({ cells, line }) => {
+            const errors = [];
+            const ambiguous = new Set();
+            const number = (field) => {
+                try {
+                    return CSVImporter.parseNumber(cell(cells, field), decimal);
+                } catch (error) {
+                    ambiguous.add(field);
+                    errors.push(`Ambiguous ${field}: ${error.message}`);
+                    return NaN;
+                }
+            };
+            const rawSymbol = SecurityManager.sanitizeInput(cell(cells, 'symbol')).toUpperCase();
+            const symbol = Instrument.normalize(rawSymbol) || rawSymbol;
+            const rawQuantity = number('quantity');
+            const rawPrice = number('price');
+            const rawFees = number('fees');
+            const rawAmount = number('amount');
+            const currency = SecurityManager.sanitizeInput(cell(cells, 'currency')).toUpperCase();
+            const date = CSVImporter.parseDate(cell(cells, 'date'), options.dayFirst);
+
+            let type = CSVImporter.parseSide(cell(cells, 'side'));
+            if (!type && typeof rawQuantity === 'number' && !isNaN(rawQuantity)) {
+                // Exports without an action column sign the quantity instead
+                type = rawQuantity < 0 ? 'SELL' : 'BUY';
             }
-            
-            // Escape - Clear active inputs or close modals
-            if (e.key === 'Escape') {
-                clearActiveInputs();
-                closeOpenModals();
+
+            if (!date) errors.push('Unrecognised date');
+            if (!type) errors.push('Unknown action');
+            if (type === 'SPLIT') errors.push('Record splits manually with their ratio');
+
+            const quantity = rawQuantity !== null ? Math.abs(rawQuantity) : null;
+            const price = rawPrice !== null ? Math.abs(rawPrice) : null;
+            const fees = rawFees !== null && !isNaN(rawFees) ? Math.abs(rawFees) : 0;
+            let amount = rawAmount !== null ? Math.abs(rawAmount) : null;
+
+            if (type !== 'FEE' && !SecurityManager.validateStockSymbol(symbol)) {
+                errors.push(`Invalid symbol "${symbol}"`);
             }
-            
-            // Ctrl+Shift+P - Performance stats
-            if (e.ctrlKey && e.shiftKey && e.key === 'P') {
-                e.preventDefault();
-                showPerformanceStats();
+
+            // Ambiguous numbers already have their own error
+            if (type === 'BUY' || type === 'SELL') {
+                if (!SecurityManager.validateAmount(quantity) && !ambiguous.has('quantity')) errors.push('Invalid quantity');
+                if (!SecurityManager.validateAmount(price) && !ambiguous.has('price')) errors.push('Invalid price');
+            } else if (type === 'DIVIDEND' || type === 'FEE') {
+                if (amount === null && quantity && price) amount = quantity * price;
+                if (!SecurityManager.validateAmount(amount) && !ambiguous.has('amount')) errors.push('Invalid amount');
             }
-            
-            // Ctrl+Shift+L - Logout (secure shortcut)
-            if (e.ctrlKey && e.shiftKey && e.key === 'L') {
-                e.preventDefault();
-                logoutAndReset();
+
+            if (currency && !SecurityManager.validateCurrency(currency)) {
+                errors.push(`Unsupported currency ${currency}`);
+            }
+
+            const transaction = {
+                type,
+                date,
+                symbol,
+                quantity,
+                price,
+                fees,
+                amount,
+                currency: currency || undefined,
+                notes: 'Imported from CSV'
+            };
+
+            let duplicate = false;
+            if (errors.length === 0) {
+                try {
+                    const normalized = TransactionLedger.normalize({ ...transaction, lotMethod: 'FIFO' });
+                    const key = TransactionLedger.fingerprint(normalized);
+                    const remaining = existingCounts.get(key) || 0;
+                    // Identical fills are legitimate, so only as many as already exist are skipped
+                    if (remaining > 0) {
+                        duplicate = true;
+                        existingCounts.set(key, remaining - 1);
+                    }
+                } catch (error) {
+                    errors.push(error.message);
+                }
             }
+
+            return {
+                line,
+                transaction,
+                errors,
+                duplicate
+            };
+        });
+    }
+}
+
+/**
+ * Data Export System
+ * Serializes portfolio snapshots, transaction history and exchange rates to
+ * CSV, JSON and OFX (investment statement) for use outside the application.
+ */
+class DataExporter {
+    /**
+     * Describe where a quote came from
+     * @param {Object} stock - Quote object
+     * @returns {string} Human-readable data source
+     */
+    static describeSource(stock) {
+        if (!stock) return 'Unavailable';
+        if (!stock.isMockData) return marketData.describe(stock.source);
+        return stock.source === 'api_fallback'
+            ? 'Mock (generateMockStockData, market data providers unavailable)'
+            : 'Mock (generateMockStockData)';
+    }
+
+    /**
+     * Current holdings valued at the latest quotes
+     * @returns {Array<Object>} Snapshot rows
+     */
+    static buildPortfolioSnapshot() {
+        return AppState.portfolio.map(holding => {
+            const stock = AppState.stockData.get(holding.symbol);
+            const metrics = stock ? calculatePositionMetrics(holding, stock) : null;
+
+            const baseMetrics = stock ? calculatePositionMetrics(holding, stock, AppState.settings.baseCurrency) : null;
+
+            return {
+                symbol: holding.symbol,
+                currency: holding.currency || 'USD',
+                quantity: holding.quantity,
+                price: stock ? priceInTradeCurrency(holding, stock.price) : null,
+                value: metrics ? metrics.marketValue : null,
+                baseCurrency: AppState.settings.baseCurrency,
+                baseValue: baseMetrics ? baseMetrics.marketValue : null,
+                change: stock ? stock.change : null,
+                changePercent: stock ? stock.changePercent : null,
+                averageCost: holding.averageCost,
+                costBasis: metrics ? metrics.costBasis : null,
+                unrealizedPL: metrics ? metrics.unrealizedPL : null,
+                dataSource: DataExporter.describeSource(stock),
+                isMockData: stock ? Boolean(stock.isMockData) : null,
+                quoteTime: stock ? stock.lastUpdated : null
+            };
+        });
+    }
+
+    /**
+     * Ledger entries with the realized gain of each sale
+     * @returns {Array<Object>} Transaction rows in chronological order
+     */
+    static buildTransactionRows() {
+        const { realized } = AppState.ledger.getRealizedSummary();
+        const gainBySale = new Map();
+        realized.forEach(entry => {
+            if (entry.gain === null) return;
+            gainBySale.set(entry.saleId, (gainBySale.get(entry.saleId) || 0) + entry.gain);
+        });
+
+        const currencyBySymbol = new Map();
+        TransactionLedger.replay(AppState.ledger.transactions).positions.forEach(position => {
+            currencyBySymbol.set(position.symbol, position.currency);
+        });
+
+        return TransactionLedger.sortTransactions(AppState.ledger.transactions).map(tx => ({
+            id: tx.id,
+            date: tx.date,
+            type: tx.type,
+            symbol: tx.symbol,
+            quantity: tx.quantity || null,
+            price: tx.price,
+            fees: tx.fees,
+            amount: tx.amount || null,
+            ratio: tx.ratio || null,
+            currency: tx.currency || currencyBySymbol.get(tx.symbol) || 'USD',
+            lotMethod: tx.lotMethod || null,
+            lotId: tx.lotId || null,
+            realizedGain: gainBySale.has(tx.id) ? gainBySale.get(tx.id) : null,
+            notes: tx.notes
+        }));
+    }
+
+    /**
+     * Loaded exchange rates against the USD base
+     * @returns {Array<Object>} Rate rows
+     */
+    static buildExchangeRateRows() {
+        const source = AppState.exchangeRatesSource === 'exchangerate_api' ? 'ExchangeRate-API' : 'Mock (generateMockExchangeRates)';
+        return Object.entries(AppState.exchangeRates).map(([currency, rate]) => ({
+            base: 'USD',
+            currency,
+            rate,
+            dataSource: source,
+            isMockData: AppState.exchangeRatesSource !== 'exchangerate_api',
+            asOf: AppState.exchangeRatesUpdated
+        }));
+    }
+
+    /**
+     * Serialize rows to CSV with a header line
+     * @param {Array<Object>} rows - Flat row objects sharing the same keys
+     * @returns {string} CSV text
+     */
+    static toCSV(rows) {
+        if (rows.length === 0) return '';
+
+        const columns = Object.keys(rows[0]);
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            let text = String(value);
+            // Neutralise spreadsheet formulas in text cells
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+        ].join('\r\n');
+    }
+
+    /**
+     * Serialize rows to JSON with export metadata
+     * @param {string} dataset - Dataset name
+     * @param {Array<Object>} rows - Rows to export
+     * @returns {string} JSON text
+     */
+    static toJSON(dataset, rows) {
+        return JSON.stringify({
+            dataset,
+            portfolio: getActivePortfolio().name,
+            exportedAt: new Date().toISOString(),
+            items: rows
+        }, null, 2);
+    }
+
+    /**
+     * Format a date as an OFX datetime (YYYYMMDDHHMMSS)
+     * @param {string|Date} value - Date to format
+     * @returns {string} OFX datetime
+     */
+    static ofxDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    }
+
+    /**
+     * Build an OFX 2.2 investment statement
+     * @param {Object} options - { positions: boolean, transactions: boolean }
+     * @returns {string} OFX document
+     */
+    static toOFX(options = {}) {
+        const record = getActivePortfolio();
+        const now = new Date();
+        const xml = (value) => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const secId = (symbol) => `<SECID><UNIQUEID>${xml(symbol)}</UNIQUEID><UNIQUEIDTYPE>TICKER</UNIQUEIDTYPE></SECID>`;
+        const symbols = new Set();
+        const sections = [];
+
+        if (options.transactions) {
+            const sorted = TransactionLedger.sortTransactions(AppState.ledger.transactions);
+            const entries = sorted.map((tx, index) => {
+                const invtran = `<INVTRAN><FITID>${xml(tx.id)}</FITID><DTTRADE>${DataExporter.ofxDate(tx.date)}</DTTRADE>${tx.notes ? `<MEMO>${xml(tx.notes)}</MEMO>` : ''}</INVTRAN>`;
+                if (tx.symbol) symbols.add(tx.symbol);
+
+                switch (tx.type) {
+                    case 'BUY':
+                        return `<BUYSTOCK><INVBUY>${invtran}${secId(tx.symbol)}<UNITS>${tx.quantity}</UNITS><UNITPRICE>${tx.price || 0}</UNITPRICE><COMMISSION>${tx.fees}</COMMISSION><TOTAL>${-((tx.quantity * (tx.price || 0)) + tx.fees)}</TOTAL><SUBACCTSEC>CASH</SUBACCTSEC><SUBACCTFUND>CASH</SUBACCTFUND></INVBUY><BUYTYPE>BUY</BUYTYPE></BUYSTOCK>`;
+                    case 'SELL':
+                        return `<SELLSTOCK><INVSELL>${invtran}${secId(tx.symbol)}<UNITS>${-tx.quantity}</UNITS><UNITPRICE>${tx.price}</UNITPRICE><COMMISSION>${tx.fees}</COMMISSION><TOTAL>${(tx.quantity * tx.price) - tx.fees}</TOTAL><SUBACCTSEC>CASH</SUBACCTSEC><SUBACCTFUND>CASH</SUBACCTFUND></INVSELL><SELLTYPE>SELL</SELLTYPE></SELLSTOCK>`;
+                    case 'DIVIDEND':
+                        return `<INCOME>${invtran}${secId(tx.symbol)}<INCOMETYPE>DIV</INCOMETYPE><TOTAL>${tx.amount - tx.fees}</TOTAL><SUBACCTSEC>CASH</SUBACCTSEC><SUBACCTFUND>CASH</SUBACCTFUND></INCOME>`;
+                    case 'FEE':
+                        return `<INVBANKTRAN><STMTTRN><TRNTYPE>FEE</TRNTYPE><DTPOSTED>${DataExporter.ofxDate(tx.date)}</DTPOSTED><TRNAMT>${-(tx.amount + tx.fees)}</TRNAMT><FITID>${xml(tx.id)}</FITID><NAME>${xml(tx.symbol ? `${tx.symbol} fee` : 'Account fee')}</NAME></STMTTRN><SUBACCTFUND>CASH</SUBACCTFUND></INVBANKTRAN>`;
+                    case 'SPLIT': {
+                        // OFX wants the share counts before and after the split
+                        const before = TransactionLedger.replay(sorted.slice(0, index)).positions.get(tx.symbol);
+                        const oldUnits = before ? before.lots.reduce((sum, lot) => sum + lot.quantity, 0) : 0;
+                        return `<SPLIT>${invtran}${secId(tx.symbol)}<SUBACCTSEC>CASH</SUBACCTSEC><OLDUNITS>${oldUnits}</OLDUNITS><NEWUNITS>${oldUnits * tx.ratio}</NEWUNITS><NUMERATOR>${Math.round(tx.ratio * 1000)}</NUMERATOR><DENOMINATOR>1000</DENOMINATOR></SPLIT>`;
+                    }
+                    default:
+                        return '';
+                }
+            });
+
+            const start = sorted.length > 0 ? sorted[0].date : now;
+            sections.push(`<INVTRANLIST><DTSTART>${DataExporter.ofxDate(start)}</DTSTART><DTEND>${DataExporter.ofxDate(now)}</DTEND>${entries.join('')}</INVTRANLIST>`);
+        }
+
+        if (options.positions) {
+            const positions = DataExporter.buildPortfolioSnapshot()
+                .filter(row => row.quantity > 0)
+                .map(row => {
+                    symbols.add(row.symbol);
+                    const rate = convertAmount(1, row.currency, AppState.settings.baseCurrency);
+                    const currency = row.currency !== AppState.settings.baseCurrency && rate !== null
+                        ? `<CURRENCY><CURRATE>${rate}</CURRATE><CURSYM>${row.currency}</CURSYM></CURRENCY>`
+                        : '';
+                    return `<POSSTOCK><INVPOS>${secId(row.symbol)}<HELDINACCT>CASH</HELDINACCT><POSTYPE>LONG</POSTYPE><UNITS>${row.quantity}</UNITS><UNITPRICE>${row.price || 0}</UNITPRICE><MKTVAL>${row.value || 0}</MKTVAL><DTPRICEASOF>${DataExporter.ofxDate(row.quoteTime || now)}</DTPRICEASOF><MEMO>${xml(`Source: ${row.dataSource}`)}</MEMO>${currency}</INVPOS></POSSTOCK>`;
+                });
+            sections.push(`<INVPOSLIST>${positions.join('')}</INVPOSLIST>`);
+        }
+
+        const securities = Array.from(symbols)
+            .map(symbol => `<STOCKINFO><SECINFO>${secId(symbol)}<SECNAME>${xml(symbol)}</SECNAME><TICKER>${xml(symbol)}</TICKER></SECINFO></STOCKINFO>`)
+            .join('');
+        const status = '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>';
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+            '<OFX>',
+            `<SIGNONMSGSRSV1><SONRS>${status}<DTSERVER>${DataExporter.ofxDate(now)}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+            '<INVSTMTMSGSRSV1><INVSTMTTRNRS>',
+            `<TRNUID>${SecurityManager.generateSecureToken(8)}</TRNUID>${status}`,
+            `<INVSTMTRS><DTASOF>${DataExporter.ofxDate(now)}</DTASOF><CURDEF>${AppState.settings.baseCurrency}</CURDEF>`,
+            `<INVACCTFROM><BROKERID>personal-finance-tracker</BROKERID><ACCTID>${xml(record.id)}</ACCTID></INVACCTFROM>`,
+            ...sections,
+            '</INVSTMTRS></INVSTMTTRNRS></INVSTMTMSGSRSV1>',
+            securities ? `<SECLISTMSGSRSV1><SECLIST>${securities}</SECLIST></SECLISTMSGSRSV1>` : '',
+            '</OFX>'
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Offer content to the user as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type
+     */
+    static download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/**
+ * Portfolio Value History
+ * Stores one valuation per day for each portfolio and derives period returns.
+ * Time-weighted return removes the effect of deposits and withdrawals; the
+ * money-weighted return (IRR) reflects the timing of the investor's own trades.
+ */
+class PortfolioHistory {
+    /**
+     * Read every portfolio's history from localStorage
+     * @returns {Object} Map of portfolio id to { currency, points, backfillSignature }
+     */
+    static loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem('portfolioHistory') || '{}') || {};
+        } catch (error) {
+            console.warn('Invalid stored portfolio history, starting fresh:', error);
+            return {};
+        }
+    }
+
+    static saveAll(histories) {
+        localStorage.setItem('portfolioHistory', JSON.stringify(histories));
+    }
+
+    /**
+     * Daily points for a portfolio valued in the requested currency
+     * @param {string} portfolioId - Portfolio identifier
+     * @param {string} currency - Currency to report values in
+     * @returns {Array<Object>} Points of shape { date, value, backfilled } in date order
+     */
+    static getPoints(portfolioId, currency) {
+        const history = PortfolioHistory.loadAll()[portfolioId];
+        if (!history) {
+            return [];
+        }
+        return PortfolioHistory.convertPoints(history.points, history.currency, currency);
+    }
+
+    /**
+     * Revalue points in another currency at the loaded rates, dropping any that cannot be converted
+     */
+    static convertPoints(points, fromCurrency, toCurrency) {
+        if (!fromCurrency || fromCurrency === toCurrency) {
+            return points;
+        }
+        return points
+            .map(point => ({ ...point, value: convertAmount(point.value, fromCurrency, toCurrency) }))
+            .filter(point => point.value !== null);
+    }
+
+    /**
+     * Store points for a portfolio, keeping recorded snapshots over back-filled ones
+     * @param {string} portfolioId - Portfolio identifier
+     * @param {Array<Object>} points - Points of shape { date, value, backfilled? }
+     * @param {string} currency - Currency the points are valued in
+     * @param {Object} options - { backfillSignature } replaces all earlier back-filled points
+     */
+    static merge(portfolioId, points, currency, options = {}) {
+        const histories = PortfolioHistory.loadAll();
+        const existing = histories[portfolioId] || { currency, points: [], backfillSignature: null };
+        const byDate = new Map();
+
+        PortfolioHistory.convertPoints(existing.points, existing.currency, currency)
+            .filter(point => !(options.backfillSignature && point.backfilled))
+            .forEach(point => byDate.set(point.date, point));
+
+        points.forEach(point => {
+            const current = byDate.get(point.date);
+            if (point.backfilled && current && !current.backfilled) {
+                return;
+            }
+            byDate.set(point.date, {
+                date: point.date,
+                value: Math.round(point.value * 100) / 100,
+                ...(point.backfilled ? { backfilled: true } : {})
+            });
+        });
+
+        histories[portfolioId] = {
+            currency,
+            points: [...byDate.values()]
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .slice(-APP_CONSTANTS.HISTORY.MAX_POINTS),
+            backfillSignature: options.backfillSignature || existing.backfillSignature
+        };
+        PortfolioHistory.saveAll(histories);
+    }
+
+    /**
+     * Record (or overwrite) the valuation for one day
+     */
+    static recordSnapshot(portfolioId, date, value, currency) {
+        PortfolioHistory.merge(portfolioId, [{ date, value }], currency);
+    }
+
+    static getBackfillSignature(portfolioId) {
+        const history = PortfolioHistory.loadAll()[portfolioId];
+        return history ? history.backfillSignature : null;
+    }
+
+    static remove(portfolioId) {
+        const histories = PortfolioHistory.loadAll();
+        delete histories[portfolioId];
+        PortfolioHistory.saveAll(histories);
+    }
+
+    /**
+     * Signature of a journal; back-fill is redone when the transactions change
+     * @param {Array<Object>} transactions - Normalized transactions
+     * @returns {string} Signature
+     */
+    static signature(transactions) {
+        const fingerprints = transactions.map(tx => TransactionLedger.fingerprint(tx)).sort();
+        return `${transactions.length}:${hashString(fingerprints.join(';'))}`;
+    }
+
+    /**
+     * Net external cash flow into the portfolio per day, in the target currency
+     * Cash is not held in the portfolio, so buys add money, while sale proceeds
+     * and dividends leave it. Fees are paid in without adding value.
+     * @param {Array<Object>} transactions - Normalized transactions
+     * @param {string} currency - Target currency
+     * @returns {Map<string, number>} Date to net flow
+     */
+    static computeFlows(transactions, currency) {
+        const flows = new Map();
+        const currencies = {};
+
+        TransactionLedger.sortTransactions(transactions).forEach(tx => {
+            if (tx.type === 'BUY' && tx.symbol && !currencies[tx.symbol]) {
+                currencies[tx.symbol] = tx.currency || 'USD';
+            }
+
+            let flow = 0;
+            switch (tx.type) {
+                case 'BUY':
+                    // Shares with an unknown cost are treated as transferred in at no cost
+                    flow = tx.price !== null ? (tx.quantity * tx.price) + tx.fees : 0;
+                    break;
+                case 'SELL':
+                    flow = -((tx.quantity * tx.price) - tx.fees);
+                    break;
+                case 'DIVIDEND':
+                    flow = -(tx.amount - tx.fees);
+                    break;
+                case 'FEE':
+                    flow = tx.amount + tx.fees;
+                    break;
+            }
+
+            const converted = convertAmount(flow, tx.currency || currencies[tx.symbol] || 'USD', currency);
+            if (flow !== 0 && converted !== null) {
+                flows.set(tx.date, (flows.get(tx.date) || 0) + converted);
+            }
+        });
+
+        return flows;
+    }
+
+    /**
+     * First date covered by a period
+     * @param {string} period - Key of APP_CONSTANTS.HISTORY.PERIODS
+     * @param {string} today - Current date (YYYY-MM-DD)
+     * @returns {string|null} Start date, or null for all history
+     */
+    static periodStart(period, today) {
+        if (period === 'YTD') {
+            return `${today.slice(0, 4)}-01-01`;
+        }
+        const days = APP_CONSTANTS.HISTORY.PERIODS[period];
+        return days ? shiftDate(today, -days) : null;
+    }
+
+    /**
+     * Points within a period, anchored on the last valuation before it starts
+     * @param {Array<Object>} points - Points in date order
+     * @param {string} period - Period key
+     * @param {string} today - Current date (YYYY-MM-DD)
+     * @returns {Array<Object>} Points for the period
+     */
+    static selectPeriod(points, period, today) {
+        const start = PortfolioHistory.periodStart(period, today);
+        if (!start) {
+            return points;
+        }
+        const firstInside = points.findIndex(point => point.date >= start);
+        if (firstInside === -1) {
+            return [];
+        }
+        return points.slice(firstInside === 0 || points[firstInside].date === start ? firstInside : firstInside - 1);
+    }
+
+    /**
+     * Flows strictly after one date and up to and including another
+     */
+    static flowBetween(flows, afterDate, throughDate) {
+        let total = 0;
+        flows.forEach((flow, date) => {
+            if (date > afterDate && date <= throughDate) {
+                total += flow;
+            }
+        });
+        return total;
+    }
+
+    /**
+     * Time-weighted return, chaining the return of each interval between valuations
+     * @param {Array<Object>} points - Points in date order
+     * @param {Map<string, number>} flows - Net flow per date
+     * @returns {number|null} Return as a fraction, or null without a valued interval
+     */
+    static timeWeightedReturn(points, flows) {
+        let growth = 1;
+        let intervals = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1].value;
+            // Intervals starting from an empty portfolio carry no return
+            if (previous <= 0) continue;
+
+            const flow = PortfolioHistory.flowBetween(flows, points[i - 1].date, points[i].date);
+            growth *= 1 + ((points[i].value - flow - previous) / previous);
+            intervals++;
+        }
+
+        return intervals > 0 ? growth - 1 : null;
+    }
+
+    /**
+     * Money-weighted return: the internal rate of return of the period's cash flows,
+     * treating the opening value as invested and the closing value as withdrawn
+     * @param {Array<Object>} points - Points in date order
+     * @param {Map<string, number>} flows - Net flow per date
+     * @returns {Object|null} { periodReturn, annualizedReturn, days }
+     */
+    static moneyWeightedReturn(points, flows) {
+        if (points.length < 2) {
+            return null;
+        }
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const days = (Date.parse(last.date) - Date.parse(first.date)) / 86400000;
+        if (days <= 0) {
+            return null;
+        }
+
+        // Times are measured as a fraction of the period so the solved rate is the period's return
+        const cashFlows = [{ time: 0, amount: -first.value }];
+        flows.forEach((flow, date) => {
+            if (date > first.date && date <= last.date) {
+                cashFlows.push({ time: ((Date.parse(date) - Date.parse(first.date)) / 86400000) / days, amount: -flow });
+            }
+        });
+        cashFlows.push({ time: 1, amount: last.value });
+
+        const periodReturn = PortfolioHistory.internalRate(cashFlows);
+        if (periodReturn === null) {
+            return null;
+        }
+
+        return {
+            periodReturn,
+            annualizedReturn: Math.pow(1 + periodReturn, 365 / days) - 1,
+            days
+        };
+    }
+
+    /**
+     * Compare the portfolio's time-weighted path with a benchmark over the same dates
+     * Alpha is the return not explained by the portfolio's beta to the benchmark
+     * (no risk-free rate is deducted); tracking difference is the plain return gap.
+     * @param {Array<Object>} points - Portfolio points in date order
+     * @param {Map<string, number>} flows - Net flow per date
+     * @param {Array<Object>} benchmarkBars - Benchmark daily bars in date order
+     * @returns {Object|null} { portfolio, benchmark, portfolioReturn, benchmarkReturn, trackingDifference, beta, alpha }
+     */
+    static compareWithBenchmark(points, flows, benchmarkBars) {
+        const closeOn = (date) => {
+            for (let i = benchmarkBars.length - 1; i >= 0; i--) {
+                if (benchmarkBars[i].date <= date) return benchmarkBars[i].close;
+            }
+            return null;
+        };
+
+        const aligned = points
+            .map(point => ({ ...point, benchmark: closeOn(point.date) }))
+            .filter(point => point.benchmark !== null);
+        if (aligned.length < 2) {
+            return null;
+        }
+
+        const portfolio = [{ date: aligned[0].date, value: 0 }];
+        const benchmark = [{ date: aligned[0].date, value: 0 }];
+        const portfolioReturns = [];
+        const benchmarkReturns = [];
+        let growth = 1;
+
+        for (let i = 1; i < aligned.length; i++) {
+            const previous = aligned[i - 1];
+            const current = aligned[i];
+            const benchmarkReturn = current.benchmark / previous.benchmark - 1;
+
+            if (previous.value > 0) {
+                const flow = PortfolioHistory.flowBetween(flows, previous.date, current.date);
+                const periodReturn = (current.value - flow - previous.value) / previous.value;
+                growth *= 1 + periodReturn;
+                portfolioReturns.push(periodReturn);
+                benchmarkReturns.push(benchmarkReturn);
+            }
+
+            portfolio.push({ date: current.date, value: growth - 1 });
+            benchmark.push({ date: current.date, value: current.benchmark / aligned[0].benchmark - 1 });
+        }
+
+        const portfolioReturn = growth - 1;
+        const benchmarkReturn = benchmark[benchmark.length - 1].value;
+
+        // Beta needs a few paired intervals to mean anything
+        let beta = null;
+        if (benchmarkReturns.length >= 3) {
+            const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+            const meanPortfolio = mean(portfolioReturns);
+            const meanBenchmark = mean(benchmarkReturns);
+            let covariance = 0;
+            let variance = 0;
+            benchmarkReturns.forEach((value, i) => {
+                covariance += (portfolioReturns[i] - meanPortfolio) * (value - meanBenchmark);
+                variance += (value - meanBenchmark) ** 2;
+            });
+            beta = variance > 0 ? covariance / variance : null;
+        }
+
+        return {
+            portfolio,
+            benchmark,
+            portfolioReturn,
+            benchmarkReturn,
+            trackingDifference: portfolioReturn - benchmarkReturn,
+            beta,
+            alpha: beta !== null ? portfolioReturn - beta * benchmarkReturn : null
+        };
+    }
+
+    /**
+     * Solve for the rate that discounts cash flows to zero
+     * Uses Newton's method and falls back to bisection when it does not converge.
+     * @param {Array<Object>} cashFlows - Flows of shape { time, amount }
+     * @returns {number|null} Rate per time unit, or null when no rate exists
+     */
+    static internalRate(cashFlows) {
+        const presentValue = (rate) => cashFlows.reduce((sum, cf) => sum + cf.amount / Math.pow(1 + rate, cf.time), 0);
+        const derivative = (rate) => cashFlows.reduce((sum, cf) => sum - cf.time * cf.amount / Math.pow(1 + rate, cf.time + 1), 0);
+
+        if (!cashFlows.some(cf => cf.amount > 0) || !cashFlows.some(cf => cf.amount < 0)) {
+            return null;
+        }
+
+        let rate = 0.01;
+        for (let i = 0; i < 50; i++) {
+            const value = presentValue(rate);
+            const slope = derivative(rate);
+            if (Math.abs(value) < 1e-7) return rate;
+            if (!slope || !isFinite(slope)) break;
+            const next = rate - value / slope;
+            if (!isFinite(next) || next <= -1) break;
+            rate = next;
+        }
+
+        let low = -0.9999;
+        let high = 1;
+        while (presentValue(low) * presentValue(high) > 0 && high < 1e6) {
+            high *= 10;
+        }
+        if (presentValue(low) * presentValue(high) > 0) {
+            return null;
+        }
+
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            if (presentValue(low) * presentValue(mid) <= 0) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Rebuild past valuations from the journal and daily closing prices
+     * @param {Array<Object>} transactions - Normalized transactions
+     * @param {Map<string, Array<Object>>} series - Symbol to daily bars in date order
+     * @param {string} startDate - First date to value (YYYY-MM-DD)
+     * @param {string} endDate - Dates before this one are valued
+     * @param {string} currency - Currency to value in
+     * @returns {Array<Object>} Back-filled points
+     */
+    static buildBackfill(transactions, series, startDate, endDate, currency) {
+        const dates = new Set();
+        series.forEach(bars => bars.forEach(bar => {
+            if (bar.date >= startDate && bar.date < endDate) {
+                dates.add(bar.date);
+            }
+        }));
+
+        const closeOn = (symbol, date) => {
+            const bars = series.get(symbol) || [];
+            for (let i = bars.length - 1; i >= 0; i--) {
+                if (bars[i].date <= date) return bars[i].close;
+            }
+            return null;
+        };
+
+        const points = [];
+        [...dates].sort().forEach(date => {
+            const { positions } = TransactionLedger.replay(transactions.filter(tx => tx.date <= date));
+            let value = 0;
+            let complete = true;
+
+            positions.forEach(position => {
+                const quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+                if (quantity <= 1e-9) return;
+
+                const close = closeOn(position.symbol, date);
+                const converted = close !== null
+                    ? convertAmount(quantity * close, Instrument.quoteCurrency(position.symbol, position.currency || 'USD'), currency)
+                    : null;
+                if (converted === null) {
+                    complete = false;
+                } else {
+                    value += converted;
+                }
+            });
+
+            // A day with any holding left unpriced would show a false dip
+            if (complete) {
+                points.push({ date, value, backfilled: true });
+            }
+        });
+
+        return points;
+    }
+}
+
+/**
+ * Price Alert Rules
+ * Rules on a symbol's price, daily change or moving average, kept in localStorage.
+ * Each rule has a cooldown so a condition that stays true does not fire on every refresh.
+ */
+class PriceAlerts {
+    static loadRules() {
+        try {
+            const rules = JSON.parse(localStorage.getItem('priceAlerts') || '[]');
+            // Rules saved before symbols were normalized may use aliases such as BRK.B
+            return Array.isArray(rules)
+                ? rules.map(rule => ({ ...rule, symbol: Instrument.normalize(rule.symbol) || rule.symbol }))
+                : [];
+        } catch (error) {
+            console.warn('Invalid stored price alerts, starting fresh:', error);
+            return [];
+        }
+    }
+
+    static saveRules(rules) {
+        localStorage.setItem('priceAlerts', JSON.stringify(rules));
+    }
+
+    static loadLog() {
+        try {
+            const log = JSON.parse(localStorage.getItem('priceAlertLog') || '[]');
+            return Array.isArray(log) ? log : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Add a triggered alert to the in-app log, newest first
+     */
+    static appendLog(entry) {
+        const log = [entry, ...PriceAlerts.loadLog()].slice(0, APP_CONSTANTS.ALERTS.MAX_LOG_ENTRIES);
+        localStorage.setItem('priceAlertLog', JSON.stringify(log));
+    }
+
+    /**
+     * Validate a new rule
+     * @param {Object} fields - { symbol, type, threshold, period }
+     * @returns {Object} Rule ready to store
+     * @throws {Error} When a field is missing or invalid
+     */
+    static createRule(fields) {
+        const symbol = Instrument.normalize(String(fields.symbol || '')) || '';
+        if (!SecurityManager.validateStockSymbol(symbol)) {
+            throw new Error('Invalid stock symbol provided');
+        }
+
+        const type = String(fields.type || '').toUpperCase();
+        if (!APP_CONSTANTS.ALERTS.TYPES.includes(type)) {
+            throw new Error(`Unknown alert type: ${fields.type}`);
+        }
+
+        const rule = {
+            id: SecurityManager.generateSecureToken(8),
+            symbol,
+            type,
+            threshold: null,
+            period: null,
+            enabled: true,
+            cooldown: APP_CONSTANTS.ALERTS.COOLDOWN,
+            snoozedUntil: null,
+            lastTriggered: null,
+            lastSide: null,
+            createdAt: new Date().toISOString()
+        };
+
+        if (type === 'MA_CROSS') {
+            const period = parseInt(fields.period, 10);
+            const { MIN_MA_PERIOD, MAX_MA_PERIOD } = APP_CONSTANTS.ALERTS;
+            if (!(period >= MIN_MA_PERIOD && period <= MAX_MA_PERIOD)) {
+                throw new Error(`Moving average period must be between ${MIN_MA_PERIOD} and ${MAX_MA_PERIOD} days`);
+            }
+            rule.period = period;
+        } else {
+            if (!SecurityManager.validateAmount(fields.threshold)) {
+                throw new Error(type === 'CHANGE_BEYOND' ? 'Change threshold must be a positive percentage' : 'Price must be a positive number');
+            }
+            rule.threshold = parseFloat(fields.threshold);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Human-readable condition of a rule
+     */
+    static describe(rule) {
+        switch (rule.type) {
+            case 'PRICE_ABOVE':
+                return `${rule.symbol} at or above ${rule.threshold}`;
+            case 'PRICE_BELOW':
+                return `${rule.symbol} at or below ${rule.threshold}`;
+            case 'CHANGE_BEYOND':
+                return `${rule.symbol} moves ±${rule.threshold}% in a day`;
+            case 'MA_CROSS':
+                return `${rule.symbol} crosses its ${rule.period}-day moving average`;
+            default:
+                return rule.symbol;
+        }
+    }
+
+    /**
+     * Simple moving average of the latest closes
+     * @param {Array<number>} closes - Daily closes in date order
+     * @param {number} period - Number of closes to average
+     * @returns {number|null} Average, or null with too little history
+     */
+    static movingAverage(closes, period) {
+        if (closes.length < period) {
+            return null;
+        }
+        return closes.slice(-period).reduce((sum, close) => sum + close, 0) / period;
+    }
+
+    /**
+     * Check a rule's condition against the latest quote
+     * Moving average rules fire on a change of side, so the first check only records the side.
+     * @param {Object} rule - Alert rule
+     * @param {Object} quote - Latest quote with price and changePercent
+     * @param {Array<number>} closes - Daily closes, needed for moving average rules
+     * @returns {Object} { triggered, message, side }
+     */
+    static evaluate(rule, quote, closes = []) {
+        const price = quote.price;
+
+        switch (rule.type) {
+            case 'PRICE_ABOVE':
+                return { triggered: price >= rule.threshold, message: `${rule.symbol} is at ${price.toFixed(2)}, at or above ${rule.threshold}` };
+            case 'PRICE_BELOW':
+                return { triggered: price <= rule.threshold, message: `${rule.symbol} is at ${price.toFixed(2)}, at or below ${rule.threshold}` };
+            case 'CHANGE_BEYOND':
+                return {
+                    triggered: Math.abs(quote.changePercent) >= rule.threshold,
+                    message: `${rule.symbol} ${quote.changePercent >= 0 ? 'is up' : 'is down'} ${Math.abs(quote.changePercent).toFixed(2)}% today`
+                };
+            case 'MA_CROSS': {
+                const average = PriceAlerts.movingAverage(closes, rule.period);
+                if (average === null) {
+                    return { triggered: false, message: '', side: rule.lastSide };
+                }
+                const side = price >= average ? 'above' : 'below';
+                return {
+                    triggered: rule.lastSide !== null && rule.lastSide !== side,
+                    message: `${rule.symbol} crossed ${side} its ${rule.period}-day moving average (${average.toFixed(2)}) at ${price.toFixed(2)}`,
+                    side
+                };
+            }
+            default:
+                return { triggered: false, message: '' };
+        }
+    }
+
+    /**
+     * Whether a rule should be checked now
+     */
+    static isActive(rule, now = Date.now()) {
+        return rule.enabled && !(rule.snoozedUntil && new Date(rule.snoozedUntil).getTime() > now);
+    }
+
+    /**
+     * Whether a rule fired too recently to fire again
+     */
+    static inCooldown(rule, now = Date.now()) {
+        return Boolean(rule.lastTriggered) && now - new Date(rule.lastTriggered).getTime() < rule.cooldown;
+    }
+}
+
+/**
+ * Dividend Schedule
+ * Derives yields, projected payments and unrecorded receipts from a symbol's
+ * dividend history (ex-date, payment date and cash amount per share).
+ */
+class DividendSchedule {
+    /**
+     * Dividends with an ex-date in the twelve months up to a date
+     */
+    static trailingTwelveMonths(dividends, asOf) {
+        const start = shiftDate(asOf, -365);
+        return dividends.filter(dividend => dividend.exDate > start && dividend.exDate <= asOf);
+    }
+
+    /**
+     * Payments per year inferred from the last twelve months
+     * @returns {number|null} 12, 4, 2 or 1, or null when nothing was paid
+     */
+    static frequency(dividends, asOf) {
+        const count = DividendSchedule.trailingTwelveMonths(dividends, asOf).length;
+        if (count === 0) return null;
+        if (count >= 10) return 12;
+        if (count >= 3) return 4;
+        return count;
+    }
+
+    /**
+     * Dividends per share paid over the last twelve months
+     */
+    static trailingAnnual(dividends, asOf) {
+        return DividendSchedule.trailingTwelveMonths(dividends, asOf)
+            .reduce((sum, dividend) => sum + dividend.amount, 0);
+    }
+
+    /**
+     * Expected dividends per share over the next twelve months: the latest
+     * declared amount at the current frequency, or the overview's annual figure
+     * @param {Array<Object>} dividends - Dividend history in ex-date order
+     * @param {string} asOf - Current date (YYYY-MM-DD)
+     * @param {number|null} annualDividend - Annual dividend per share from the company overview
+     * @returns {number} Forward annual dividend per share
+     */
+    static forwardAnnual(dividends, asOf, annualDividend = null) {
+        const frequency = DividendSchedule.frequency(dividends, asOf);
+        if (frequency && dividends.length > 0) {
+            return dividends[dividends.length - 1].amount * frequency;
+        }
+        return annualDividend || 0;
+    }
+
+    /**
+     * Payments expected in the next twelve months, per share
+     * Declared dividends are used as announced; later ones repeat the latest
+     * amount at the inferred frequency.
+     * @param {Array<Object>} dividends - Dividend history in ex-date order
+     * @param {string} asOf - Current date (YYYY-MM-DD)
+     * @returns {Array<Object>} Payments of shape { paymentDate, exDate, amount, declared }
+     */
+    static projectPayments(dividends, asOf) {
+        const end = shiftDate(asOf, 365);
+        const payDate = (dividend) => dividend.paymentDate || dividend.exDate;
+        const payments = dividends
+            .filter(dividend => payDate(dividend) > asOf && payDate(dividend) <= end)
+            .map(dividend => ({ ...dividend, paymentDate: payDate(dividend), declared: true }));
+
+        const frequency = DividendSchedule.frequency(dividends, asOf);
+        if (!frequency || dividends.length === 0) {
+            return payments;
+        }
+
+        const latest = dividends[dividends.length - 1];
+        const stepDays = Math.round(365 / frequency);
+        let exDate = latest.exDate;
+        let paymentDate = payDate(latest);
+        // Skip ahead to the first cycle that is not already declared or paid
+        for (let i = 0; i < frequency * 2; i++) {
+            exDate = shiftDate(exDate, stepDays);
+            paymentDate = shiftDate(paymentDate, stepDays);
+            if (paymentDate > end) break;
+            if (paymentDate > asOf) {
+                payments.push({ exDate, paymentDate, amount: latest.amount, declared: false });
+            }
+        }
+
+        return payments.sort((a, b) => a.paymentDate.localeCompare(b.paymentDate));
+    }
+
+    /**
+     * Shares of a symbol held at the close before a date (the ex-date rule)
+     */
+    static sharesHeldBefore(transactions, symbol, date) {
+        const { positions } = TransactionLedger.replay(
+            transactions.filter(tx => tx.date < date && tx.symbol === symbol)
+        );
+        const position = positions.get(symbol);
+        return position ? position.lots.reduce((sum, lot) => sum + lot.quantity, 0) : 0;
+    }
+
+    /**
+     * Paid dividends the portfolio was entitled to but that have no ledger entry
+     * An entry for the same symbol within a few days of the payment date counts as recorded.
+     * @param {string} symbol - Stock symbol
+     * @param {Array<Object>} dividends - Dividend history
+     * @param {Array<Object>} transactions - Ledger transactions
+     * @param {string} asOf - Current date (YYYY-MM-DD)
+     * @returns {Array<Object>} Dividends with { shares, total } added
+     */
+    static findUnrecorded(symbol, dividends, transactions, asOf) {
+        const recorded = transactions.filter(tx => tx.type === 'DIVIDEND' && tx.symbol === symbol);
+        const matchDays = APP_CONSTANTS.DIVIDENDS.MATCH_WINDOW_DAYS;
+
+        return dividends
+            .filter(dividend => (dividend.paymentDate || dividend.exDate) <= asOf)
+            .map(dividend => {
+                const shares = DividendSchedule.sharesHeldBefore(transactions, symbol, dividend.exDate);
+                return { ...dividend, symbol, shares, total: shares * dividend.amount };
+            })
+            .filter(dividend => dividend.shares > 1e-9)
+            .filter(dividend => {
+                const paid = dividend.paymentDate || dividend.exDate;
+                return !recorded.some(tx => tx.date >= shiftDate(paid, -matchDays) && tx.date <= shiftDate(paid, matchDays));
+            });
+    }
+}
+
+/**
+ * Risk Analytics
+ * Volatility, beta, risk-adjusted return, drawdown and correlation from daily
+ * closing prices. Return arrays hold simple daily returns in date order.
+ */
+class RiskAnalytics {
+    /**
+     * Daily returns of several symbols over the dates they all traded
+     * @param {Object<string, Array<Object>>} seriesBySymbol - Daily bars ({ date, close }) per symbol
+     * @returns {Object} { dates, returns: { [symbol]: number[] } }; dates[i] is the end of return i
+     */
+    static alignReturns(seriesBySymbol) {
+        const symbols = Object.keys(seriesBySymbol);
+        const closes = symbols.map(symbol => new Map(seriesBySymbol[symbol]
+            .filter(bar => bar.close > 0)
+            .map(bar => [bar.date.slice(0, 10), bar.close])));
+        const dates = symbols.length === 0 ? [] : [...closes[0].keys()]
+            .filter(date => closes.every(byDate => byDate.has(date)))
+            .sort();
+
+        const returns = {};
+        symbols.forEach((symbol, index) => {
+            const byDate = closes[index];
+            returns[symbol] = dates.slice(1).map((date, i) => byDate.get(date) / byDate.get(dates[i]) - 1);
+        });
+        return { dates: dates.slice(1), returns };
+    }
+
+    static mean(values) {
+        return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    /**
+     * Sample covariance of two equally long return arrays
+     */
+    static covariance(a, b) {
+        if (a.length < 2) return 0;
+        const meanA = RiskAnalytics.mean(a);
+        const meanB = RiskAnalytics.mean(b);
+        return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+    }
+
+    /**
+     * Annualized standard deviation of daily returns
+     */
+    static volatility(returns) {
+        return Math.sqrt(RiskAnalytics.covariance(returns, returns) * APP_CONSTANTS.RISK.TRADING_DAYS);
+    }
+
+    /**
+     * Sensitivity to the benchmark: cov(r, b) / var(b)
+     * @returns {number|null} Beta, or null when the benchmark did not move
+     */
+    static beta(returns, benchmarkReturns) {
+        const variance = RiskAnalytics.covariance(benchmarkReturns, benchmarkReturns);
+        return variance > 0 ? RiskAnalytics.covariance(returns, benchmarkReturns) / variance : null;
+    }
+
+    /**
+     * Pearson correlation of two return arrays
+     * @returns {number|null} Correlation in [-1, 1], or null when either series is flat
+     */
+    static correlation(a, b) {
+        const denominator = Math.sqrt(RiskAnalytics.covariance(a, a) * RiskAnalytics.covariance(b, b));
+        return denominator > 0 ? Math.max(-1, Math.min(1, RiskAnalytics.covariance(a, b) / denominator)) : null;
+    }
+
+    /**
+     * Annualized excess return per unit of annualized volatility
+     * @returns {number|null} Sharpe ratio, or null without volatility
+     */
+    static sharpeRatio(returns, riskFreeRate = APP_CONSTANTS.RISK.RISK_FREE_RATE) {
+        const volatility = RiskAnalytics.volatility(returns);
+        if (!(volatility > 0)) return null;
+        return (RiskAnalytics.mean(returns) * APP_CONSTANTS.RISK.TRADING_DAYS - riskFreeRate) / volatility;
+    }
+
+    /**
+     * Like the Sharpe ratio, but only returns below the daily risk-free rate count as risk
+     * @returns {number|null} Sortino ratio, or null when no day fell short of the target
+     */
+    static sortinoRatio(returns, riskFreeRate = APP_CONSTANTS.RISK.RISK_FREE_RATE) {
+        if (returns.length === 0) return null;
+        const days = APP_CONSTANTS.RISK.TRADING_DAYS;
+        const target = riskFreeRate / days;
+        const downside = Math.sqrt(returns
+            .reduce((sum, value) => sum + Math.pow(Math.min(0, value - target), 2), 0) / returns.length * days);
+        if (!(downside > 0)) return null;
+        return (RiskAnalytics.mean(returns) * days - riskFreeRate) / downside;
+    }
+
+    /**
+     * Largest peak-to-trough fall of the growth of 1 invested at the start
+     * @param {Array<number>} returns - Daily returns
+     * @param {Array<string>} dates - End date of each return
+     * @returns {Object} { drawdown (negative fraction, 0 if none), peakDate, troughDate }
+     */
+    static maxDrawdown(returns, dates = []) {
+        let value = 1;
+        let peak = 1;
+        let peakIndex = -1;
+        const worst = { drawdown: 0, peakDate: null, troughDate: null };
+
+        returns.forEach((dailyReturn, i) => {
+            value *= 1 + dailyReturn;
+            if (value > peak) {
+                peak = value;
+                peakIndex = i;
+            }
+            const drawdown = value / peak - 1;
+            if (drawdown < worst.drawdown) {
+                worst.drawdown = drawdown;
+                worst.peakDate = peakIndex >= 0 ? dates[peakIndex] || null : null;
+                worst.troughDate = dates[i] || null;
+            }
+        });
+        return worst;
+    }
+
+    /**
+     * Daily returns of a portfolio held at constant weights
+     * @param {Object<string, number[]>} returns - Aligned daily returns per symbol
+     * @param {Object<string, number>} weights - Weight per symbol, summing to 1
+     * @returns {Array<number>} Portfolio daily returns
+     */
+    static weightedReturns(returns, weights) {
+        const symbols = Object.keys(weights);
+        const length = symbols.length ? returns[symbols[0]].length : 0;
+        return Array.from({ length }, (_, i) =>
+            symbols.reduce((sum, symbol) => sum + weights[symbol] * returns[symbol][i], 0));
+    }
+
+    /**
+     * All figures for one return series
+     * @param {Array<number>} returns - Daily returns
+     * @param {Array<number>|null} benchmarkReturns - Benchmark daily returns on the same dates
+     * @param {Array<string>} dates - End date of each return
+     * @returns {Object} { volatility, beta, sharpe, sortino, maxDrawdown, annualReturn }
+     */
+    static summarize(returns, benchmarkReturns, dates) {
+        return {
+            annualReturn: RiskAnalytics.mean(returns) * APP_CONSTANTS.RISK.TRADING_DAYS,
+            volatility: RiskAnalytics.volatility(returns),
+            beta: benchmarkReturns ? RiskAnalytics.beta(returns, benchmarkReturns) : null,
+            sharpe: RiskAnalytics.sharpeRatio(returns),
+            sortino: RiskAnalytics.sortinoRatio(returns),
+            maxDrawdown: RiskAnalytics.maxDrawdown(returns, dates)
+        };
+    }
+
+    /**
+     * Pairwise correlations between symbols
+     * @returns {Array<Array<number|null>>} Matrix in the order of the symbols argument
+     */
+    static correlationMatrix(symbols, returns) {
+        return symbols.map(rowSymbol => symbols.map(columnSymbol =>
+            rowSymbol === columnSymbol ? 1 : RiskAnalytics.correlation(returns[rowSymbol], returns[columnSymbol])));
+    }
+}
+
+/**
+ * Rebalance Planner
+ * Compares positions with target weights and works out the trades that bring
+ * them back to target. Positions are valued in the base currency.
+ */
+class RebalancePlanner {
+    /**
+     * Current weight, target and drift per group
+     * @param {Array<Object>} positions - { symbol, group, value }
+     * @param {Object<string, number>} targets - Target percent per group
+     * @returns {Array<Object>} { key, value, percent, target, drift, symbols }; drift is in percentage points
+     */
+    static computeDrift(positions, targets) {
+        const total = positions.reduce((sum, position) => sum + position.value, 0);
+        const groups = new Map();
+
+        positions.forEach(position => {
+            if (!groups.has(position.group)) {
+                groups.set(position.group, { key: position.group, value: 0, symbols: [] });
+            }
+            const group = groups.get(position.group);
+            group.value += position.value;
+            group.symbols.push(position.symbol);
+        });
+
+        // Targets for groups with nothing held still need buying
+        Object.keys(targets).forEach(key => {
+            if (!groups.has(key) && targets[key] > 0) {
+                groups.set(key, { key, value: 0, symbols: [] });
+            }
+        });
+
+        return [...groups.values()].map(group => {
+            const percent = total > 0 ? (group.value / total) * 100 : 0;
+            const target = targets[group.key] || 0;
+            return { ...group, percent, target, drift: percent - target };
+        }).sort((a, b) => b.target - a.target || b.value - a.value);
+    }
+
+    /**
+     * Whether any group has drifted further than the tolerance
+     */
+    static needsRebalance(groups, tolerance) {
+        return groups.some(group => Math.abs(group.drift) > tolerance);
+    }
+
+    /**
+     * Trades that move every group to its target, spreading a group's trade over
+     * its holdings in proportion to their value
+     * Buys round down and sales round up, so the trades never spend more than
+     * the sale proceeds plus the cash to deploy.
+     * @param {Array<Object>} positions - { symbol, group, value, quantity, price, currency, rate };
+     *   price is per share in the trade currency and rate converts it to the base currency
+     * @param {Object<string, number>} targets - Target percent per group, summing to 100
+     * @param {Object} options - { cash: base-currency cash to invest, fractional: allow fractional shares }
+     * @returns {Object} { trades: [{ symbol, group, action, quantity, price, currency, value }], unmatched, cashLeft }
+     */
+    static suggestTrades(positions, targets, options = {}) {
+        const cash = options.cash || 0;
+        const factor = options.fractional ? Math.pow(10, APP_CONSTANTS.REBALANCE.FRACTIONAL_DIGITS) : 1;
+        const total = positions.reduce((sum, position) => sum + position.value, 0) + cash;
+        const groups = RebalancePlanner.computeDrift(positions, targets);
+        const trades = [];
+        const unmatched = [];
+        let cashLeft = cash;
+
+        groups.forEach(group => {
+            const difference = (total * group.target) / 100 - group.value;
+            const members = positions.filter(position => position.group === group.key);
+
+            if (members.length === 0) {
+                unmatched.push(group.key);
+                return;
+            }
+
+            members.forEach(position => {
+                const share = group.value > 0 ? position.value / group.value : 1 / members.length;
+                const amount = difference * share;
+                const unitValue = position.price * position.rate;
+                if (!(unitValue > 0) || amount === 0) return;
+
+                const rawQuantity = (Math.abs(amount) / unitValue) * factor;
+                const quantity = amount > 0
+                    ? Math.floor(rawQuantity) / factor
+                    : Math.min(position.quantity, Math.ceil(rawQuantity - 1e-9) / factor);
+                if (quantity <= 0) return;
+
+                const value = quantity * unitValue;
+                cashLeft += amount > 0 ? -value : value;
+                trades.push({
+                    symbol: position.symbol,
+                    group: group.key,
+                    action: amount > 0 ? 'BUY' : 'SELL',
+                    quantity,
+                    price: position.price,
+                    currency: position.currency,
+                    value
+                });
+            });
+        });
+
+        // Sales first, so their proceeds fund the buys
+        trades.sort((a, b) => (a.action === b.action ? b.value - a.value : (a.action === 'SELL' ? -1 : 1)));
+        return { trades, unmatched, cashLeft };
+    }
+}
+
+/**
+ * Tax Report
+ * Realized gains per matched tax lot and dividend income for one calendar year,
+ * built by replaying each portfolio's transactions. Amounts stay in the trade
+ * currency; totals are kept per currency.
+ */
+class TaxReport {
+    /**
+     * Whether a lot was held for more than a year (long-term)
+     * @param {string} acquiredDate - Purchase date (YYYY-MM-DD)
+     * @param {string} soldDate - Sale date (YYYY-MM-DD)
+     * @returns {boolean} True when sold after the first anniversary of the purchase
+     */
+    static isLongTerm(acquiredDate, soldDate) {
+        const [year, month, day] = acquiredDate.split('-').map(Number);
+        // Date.UTC rolls 29 February over to 1 March in non-leap years
+        const anniversary = new Date(Date.UTC(year + 1, month - 1, day)).toISOString().slice(0, 10);
+        return soldDate > anniversary;
+    }
+
+    /**
+     * Years with at least one sale or dividend, newest first
+     * @param {Array<Object>} records - Portfolio records
+     * @returns {Array<number>} Tax years
+     */
+    static years(records) {
+        const years = new Set();
+        records.forEach(record => record.transactions.forEach(tx => {
+            if (tx.type === 'SELL' || tx.type === 'DIVIDEND') {
+                years.add(parseInt(tx.date.slice(0, 4), 10));
+            }
+        }));
+        return [...years].sort((a, b) => b - a);
+    }
+
+    /**
+     * Sales and dividends of one tax year
+     * @param {Array<Object>} records - Portfolio records to include
+     * @param {number} year - Calendar year
+     * @returns {Object} { year, portfolios, sales, dividends, totals, skipped }; totals are per currency
+     *   { proceeds, costBasis, shortTerm, longTerm, unknownBasis, dividends }
+     */
+    static build(records, year) {
+        const prefix = `${year}-`;
+        const sales = [];
+        const dividends = [];
+        const skipped = [];
+        const totals = {};
+        const totalsFor = (currency) => {
+            if (!totals[currency]) {
+                totals[currency] = { proceeds: 0, costBasis: 0, shortTerm: 0, longTerm: 0, unknownBasis: 0, dividends: 0 };
+            }
+            return totals[currency];
+        };
+
+        records.forEach(record => {
+            let realized;
+            let positions;
+            try {
+                ({ realized, positions } = TransactionLedger.replay(record.transactions));
+            } catch (error) {
+                // A ledger that no longer replays cannot be reported on
+                skipped.push(record.name);
+                return;
+            }
+
+            realized.filter(entry => entry.soldDate.startsWith(prefix)).forEach(entry => {
+                const longTerm = TaxReport.isLongTerm(entry.acquiredDate, entry.soldDate);
+                const total = totalsFor(entry.currency);
+                total.proceeds += entry.proceeds;
+                if (entry.gain === null) {
+                    total.unknownBasis += entry.proceeds;
+                } else {
+                    total.costBasis += entry.costBasis;
+                    total[longTerm ? 'longTerm' : 'shortTerm'] += entry.gain;
+                }
+                sales.push({ portfolio: record.name, ...entry, term: longTerm ? 'Long-term' : 'Short-term' });
+            });
+
+            record.transactions
+                .filter(tx => tx.type === 'DIVIDEND' && tx.date.startsWith(prefix))
+                .forEach(tx => {
+                    const position = positions.get(tx.symbol);
+                    const currency = tx.currency || (position && position.currency) || 'USD';
+                    const net = tx.amount - tx.fees;
+                    totalsFor(currency).dividends += net;
+                    dividends.push({ portfolio: record.name, symbol: tx.symbol, date: tx.date, amount: tx.amount, withheld: tx.fees, net, currency });
+                });
+        });
+
+        sales.sort((a, b) => a.soldDate.localeCompare(b.soldDate) || a.symbol.localeCompare(b.symbol));
+        dividends.sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol));
+        return { year, portfolios: records.map(record => record.name), sales, dividends, totals, skipped };
+    }
+
+    /**
+     * Flat rows for CSV export: one per matched lot sold, then one per dividend
+     * @param {Object} report - Result of build()
+     * @returns {Array<Object>} Rows sharing the same columns
+     */
+    static toRows(report) {
+        const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+        return [
+            ...report.sales.map(sale => ({
+                type: 'SALE',
+                portfolio: sale.portfolio,
+                symbol: sale.symbol,
+                quantity: sale.quantity,
+                acquiredDate: sale.acquiredDate,
+                disposedDate: sale.soldDate,
+                proceeds: round(sale.proceeds),
+                costBasis: round(sale.costBasis),
+                gainLoss: round(sale.gain),
+                term: sale.term,
+                dividendIncome: null,
+                taxWithheld: null,
+                currency: sale.currency
+            })),
+            ...report.dividends.map(dividend => ({
+                type: 'DIVIDEND',
+                portfolio: dividend.portfolio,
+                symbol: dividend.symbol,
+                quantity: null,
+                acquiredDate: null,
+                disposedDate: dividend.date,
+                proceeds: null,
+                costBasis: null,
+                gainLoss: null,
+                term: null,
+                dividendIncome: round(dividend.amount),
+                taxWithheld: round(dividend.withheld),
+                currency: dividend.currency
+            }))
+        ];
+    }
+
+    /**
+     * Standalone printable HTML document of the report
+     * @param {Object} report - Result of build()
+     * @returns {string} HTML text
+     */
+    static toHTML(report) {
+        const encode = (value) => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const money = (value, currency) => value === null ? 'Unknown' : encode(formatCurrency(value, false, currency));
+        const signed = (value, currency) => value === null ? 'Unknown' : encode(formatCurrency(value, true, currency));
+
+        const summaryRows = Object.entries(report.totals).map(([currency, total]) => `
+            <tr>
+                <td>${encode(currency)}</td>
+                <td>${money(total.proceeds, currency)}</td>
+                <td>${money(total.costBasis, currency)}</td>
+                <td>${signed(total.shortTerm, currency)}</td>
+                <td>${signed(total.longTerm, currency)}</td>
+                <td>${signed(total.shortTerm + total.longTerm, currency)}</td>
+                <td>${money(total.dividends, currency)}</td>
+            </tr>`).join('');
+
+        const saleRows = report.sales.map(sale => `
+            <tr>
+                <td>${encode(sale.symbol)}</td>
+                <td>${encode(formatQuantity(sale.quantity))}</td>
+                <td>${encode(sale.acquiredDate)}</td>
+                <td>${encode(sale.soldDate)}</td>
+                <td>${money(sale.proceeds, sale.currency)}</td>
+                <td>${money(sale.costBasis, sale.currency)}</td>
+                <td>${signed(sale.gain, sale.currency)}</td>
+                <td>${encode(sale.term)}</td>
+                <td>${encode(sale.portfolio)}</td>
+            </tr>`).join('');
+
+        const dividendRows = report.dividends.map(dividend => `
+            <tr>
+                <td>${encode(dividend.symbol)}</td>
+                <td>${encode(dividend.date)}</td>
+                <td>${money(dividend.amount, dividend.currency)}</td>
+                <td>${money(dividend.withheld, dividend.currency)}</td>
+                <td>${money(dividend.net, dividend.currency)}</td>
+                <td>${encode(dividend.portfolio)}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Realized Gains and Income ${report.year}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #2c3e50; margin: 30px; }
+    h1 { font-size: 1.5rem; margin-bottom: 4px; }
+    h2 { font-size: 1.1rem; margin-top: 30px; }
+    p { color: #555; font-size: 0.9rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { background: #f4f6f7; }
+    .print-btn { margin-top: 10px; padding: 8px 16px; }
+    @media print { .print-btn { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Realized Gains and Income — ${report.year}</h1>
+<p>Portfolios: ${encode(report.portfolios.join(', '))}. Generated ${encode(new Date().toLocaleString())}.
+Amounts are in each trade's currency. Lots held more than one year are long-term. Buy and sale commissions are included in cost basis and proceeds.</p>
+${report.skipped.length ? `<p>Not included (transactions could not be replayed): ${encode(report.skipped.join(', '))}.</p>` : ''}
+<button class="print-btn" onclick="window.print()">Print</button>
+<h2>Summary</h2>
+<table>
+<thead><tr><th>Currency</th><th>Proceeds</th><th>Cost basis</th><th>Short-term gain/loss</th><th>Long-term gain/loss</th><th>Total gain/loss</th><th>Dividend income (net)</th></tr></thead>
+<tbody>${summaryRows || '<tr><td colspan="7">No sales or dividends in this year</td></tr>'}</tbody>
+</table>
+<h2>Sales (${report.sales.length})</h2>
+<table>
+<thead><tr><th>Symbol</th><th>Quantity</th><th>Acquired</th><th>Disposed</th><th>Proceeds</th><th>Cost basis</th><th>Gain/loss</th><th>Term</th><th>Portfolio</th></tr></thead>
+<tbody>${saleRows || '<tr><td colspan="9">No sales</td></tr>'}</tbody>
+</table>
+<h2>Dividends (${report.dividends.length})</h2>
+<table>
+<thead><tr><th>Symbol</th><th>Date</th><th>Amount</th><th>Withheld / fees</th><th>Net</th><th>Portfolio</th></tr></thead>
+<tbody>${dividendRows || '<tr><td colspan="6">No dividends</td></tr>'}</tbody>
+</table>
+</body>
+</html>`;
+    }
+}
+
+/**
+ * Instrument
+ * Symbol model shared by validation, valuation and display: the listing exchange,
+ * the currency quotes are reported in and the asset class, all derived from the
+ * symbol itself. Symbols are stored in one canonical form per listing, so
+ * "RDSA.L" and "BRK.B" are kept as "RDSA.LON" and "BRK-B".
+ */
+class Instrument {
+    /**
+     * Parse a symbol into its listing details
+     * @param {string} symbol - Ticker with optional share class and exchange suffix, or a crypto pair
+     * @returns {Object|null} { symbol, ticker, exchange, exchangeName, currency, minorUnits, assetClass }, or null when invalid
+     */
+    static parse(symbol) {
+        if (!symbol || typeof symbol !== 'string') {
+            return null;
+        }
+
+        const text = symbol.toUpperCase().trim();
+        const pair = parseCryptoSymbol(text);
+        if (pair) {
+            return {
+                symbol: text,
+                ticker: pair.asset,
+                exchange: 'CRYPTO',
+                exchangeName: 'Crypto',
+                currency: pair.market,
+                minorUnits: 1,
+                assetClass: 'Crypto'
+            };
+        }
+
+        if (!APP_CONSTANTS.VALIDATION.STOCK_SYMBOL_PATTERN.test(text)) {
+            return null;
+        }
+
+        // A suffix that names no exchange is a US share class (BRK.B is stored as BRK-B)
+        const dot = text.lastIndexOf('.');
+        const suffix = dot > 0 ? text.slice(dot + 1) : '';
+        const exchange = suffix ? Instrument.findExchange(suffix) : 'US';
+        const ticker = exchange && exchange !== 'US' ? text.slice(0, dot) : text.replace('.', '-');
+        const venue = APP_CONSTANTS.EXCHANGES[exchange || 'US'];
+
+        if (!venue.ticker.test(ticker)) {
+            return null;
+        }
+
+        const canonical = exchange && exchange !== 'US' ? `${ticker}.${exchange}` : ticker;
+        return {
+            symbol: canonical,
+            ticker,
+            exchange: exchange || 'US',
+            exchangeName: venue.name,
+            currency: venue.currency,
+            minorUnits: venue.minorUnits || 1,
+            assetClass: getSecurityProfile(canonical).assetClass
+        };
+    }
+
+    /**
+     * Exchange key for a symbol suffix or one of its aliases
+     * @param {string} suffix - Upper-case suffix without the dot
+     * @returns {string|null} Key into APP_CONSTANTS.EXCHANGES
+     */
+    static findExchange(suffix) {
+        return Object.keys(APP_CONSTANTS.EXCHANGES).find(key => key !== 'US' &&
+            (key === suffix || APP_CONSTANTS.EXCHANGES[key].aliases.includes(suffix))) || null;
+    }
+
+    /**
+     * Canonical form of a symbol
+     * @param {string} symbol - Symbol as entered or stored
+     * @returns {string|null} Canonical symbol, or null when invalid
+     */
+    static normalize(symbol) {
+        const instrument = Instrument.parse(symbol);
+        return instrument ? instrument.symbol : null;
+    }
+
+    /**
+     * Currency a symbol's quotes and price history are reported in
+     * @param {string} symbol - Stock symbol
+     * @param {string} fallback - Currency for symbols that cannot be parsed
+     * @returns {string} ISO currency code
+     */
+    static quoteCurrency(symbol, fallback = 'USD') {
+        const instrument = Instrument.parse(symbol);
+        return instrument ? instrument.currency : fallback;
+    }
+
+    /**
+     * Rewrite the symbols in stored portfolio records to their canonical form
+     * Records saved before symbols were normalized may hold aliases such as "BRK.B"
+     * or "TSCO.L"; symbols that cannot be parsed are kept as they are.
+     * @param {Array<Object>} records - Portfolio records (changed in place)
+     * @returns {number} Number of symbols rewritten
+     */
+    static migrateRecords(records) {
+        let rewritten = 0;
+        const canonical = (symbol) => {
+            const normalized = Instrument.normalize(symbol);
+            if (!normalized || normalized === symbol) {
+                return symbol;
+            }
+            rewritten++;
+            return normalized;
+        };
+        const rekey = (map) => Object.fromEntries(Object.entries(map || {}).map(([key, value]) => [canonical(key), value]));
+
+        records.forEach(record => {
+            (record.transactions || []).forEach(tx => {
+                if (tx.symbol) tx.symbol = canonical(tx.symbol);
+            });
+            record.symbols = [...new Set((record.symbols || []).map(canonical))];
+            record.securities = rekey(record.securities);
+            if (record.targets && record.targets.groupBy === 'holding') {
+                record.targets.weights = rekey(record.targets.weights);
+            }
+        });
+
+        return rewritten;
+    }
+}
+
+/**
+ * Market Calendar
+ * Trading sessions per exchange from APP_CONSTANTS.EXCHANGES and the holiday
+ * rules in APP_CONSTANTS.MARKET.CALENDARS. Dates and times are evaluated in the
+ * exchange's own time zone.
+ */
+class MarketCalendar {
+    /**
+     * Easter Sunday (Gregorian calendar, anonymous algorithm)
+     * @param {number} year - Calendar year
+     * @returns {string} Date as YYYY-MM-DD
+     */
+    static easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = (19 * a + b - Math.floor(b / 4) - Math.floor((b - Math.floor((b + 8) / 25) + 1) / 3) + 15) % 30;
+        const e = (32 + 2 * (b % 4) + 2 * Math.floor(c / 4) - d - (c % 4)) % 7;
+        const f = d + e - 7 * Math.floor((a + 11 * d + 22 * e) / 451) + 114;
+        const month = String(Math.floor(f / 31)).padStart(2, '0');
+        const day = String((f % 31) + 1).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Resolve one holiday rule to a date in a year
+     * @param {string} rule - Rule in the format described at APP_CONSTANTS.MARKET.CALENDARS
+     * @param {number} year - Calendar year
+     * @returns {string|null} Date as YYYY-MM-DD, or null for an unrecognised rule
+     */
+    static resolveRule(rule, year) {
+        if (/^\d{2}-\d{2}$/.test(rule)) {
+            return `${year}-${rule}`;
+        }
+
+        const easter = rule.match(/^E([+-]\d+)$/);
+        if (easter) {
+            return shiftDate(MarketCalendar.easterSunday(year), parseInt(easter[1], 10));
+        }
+
+        const weekdayRule = rule.match(/^(\d{2})\/(\d)([#<])(-?\d+)([+-]\d+)?$/);
+        if (!weekdayRule) {
+            return null;
+        }
+
+        const [, month, weekday, kind, value, offset] = weekdayRule;
+        const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+        let date;
+        if (kind === '<') {
+            // Last matching weekday before the given day of the month
+            date = shiftDate(`${year}-${month}-${String(value).padStart(2, '0')}`, -1);
+            while (weekdayOf(date) !== Number(weekday) % 7) date = shiftDate(date, -1);
+        } else if (Number(value) < 0) {
+            const nextMonth = new Date(Date.UTC(year, Number(month), 1)).toISOString().slice(0, 10);
+            date = shiftDate(nextMonth, -1);
+            while (weekdayOf(date) !== Number(weekday) % 7) date = shiftDate(date, -1);
+        } else {
+            date = `${year}-${month}-01`;
+            while (weekdayOf(date) !== Number(weekday) % 7) date = shiftDate(date, 1);
+            date = shiftDate(date, (Number(value) - 1) * 7);
+        }
+        return offset ? shiftDate(date, parseInt(offset, 10)) : date;
+    }
+
+    /**
+     * @param {string} date - Date as YYYY-MM-DD
+     * @returns {boolean} True on Saturdays and Sundays
+     */
+    static isWeekend(date) {
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        return weekday === 0 || weekday === 6;
+    }
+
+    /**
+     * Exchange holidays in a year, with weekend observance applied
+     * @param {string} calendarKey - Key into APP_CONSTANTS.MARKET.CALENDARS
+     * @param {number} year - Calendar year
+     * @returns {Set<string>} Holiday dates
+     */
+    static getHolidays(calendarKey, year) {
+        const calendar = APP_CONSTANTS.MARKET.CALENDARS[calendarKey] || {};
+        const holidays = new Set();
+
+        (calendar.holidays || []).forEach(rule => {
+            let date = MarketCalendar.resolveRule(rule, year);
+            if (!date) return;
+
+            if (/^\d{2}-\d{2}$/.test(rule) && MarketCalendar.isWeekend(date)) {
+                if (calendar.observe === 'nearest') {
+                    date = shiftDate(date, new Date(`${date}T00:00:00Z`).getUTCDay() === 6 ? -1 : 1);
+                } else if (calendar.observe === 'next') {
+                    while (MarketCalendar.isWeekend(date) || holidays.has(date)) date = shiftDate(date, 1);
+                }
+            }
+
+            // A New Year's Day observed on the Friday before falls in the previous year and is not kept
+            if (date.startsWith(String(year))) {
+                holidays.add(date);
+            }
+        });
+
+        return holidays;
+    }
+
+    /**
+     * Trading session on a local date
+     * @param {string} exchange - Key into APP_CONSTANTS.EXCHANGES
+     * @param {string} date - Exchange-local date as YYYY-MM-DD
+     * @returns {Object|null} { open, close, preOpen, postClose, earlyClose } in minutes after midnight, or null when closed all day
+     */
+    static getSession(exchange, date) {
+        const venue = APP_CONSTANTS.EXCHANGES[exchange] || APP_CONSTANTS.EXCHANGES.US;
+        const calendar = APP_CONSTANTS.MARKET.CALENDARS[venue.calendar] || {};
+        const year = Number(date.slice(0, 4));
+        const holidays = MarketCalendar.getHolidays(venue.calendar, year);
+
+        if (MarketCalendar.isWeekend(date) || holidays.has(date)) {
+            return null;
+        }
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const earlyClose = Boolean(calendar.earlyClose) &&
+            (calendar.halfDays || []).some(rule => MarketCalendar.resolveRule(rule, year) === date);
+        const [open, close] = venue.hours.map(toMinutes);
+        const [preOpen, postClose] = venue.extendedHours ? venue.extendedHours.map(toMinutes) : [open, close];
+
+        return {
+            open,
+            close: earlyClose ? toMinutes(calendar.earlyClose) : close,
+            preOpen,
+            // No after-hours session on early-close days
+            postClose: earlyClose ? toMinutes(calendar.earlyClose) : postClose,
+            earlyClose
+        };
+    }
+
+    /**
+     * Current date and time in a time zone
+     * @param {string} timeZone - IANA time zone
+     * @param {Date} now - Moment to convert
+     * @returns {Object} { date: 'YYYY-MM-DD', minutes } with minutes after local midnight
+     */
+    static localTime(timeZone, now = new Date()) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    /**
+     * Open, pre-market, after-hours or closed status of an exchange
+     * Crypto pairs (exchange 'CRYPTO') trade around the clock.
+     * @param {string} exchange - Key into APP_CONSTANTS.EXCHANGES, or 'CRYPTO'
+     * @param {Date} now - Moment to evaluate
+     * @returns {Object} { exchange, name, status: 'open'|'pre'|'post'|'closed', holiday, earlyClose, closesAt, opensAt, today, timeZone }
+     */
+    static getStatus(exchange, now = new Date()) {
+        if (exchange === 'CRYPTO') {
+            return { exchange, name: 'Crypto', status: 'open', holiday: false, earlyClose: false, closesAt: null, opensAt: null, timeZone: 'UTC' };
+        }
+
+        const key = APP_CONSTANTS.EXCHANGES[exchange] ? exchange : 'US';
+        const venue = APP_CONSTANTS.EXCHANGES[key];
+        const local = MarketCalendar.localTime(venue.timeZone, now);
+        const session = MarketCalendar.getSession(key, local.date);
+        const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+        let status = 'closed';
+        if (session && local.minutes >= session.open && local.minutes < session.close) {
+            status = 'open';
+        } else if (session && local.minutes >= session.preOpen && local.minutes < session.open) {
+            status = 'pre';
+        } else if (session && local.minutes >= session.close && local.minutes < session.postClose) {
+            status = 'post';
+        }
+
+        // Next regular open: later today, or the first trading day within the next two weeks
+        let opensAt = null;
+        if (status !== 'open') {
+            if (session && local.minutes < session.open) {
+                opensAt = { date: local.date, time: formatTime(session.open) };
+            } else {
+                for (let offset = 1; offset <= 14 && !opensAt; offset++) {
+                    const date = shiftDate(local.date, offset);
+                    const next = MarketCalendar.getSession(key, date);
+                    if (next) opensAt = { date, time: formatTime(next.open) };
+                }
+            }
+        }
+
+        return {
+            exchange: key,
+            name: venue.name,
+            status,
+            holiday: !session && !MarketCalendar.isWeekend(local.date),
+            earlyClose: Boolean(session && session.earlyClose),
+            closesAt: status === 'open' ? formatTime(session.close) : null,
+            opensAt,
+            today: local.date,
+            timeZone: venue.timeZone
+        };
+    }
+}
+
+/**
+ * Market Data Providers
+ * Each provider fetches quotes, price history, symbol searches, company overviews and
+ * dividends from one source and returns them in the tracker's own shapes, so the fetch
+ * functions never see a provider's field names. A provider implements only the methods
+ * its source offers; MarketDataRouter tries the next configured provider for the rest.
+ */
+class MarketDataProvider {
+    /**
+     * @param {string} id - Identifier used in the provider order and as the source of fetched data
+     * @param {string} name - Display name
+     */
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+    }
+
+    /**
+     * Whether a configured key is a real one rather than a demo placeholder
+     * @param {string} key - API key from the configuration
+     * @returns {boolean} True for usable keys
+     */
+    static hasKey(key) {
+        return Boolean(key) && !['DEMO_MODE', 'not_required'].includes(key);
+    }
+
+    /**
+     * Whether the provider has what it needs to make requests
+     * @returns {boolean} True when configured
+     */
+    isConfigured() {
+        return false;
+    }
+
+    /**
+     * Whether the provider can serve a request
+     * @param {string} method - 'quote', 'history', 'search', 'overview' or 'dividends'
+     * @param {string} symbol - Symbol the request is for (the query for searches)
+     * @returns {boolean} True when the method is implemented for this symbol
+     */
+    supports(method, symbol) {
+        return typeof this[method] === 'function';
+    }
+
+    /**
+     * Fetch and parse a JSON response, retrying transient failures. Each retry waits for
+     * a slot in the provider's budget, so retries count against its quota like any request.
+     * @param {string} url - Request URL
+     * @param {Object} options - fetchJSONWithRetry options, such as getThrottleMessage or retries
+     * @returns {Promise<Object>} Parsed response body
+     * @throws {Error} On unsuccessful responses once the retries are used up
+     */
+    requestJSON(url, options = {}) {
+        return fetchJSONWithRetry(url, {
+            beforeRetry: async () => {
+                await requestScheduler.reserve(this.id);
+                performanceMonitor.recordAPICall();
+            },
+            ...options
+        });
+    }
+
+    /**
+     * Reject quotes without a usable price, so the next provider is tried
+     * @param {Object} quote - { price, change, changePercent }
+     * @returns {Object} The same quote
+     * @throws {Error} When the price is missing or not positive
+     */
+    checkQuote(quote) {
+        if (!(quote.price > 0)) {
+            throw new Error('Invalid price data received');
+        }
+        return quote;
+    }
+}
+
+/**
+ * Alpha Vantage: every method, for all listed exchanges and crypto pairs
+ */
+class AlphaVantageProvider extends MarketDataProvider {
+    constructor() {
+        super('alpha_vantage', 'Alpha Vantage');
+    }
+
+    isConfigured() {
+        return MarketDataProvider.hasKey(API_CONFIG.ALPHA_VANTAGE_KEY);
+    }
+
+    supports(method, symbol) {
+        // Crypto pairs have no fundamentals or dividends
+        return super.supports(method, symbol) &&
+            !(parseCryptoSymbol(symbol) && ['overview', 'dividends'].includes(method));
+    }
+
+    /**
+     * Call the query endpoint; rate limit notices and errors arrive as successful responses.
+     * "Note" and "Information" are throttle notices and are retried; "Error Message" is not.
+     * @param {string} params - Query string without the API key
+     * @returns {Promise<Object>} Parsed response
+     * @throws {Error} When the request fails or Alpha Vantage reports an error
+     */
+    async query(params) {
+        const data = await this.requestJSON(`${API_CONFIG.ALPHA_VANTAGE_URL}?${params}&apikey=${API_CONFIG.ALPHA_VANTAGE_KEY}`, {
+            getThrottleMessage: body => body['Note'] || body['Information'] || null
+        });
+        if (data['Error Message']) {
+            throw new Error(data['Error Message']);
+        }
+        return data;
+    }
+
+    /**
+     * Divisor for venues quoted in minor units; London prices arrive in pence
+     * @param {string} symbol - Stock symbol
+     * @returns {number} Divisor that converts prices into the exchange's currency
+     */
+    minorUnits(symbol) {
+        const instrument = Instrument.parse(symbol);
+        return instrument ? instrument.minorUnits : 1;
+    }
+
+    async quote(symbol) {
+        const pair = parseCryptoSymbol(symbol);
+        if (pair) {
+            const data = await this.query(`function=CURRENCY_EXCHANGE_RATE&from_currency=${pair.asset}&to_currency=${pair.market}`);
+            const rate = data['Realtime Currency Exchange Rate'];
+            // The rate has no change; fetchCryptoQuote measures it from the daily series
+            return this.checkQuote({ price: rate ? parseFloat(rate['5. Exchange Rate']) : NaN, change: null, changePercent: null });
+        }
+
+        const data = await this.query(`function=GLOBAL_QUOTE&symbol=${symbol}`);
+        const quote = data['Global Quote'];
+        if (!quote || Object.keys(quote).length === 0) {
+            throw new Error('Invalid stock symbol or API limit reached');
+        }
+        const minorUnits = this.minorUnits(symbol);
+        return this.checkQuote({
+            price: (parseFloat(quote['05. price']) || 0) / minorUnits,
+            change: (parseFloat(quote['09. change']) || 0) / minorUnits,
+            changePercent: parseFloat(String(quote['10. change percent'] || '').replace('%', '')) || 0
+        });
+    }
+
+    async history(symbol, interval) {
+        const isIntraday = interval !== 'daily';
+        const pair = parseCryptoSymbol(symbol);
+        let query = isIntraday
+            ? `function=TIME_SERIES_INTRADAY&symbol=${symbol}&interval=${interval}&outputsize=compact`
+            : `function=TIME_SERIES_DAILY&symbol=${symbol}&outputsize=compact`;
+        let seriesKey = isIntraday ? `Time Series (${interval})` : 'Time Series (Daily)';
+        if (pair) {
+            query = isIntraday
+                ? `function=CRYPTO_INTRADAY&symbol=${pair.asset}&market=${pair.market}&interval=${interval}&outputsize=compact`
+                : `function=DIGITAL_CURRENCY_DAILY&symbol=${pair.asset}&market=${pair.market}`;
+            seriesKey = isIntraday ? `Time Series Crypto (${interval})` : 'Time Series (Digital Currency Daily)';
+        }
+
+        const data = await this.query(query);
+        const bars = data[seriesKey];
+        if (!bars || Object.keys(bars).length === 0) {
+            throw new Error(`No ${interval} series returned`);
+        }
+
+        // Older digital currency responses label prices per market, e.g. "4a. close (USD)"
+        const field = (bar, number, name) => bar[`${number}. ${name}`] !== undefined
+            ? bar[`${number}. ${name}`]
+            : bar[`${number}a. ${name} (${pair ? pair.market : ''})`];
+        // Same pence-to-pounds scaling as quotes, so charts match the stock cards
+        const minorUnits = this.minorUnits(symbol);
+        const series = Object.entries(bars)
+            .map(([date, bar]) => ({
+                date,
+                open: parseFloat(field(bar, 1, 'open')) / minorUnits,
+                high: parseFloat(field(bar, 2, 'high')) / minorUnits,
+                low: parseFloat(field(bar, 3, 'low')) / minorUnits,
+                close: parseFloat(field(bar, 4, 'close')) / minorUnits,
+                volume: Math.round(parseFloat(bar['5. volume'])) || 0
+            }))
+            .filter(bar => /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/.test(bar.date) && bar.close > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        // The digital currency series has no compact size, so keep the same window as equities
+        if (pair && !isIntraday) {
+            const cutoff = shiftDate(new Date().toISOString().slice(0, 10), -APP_CONSTANTS.HISTORY.BACKFILL_DAYS);
+            const start = series.findIndex(bar => bar.date > cutoff);
+            series.splice(0, start === -1 ? series.length : start);
+        }
+        return series;
+    }
+
+    async search(query) {
+        const data = await this.query(`function=SYMBOL_SEARCH&keywords=${encodeURIComponent(query)}`);
+
+        return (Array.isArray(data.bestMatches) ? data.bestMatches : []).map(match => {
+            const rawSymbol = String(match['1. symbol'] || '').toUpperCase();
+            const symbol = Instrument.normalize(rawSymbol) || rawSymbol;
+            const region = SecurityManager.sanitizeInput(match['4. region'] || '');
+            return {
+                symbol,
+                name: SecurityManager.sanitizeInput(match['2. name'] || '', { maxLength: 100 }),
+                type: SecurityManager.sanitizeInput(match['3. type'] || ''),
+                exchange: inferExchange(symbol, region),
+                region,
+                // London listings report GBX (pence); quotes are converted to the exchange's currency
+                currency: Instrument.quoteCurrency(symbol, SecurityManager.sanitizeInput(match['8. currency'] || 'USD').toUpperCase()),
+                matchScore: parseFloat(match['9. matchScore']) || 0
+            };
+        });
+    }
+
+    async overview(symbol) {
+        // Alpha Vantage reports missing figures as "None" or "-"
+        const parseNumber = (value) => {
+            const number = parseFloat(value);
+            return isFinite(number) ? number : null;
+        };
+        const parseText = (value) => value && value !== 'None' ? SecurityManager.sanitizeInput(String(value)) : null;
+
+        const data = await this.query(`function=OVERVIEW&symbol=${symbol}`);
+        if (!data['Symbol']) {
+            throw new Error(`No company overview available for ${symbol}`);
+        }
+
+        return {
+            name: parseText(data['Name']),
+            description: parseText(data['Description']),
+            exchange: parseText(data['Exchange']),
+            currency: parseText(data['Currency']) || 'USD',
+            sector: parseText(data['Sector']),
+            industry: parseText(data['Industry']),
+            marketCap: parseNumber(data['MarketCapitalization']),
+            peRatio: parseNumber(data['PERatio']),
+            eps: parseNumber(data['EPS']),
+            dividendPerShare: parseNumber(data['DividendPerShare']) || null,
+            beta: parseNumber(data['Beta']),
+            week52High: parseNumber(data['52WeekHigh']),
+            week52Low: parseNumber(data['52WeekLow'])
+        };
+    }
+
+    async dividends(symbol) {
+        // Missing dates are reported as "None"
+        const parseDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null;
+
+        const data = await this.query(`function=DIVIDENDS&symbol=${symbol}`);
+        return (Array.isArray(data.data) ? data.data : []).map(entry => ({
+            exDate: parseDate(entry.ex_dividend_date),
+            paymentDate: parseDate(entry.payment_date),
+            declarationDate: parseDate(entry.declaration_date),
+            amount: parseFloat(entry.amount)
+        }));
+    }
+}
+
+/**
+ * Twelve Data: quotes, price history and symbol search for US listings and crypto pairs
+ */
+class TwelveDataProvider extends MarketDataProvider {
+    constructor() {
+        super('twelve_data', 'Twelve Data');
+    }
+
+    isConfigured() {
+        return MarketDataProvider.hasKey(API_CONFIG.TWELVE_DATA_KEY);
+    }
+
+    supports(method, symbol) {
+        if (!super.supports(method, symbol)) return false;
+        if (method === 'search') return true;
+        const instrument = Instrument.parse(symbol);
+        return Boolean(instrument) && (instrument.exchange === 'US' || instrument.assetClass === 'Crypto');
+    }
+
+    /**
+     * Call an endpoint; errors arrive as { status: 'error', code, message }, and code 429 is retried
+     * @param {string} path - Endpoint and query string without the API key
+     * @returns {Promise<Object>} Parsed response
+     * @throws {Error} When the request fails or Twelve Data reports an error
+     */
+    async query(path) {
+        const data = await this.requestJSON(`${API_CONFIG.TWELVE_DATA_URL}/${path}&apikey=${API_CONFIG.TWELVE_DATA_KEY}`, {
+            getThrottleMessage: body => (body.status === 'error' && body.code === 429 ? body.message || 'Rate limit exceeded' : null)
+        });
+        if (data.status === 'error') {
+            throw new Error(data.message || 'Twelve Data request failed');
+        }
+        return data;
+    }
+
+    /**
+     * Twelve Data symbol for a tracker symbol: BTC-USD becomes BTC/USD and BRK-B becomes BRK.B
+     * @param {string} symbol - Tracker symbol
+     * @returns {string} URL-encoded Twelve Data symbol
+     */
+    toProviderSymbol(symbol) {
+        const pair = parseCryptoSymbol(symbol);
+        return encodeURIComponent(pair ? `${pair.asset}/${pair.market}` : symbol.replace('-', '.'));
+    }
+
+    async quote(symbol) {
+        const data = await this.query(`quote?symbol=${this.toProviderSymbol(symbol)}`);
+        return this.checkQuote({
+            price: parseFloat(data.close),
+            change: parseFloat(data.change) || 0,
+            changePercent: parseFloat(data.percent_change) || 0
+        });
+    }
+
+    async history(symbol, interval) {
+        // 100 bars matches the compact series used for the other providers
+        const twelveInterval = interval === 'daily' ? '1day' : interval.replace('60min', '1h');
+        const data = await this.query(`time_series?symbol=${this.toProviderSymbol(symbol)}&interval=${twelveInterval}&outputsize=100`);
+        const series = (Array.isArray(data.values) ? data.values : [])
+            .map(bar => ({
+                date: bar.datetime,
+                open: parseFloat(bar.open),
+                high: parseFloat(bar.high),
+                low: parseFloat(bar.low),
+                close: parseFloat(bar.close),
+                volume: Math.round(parseFloat(bar.volume)) || 0
+            }))
+            .filter(bar => /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/.test(bar.date) && bar.close > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (series.length === 0) {
+            throw new Error(`No ${interval} series returned`);
+        }
+        return series;
+    }
+
+    async search(query) {
+        const data = await this.query(`symbol_search?symbol=${encodeURIComponent(query)}&outputsize=30`);
+
+        // Only US listings, whose symbols need no exchange mapping; earlier matches rank higher
+        return (Array.isArray(data.data) ? data.data : [])
+            .filter(match => match.country === 'United States')
+            .map((match, index) => {
+                const rawSymbol = String(match.symbol || '').toUpperCase();
+                const symbol = Instrument.normalize(rawSymbol) || rawSymbol;
+                return {
+                    symbol,
+                    name: SecurityManager.sanitizeInput(match.instrument_name || '', { maxLength: 100 }),
+                    type: SecurityManager.sanitizeInput(match.instrument_type || ''),
+                    exchange: 'US',
+                    region: 'United States',
+                    currency: 'USD',
+                    matchScore: symbol === query ? 1 : Math.max(0.1, 0.9 - index * 0.05)
+                };
+            });
+    }
+}
+
+/**
+ * Finnhub: quotes, symbol search and company profiles for US listings
+ */
+class FinnhubProvider extends MarketDataProvider {
+    constructor() {
+        super('finnhub', 'Finnhub');
+    }
+
+    isConfigured() {
+        return MarketDataProvider.hasKey(API_CONFIG.FINNHUB_KEY);
+    }
+
+    supports(method, symbol) {
+        if (!super.supports(method, symbol)) return false;
+        if (method === 'search') return true;
+        const instrument = Instrument.parse(symbol);
+        return Boolean(instrument) && instrument.exchange === 'US';
+    }
+
+    /**
+     * Call an endpoint; errors arrive as { error }
+     * @param {string} path - Endpoint and query string without the token
+     * @returns {Promise<Object>} Parsed response
+     * @throws {Error} When the request fails or Finnhub reports an error
+     */
+    async query(path) {
+        const data = await this.requestJSON(`${API_CONFIG.FINNHUB_URL}/${path}&token=${API_CONFIG.FINNHUB_KEY}`);
+        if (data && data.error) {
+            throw new Error(data.error);
+        }
+        return data;
+    }
+
+    async quote(symbol) {
+        // Unknown symbols return a zero price rather than an error
+        const data = await this.query(`quote?symbol=${encodeURIComponent(symbol.replace('-', '.'))}`);
+        return this.checkQuote({
+            price: parseFloat(data.c),
+            change: parseFloat(data.d) || 0,
+            changePercent: parseFloat(data.dp) || 0
+        });
+    }
+
+    async search(query) {
+        const data = await this.query(`search?q=${encodeURIComponent(query)}`);
+
+        // Foreign listings carry exchange suffixes Finnhub does not share with the tracker
+        return (Array.isArray(data.result) ? data.result : [])
+            .filter(match => /^[A-Z]{1,6}(\.[A-Z])?$/.test(String(match.symbol || '')))
+            .map((match, index) => {
+                const symbol = Instrument.normalize(match.symbol) || match.symbol;
+                return {
+                    symbol,
+                    name: SecurityManager.sanitizeInput(match.description || '', { maxLength: 100 }),
+                    type: SecurityManager.sanitizeInput(match.type || ''),
+                    exchange: 'US',
+                    region: 'United States',
+                    currency: 'USD',
+                    matchScore: symbol === query ? 1 : Math.max(0.1, 0.9 - index * 0.05)
+                };
+            });
+    }
+
+    async overview(symbol) {
+        const data = await this.query(`stock/profile2?symbol=${encodeURIComponent(symbol.replace('-', '.'))}`);
+        if (!data || !data.name) {
+            throw new Error(`No company overview available for ${symbol}`);
+        }
+
+        // The free profile has no valuation figures; market cap is reported in millions
+        const marketCap = parseFloat(data.marketCapitalization);
+        return {
+            name: SecurityManager.sanitizeInput(data.name),
+            description: null,
+            exchange: data.exchange ? SecurityManager.sanitizeInput(data.exchange) : null,
+            currency: data.currency ? SecurityManager.sanitizeInput(data.currency) : 'USD',
+            sector: data.finnhubIndustry ? SecurityManager.sanitizeInput(data.finnhubIndustry) : null,
+            industry: data.finnhubIndustry ? SecurityManager.sanitizeInput(data.finnhubIndustry) : null,
+            marketCap: isFinite(marketCap) ? Math.round(marketCap * 1e6) : null,
+            peRatio: null,
+            eps: null,
+            dividendPerShare: null,
+            beta: null,
+            week52High: null,
+            week52Low: null
+        };
+    }
+}
+
+/**
+ * Local fixtures: JSON files served next to the application, for working offline.
+ * Each symbol has one file (e.g. fixtures/market-data/AAPL.json) with any of quote,
+ * history (keyed by interval), overview and dividends in the tracker's own shapes;
+ * search.json lists the searchable symbols.
+ */
+class LocalDataProvider extends MarketDataProvider {
+    constructor() {
+        super('local', 'Local fixtures');
+        this.files = new Map();
+    }
+
+    isConfigured() {
+        return Boolean(API_CONFIG.LOCAL_DATA_URL);
+    }
+
+    /**
+     * Load a fixture file, once per session
+     * @param {string} name - File name without extension
+     * @returns {Promise<Object>} Parsed fixture
+     * @throws {Error} When the file is missing
+     */
+    load(name) {
+        if (!this.files.has(name)) {
+            // Local files are there or not; retrying would only delay the fallback
+            const request = this.requestJSON(`${API_CONFIG.LOCAL_DATA_URL}/${encodeURIComponent(name)}.json`, { retries: 0 })
+                .then(fixture => name === 'search' ? fixture : this.rebaseDates(name, fixture))
+                .catch(error => {
+                    this.files.delete(name);
+                    throw new Error(`No fixture for ${name} (${error.message})`);
+                });
+            this.files.set(name, request);
+        }
+        return this.files.get(name);
+    }
+
+    /**
+     * Move a fixture's dates so its last daily bar falls on the last trading session before today
+     * Fixture files are recorded on fixed dates, so without this the trailing-twelve-month
+     * dividend frequency, purchase price back-fill and benchmark series go wrong as the files age.
+     * Fixture and current sessions are paired one by one, so bars stay on trading days of
+     * the symbol's exchange; other dates keep their distance from the session before them.
+     * @param {string} symbol - Symbol the fixture belongs to
+     * @param {Object} fixture - Parsed fixture (changed in place)
+     * @returns {Object} The fixture
+     */
+    rebaseDates(symbol, fixture) {
+        const daily = fixture && fixture.history && fixture.history.daily;
+        if (!Array.isArray(daily) || daily.length === 0) {
+            return fixture;
+        }
+
+        const instrument = Instrument.parse(symbol);
+        const exchange = instrument ? instrument.exchange : 'US';
+        const venue = APP_CONSTANTS.EXCHANGES[exchange] || APP_CONSTANTS.EXCHANGES.US;
+        const today = MarketCalendar.localTime(exchange === 'CRYPTO' ? 'UTC' : venue.timeZone).date;
+        const previousSession = (date) => {
+            let previous = shiftDate(date, -1);
+            while (exchange !== 'CRYPTO' && !MarketCalendar.getSession(exchange, previous)) {
+                previous = shiftDate(previous, -1);
+            }
+            return previous;
+        };
+
+        const dividendFields = ['exDate', 'paymentDate', 'declarationDate', 'recordDate'];
+        const dividends = Array.isArray(fixture.dividends) ? fixture.dividends : [];
+        const dates = [
+            ...Object.values(fixture.history).flatMap(series => Array.isArray(series) ? series.map(bar => String(bar.date)) : []),
+            ...dividends.flatMap(dividend => dividendFields.map(field => dividend[field]).filter(Boolean))
+        ];
+        const earliest = dates.reduce((min, date) => date < min ? date : min, dates[0]).slice(0, 10);
+
+        // [fixture session, current session], newest first
+        const pairs = [[daily[daily.length - 1].date.slice(0, 10), previousSession(today)]];
+        while (pairs[pairs.length - 1][0] > earliest) {
+            const [from, to] = pairs[pairs.length - 1];
+            pairs.push([previousSession(from), previousSession(to)]);
+        }
+
+        const rebase = (value) => {
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+                return value;
+            }
+            const date = value.slice(0, 10);
+            const [from, to] = pairs.find(([session]) => session <= date) || pairs[pairs.length - 1];
+            const days = Math.round((Date.parse(date) - Date.parse(from)) / 86400000);
+            return shiftDate(to, days) + value.slice(10);
+        };
+
+        Object.values(fixture.history).forEach(series => {
+            if (Array.isArray(series)) {
+                series.forEach(bar => { bar.date = rebase(bar.date); });
+            }
+        });
+        dividends.forEach(dividend => {
+            dividendFields.forEach(field => {
+                if (dividend[field]) dividend[field] = rebase(dividend[field]);
+            });
+        });
+
+        return fixture;
+    }
+
+    /**
+     * A section of a symbol's fixture
+     * @param {string} symbol - Stock symbol
+     * @param {string} section - 'quote', 'history', 'overview' or 'dividends'
+     * @returns {Promise<any>} Section contents
+     * @throws {Error} When the fixture has no such section
+     */
+    async section(symbol, section) {
+        const fixture = await this.load(symbol);
+        if (!fixture || fixture[section] === undefined) {
+            throw new Error(`Fixture for ${symbol} has no ${section}`);
+        }
+        return fixture[section];
+    }
+
+    async quote(symbol) {
+        const quote = await this.section(symbol, 'quote');
+        return this.checkQuote({
+            price: parseFloat(quote.price),
+            change: parseFloat(quote.change) || 0,
+            changePercent: parseFloat(quote.changePercent) || 0
+        });
+    }
+
+    async history(symbol, interval) {
+        const series = (await this.section(symbol, 'history'))[interval];
+        if (!Array.isArray(series) || series.length === 0) {
+            throw new Error(`Fixture for ${symbol} has no ${interval} series`);
+        }
+        return series;
+    }
+
+    async search(query) {
+        const listings = await this.load('search');
+        return matchListings(Array.isArray(listings) ? listings : [], query);
+    }
+
+    async overview(symbol) {
+        return this.section(symbol, 'overview');
+    }
+
+    async dividends(symbol) {
+        return this.section(symbol, 'dividends');
+    }
+}
+
+/**
+ * Request Scheduler
+ * Queues market data requests so each provider stays within its per-minute and per-day
+ * budget. Waiting requests run by priority (what the user asked for, then visible cards,
+ * then background work) and otherwise in the order they were made. Requests per day are
+ * counted in localStorage, so the remaining quota survives reloads.
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} budgets - { providerId: { perMinute, perDay } }; null means unlimited
+     * @param {Object} options - { onChange } called whenever the queue or quota changes
+     */
+    constructor(budgets, options = {}) {
+        this.budgets = budgets;
+        this.onChange = options.onChange || null;
+        this.queue = [];
+        this.running = 0;
+        this.sequence = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Budget for a provider
+     * @param {string} providerId - Provider id
+     * @returns {Object} { perMinute, perDay }, null for unlimited
+     */
+    getBudget(providerId) {
+        return this.budgets[providerId] || { perMinute: null, perDay: null };
+    }
+
+    /**
+     * Today's request counts, reset at midnight UTC when the providers' daily quotas reset
+     * @returns {Object} { date, counts: { providerId: requests } }
+     */
+    loadUsage() {
+        const today = new Date().toISOString().slice(0, 10);
+        try {
+            const usage = JSON.parse(localStorage.getItem('apiQuotaUsage'));
+            if (usage && usage.date === today && usage.counts && typeof usage.counts === 'object') {
+                return usage;
+            }
+        } catch (error) {
+            console.warn('Failed to parse stored API quota usage:', error);
+        }
+        return { date: today, counts: {} };
+    }
+
+    /**
+     * Requests left today for a provider
+     * @param {string} providerId - Provider id
+     * @returns {number|null} Remaining requests, or null without a daily limit
+     */
+    getRemaining(providerId) {
+        const { perDay } = this.getBudget(providerId);
+        if (!perDay) return null;
+        return Math.max(0, perDay - (this.loadUsage().counts[providerId] || 0));
+    }
+
+    /**
+     * Count a request against today's quota
+     * @param {string} providerId - Provider id
+     */
+    recordUse(providerId) {
+        const usage = this.loadUsage();
+        usage.counts[providerId] = (usage.counts[providerId] || 0) + 1;
+        localStorage.setItem('apiQuotaUsage', JSON.stringify(usage));
+    }
+
+    /**
+     * Queue a request for a provider
+     * @param {string} providerId - Provider id the budget applies to
+     * @param {Function} task - Makes the request and returns a promise
+     * @param {number} priority - APP_CONSTANTS.PROVIDERS.PRIORITY value; lower runs first
+     * @param {string} key - Identifies the data requested, so later callers can promote it
+     * @returns {Promise<any>} Resolves with the task's result
+     * @throws {Error} When the provider's daily quota is used up
+     */
+    schedule(providerId, task, priority = APP_CONSTANTS.PROVIDERS.PRIORITY.NORMAL, key = null) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ providerId, task, priority, key, sequence: this.sequence++, resolve, reject });
+            this.process();
+        });
+    }
+
+    /**
+     * Move queued requests up when a more urgent caller starts waiting on the same data
+     * @param {string} key - Key the requests were queued with
+     * @param {number} priority - Priority of the new caller
+     */
+    promote(key, priority) {
+        const items = this.queue.filter(item => item.key === key && item.priority > priority);
+        if (items.length === 0) return;
+        items.forEach(item => {
+            item.priority = priority;
+        });
+        this.process();
+    }
+
+    /**
+     * Wait for a slot in a provider's budget for a request already under way, such as a
+     * retry, ahead of requests that have not started
+     * @param {string} providerId - Provider id
+     * @returns {Promise<void>} Resolves once the slot is counted
+     * @throws {Error} When the provider's daily quota is used up
+     */
+    reserve(providerId) {
+        return this.schedule(providerId, () => {}, APP_CONSTANTS.PROVIDERS.PRIORITY.USER);
+    }
+
+    /**
+     * Start every queued request whose provider has budget left, and wake up again
+     * when the next per-minute slot frees
+     */
+    process() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+
+        let wait = null;
+        for (let index = 0; index < this.queue.length;) {
+            const item = this.queue[index];
+            const { perMinute, perDay } = this.getBudget(item.providerId);
+            const rateLimitKey = `provider_${item.providerId}`;
+
+            if (this.getRemaining(item.providerId) === 0) {
+                this.queue.splice(index, 1);
+                item.reject(new Error(`Daily quota of ${perDay} requests used up`));
+                continue;
+            }
+
+            const delay = perMinute ? SecurityManager.getRateLimitWait(rateLimitKey, perMinute) : 0;
+            if (delay > 0) {
+                wait = wait === null ? delay : Math.min(wait, delay);
+                index++;
+                continue;
+            }
+
+            if (perMinute) {
+                SecurityManager.checkRateLimit(rateLimitKey, perMinute);
+            }
+            this.queue.splice(index, 1);
+            this.recordUse(item.providerId);
+            this.run(item);
+        }
+
+        if (wait !== null) {
+            this.timer = setTimeout(() => this.process(), wait);
+        }
+        this.notify();
+    }
+
+    /**
+     * Run a dequeued request
+     * @param {Object} item - Queue entry
+     */
+    run(item) {
+        this.running++;
+        Promise.resolve()
+            .then(item.task)
+            .then(item.resolve, item.reject)
+            .finally(() => {
+                this.running--;
+                this.notify();
+            });
+    }
+
+    /**
+     * Queue length and quota per provider
+     * @returns {Object} { queued, running, providers: { providerId: { queued, remaining, perDay } } }
+     */
+    getStatus() {
+        const providers = {};
+        Object.keys(this.budgets).forEach(providerId => {
+            providers[providerId] = {
+                queued: this.queue.filter(item => item.providerId === providerId).length,
+                remaining: this.getRemaining(providerId),
+                perDay: this.getBudget(providerId).perDay
+            };
+        });
+        return { queued: this.queue.length, running: this.running, providers };
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getStatus());
+        }
+    }
+}
+
+/**
+ * Market Data Router
+ * Sends each request to the configured providers in the user's order, moving on to
+ * the next provider when one fails. Callers fall back to mock data only when every
+ * provider has failed or none is configured.
+ */
+class MarketDataRouter {
+    /**
+     * @param {Array<MarketDataProvider>} providers - Available providers
+     * @param {RequestScheduler} scheduler - Queue that keeps requests within each provider's budget
+     */
+    constructor(providers, scheduler) {
+        this.providers = new Map(providers.map(provider => [provider.id, provider]));
+        this.scheduler = scheduler;
+    }
+
+    /**
+     * Provider ids in the configured order, or the default order
+     * @returns {Array<string>} Provider ids
+     */
+    getOrder() {
+        const configured = Array.isArray(API_CONFIG.MARKET_DATA_PROVIDERS) ? API_CONFIG.MARKET_DATA_PROVIDERS : [];
+        const order = configured.length > 0 ? configured : APP_CONSTANTS.PROVIDERS.DEFAULT_ORDER;
+        return order.filter(id => this.providers.has(id));
+    }
+
+    /**
+     * Configured providers in order, whatever they support
+     * @returns {Array<MarketDataProvider>} Providers that requests may go to
+     */
+    getActiveProviders() {
+        if (!AppState.isConfigLoaded) {
+            return [];
+        }
+        return this.getOrder().map(id => this.providers.get(id)).filter(provider => provider.isConfigured());
+    }
+
+    /**
+     * Configured providers able to serve a request, in order
+     * @param {string} method - 'quote', 'history', 'search', 'overview' or 'dividends'
+     * @param {string} symbol - Symbol the request is for (the query for searches)
+     * @returns {Array<MarketDataProvider>} Candidate providers
+     */
+    getProviders(method, symbol = '') {
+        if (!AppState.isConfigLoaded) {
+            return [];
+        }
+        return this.getActiveProviders().filter(provider => provider.supports(method, symbol));
+    }
+
+    /**
+     * Whether any configured provider can serve a request
+     * @param {string} method - Provider method
+     * @param {string} symbol - Symbol the request is for
+     * @returns {boolean} True when a request would be attempted
+     */
+    canServe(method, symbol = '') {
+        return this.getProviders(method, symbol).length > 0;
+    }
+
+    /**
+     * Request data from the first provider that succeeds, queued within its budget.
+     * Concurrent requests for the same data share one request, moved up the queue
+     * when a more urgent caller joins it.
+     * @param {string} method - 'quote', 'history', 'search', 'overview' or 'dividends'
+     * @param {string} symbol - Symbol the request is for (the query for searches)
+     * @param {Object} options - { args: further method arguments such as the history interval, priority }
+     * @returns {Promise<Object>} { data, source } where source is the provider id
+     * @throws {Error} Listing each provider's failure when none succeeds
+     */
+    request(method, symbol, options = {}) {
+        const args = options.args || [];
+        const priority = options.priority === undefined ? APP_CONSTANTS.PROVIDERS.PRIORITY.NORMAL : options.priority;
+        const key = [method, ...args, symbol].join('_');
+
+        this.scheduler.promote(key, priority);
+        return shareRequest(`market_${key}`, () => this.requestFromProviders(method, symbol, args, priority, key));
+    }
+
+    /**
+     * Try each provider able to serve a request in turn
+     * @param {string} method - Provider method
+     * @param {string} symbol - Symbol the request is for
+     * @param {Array} args - Further method arguments
+     * @param {number} priority - Queue priority
+     * @param {string} key - Queue key shared by identical requests
+     * @returns {Promise<Object>} { data, source }
+     * @throws {Error} Listing each provider's failure when none succeeds
+     */
+    async requestFromProviders(method, symbol, args, priority, key) {
+        const providers = this.getProviders(method, symbol);
+        if (providers.length === 0) {
+            throw new Error('No market data provider configured');
+        }
+
+        const failures = [];
+        for (const provider of providers) {
+            try {
+                const data = await this.scheduler.schedule(provider.id, () => {
+                    performanceMonitor.recordAPICall();
+                    return provider[method](symbol, ...args);
+                }, priority, key);
+                return { data, source: provider.id };
+            } catch (error) {
+                console.warn(`⚠️ ${provider.name} ${method} failed for ${symbol}: ${error.message}`);
+                failures.push(`${provider.name}: ${error.message}`);
+            }
+        }
+        throw new Error(failures.join('; '));
+    }
+
+    /**
+     * Display name of a data source
+     * @param {string} source - Provider id stored on fetched data
+     * @returns {string} Provider name, or the source itself when unknown
+     */
+    describe(source) {
+        const provider = this.providers.get(source);
+        return provider ? provider.name : source;
+    }
+}
+
+/**
+ * Application Initialization and Core Systems
+ */
+
+// Initialize advanced systems with enhanced configuration
+const cacheManager = new CacheManager({
+    maxSize: APP_CONSTANTS.CACHE.MAX_SIZE,
+    maxBytes: APP_CONSTANTS.CACHE.MAX_BYTES,
+    defaultDuration: APP_CONSTANTS.CACHE.STOCK_DURATION,
+    namespaces: APP_CONSTANTS.CACHE.NAMESPACES,
+    namespaceLimits: APP_CONSTANTS.CACHE.NAMESPACE_LIMITS,
+    // Time to live by key prefix, the longest matching prefix winning; daily closes only
+    // change once a day, so they are kept far longer than quotes
+    ttlPolicies: {
+        stock_: APP_CONSTANTS.CACHE.STOCK_DURATION,
+        history_daily_: APP_CONSTANTS.CACHE.HISTORY_DURATION,
+        history_: APP_CONSTANTS.CACHE.INTRADAY_DURATION,
+        dividends_: APP_CONSTANTS.CACHE.DIVIDEND_DURATION,
+        overview_: APP_CONSTANTS.CACHE.OVERVIEW_DURATION,
+        news_: APP_CONSTANTS.CACHE.NEWS_DURATION,
+        rates_: APP_CONSTANTS.CACHE.EXCHANGE_DURATION
+    },
+    persistentStore: new PersistentCache(APP_CONSTANTS.CACHE.DB_NAME, APP_CONSTANTS.CACHE.NAMESPACES)
+});
+
+const performanceMonitor = new PerformanceMonitor();
+
+const requestScheduler = new RequestScheduler(APP_CONSTANTS.PROVIDERS.BUDGETS, {
+    onChange: status => updateRequestStatusDisplay(status)
+});
+
+const marketData = new MarketDataRouter([
+    new AlphaVantageProvider(),
+    new TwelveDataProvider(),
+    new FinnhubProvider(),
+    new LocalDataProvider()
+], requestScheduler);
+
+AppState.portfolios = loadPortfolios();
+activatePortfolio(localStorage.getItem('activePortfolioId'));
+
+// Enhanced DOM utilities
+const DOMUtils = {
+    loading: document.getElementById('loading'),
+    errorMessage: document.getElementById('errorMessage'),
+    
+    show(element) {
+        if (element) element.classList.add('show');
+    },
+    
+    hide(element) {
+        if (element) element.classList.remove('show');
+    },
+    
+    setContent(element, content, isHTML = false) {
+        if (element) {
+            if (isHTML) {
+                element.innerHTML = SecurityManager.sanitizeInput(content);
+            } else {
+                element.textContent = content;
+            }
+        }
+    }
+};
+
+/**
+ * Enhanced Application Initialization
+ * Implements robust startup sequence with error handling
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('🚀 Personal Finance Tracker initializing...');
+    performanceMonitor.recordUserInteraction('app_start');
+    
+    try {
+        // Initialize secure configuration
+        await initializeConfig();
+        
+        // Load application data with error handling
+        await Promise.allSettled([
+            loadPortfolio(),
+            loadExchangeRates(),
+            loadNews()
+        ]);
+        
+        // Add security indicator
+        addSecurityIndicator();
+        
+        // Setup event listeners
+        setupEventListeners();
+
+        // Refresh on a market-hours schedule
+        startAutoRefresh();
+        updateRequestStatusDisplay();
+        
+        // Mark application as initialized
+        AppState.isInitialized = true;
+        
+        console.log('✅ Application initialized successfully');
+        performanceMonitor.recordUserInteraction('app_initialized');
+        
+    } catch (error) {
+        console.error('❌ Application initialization failed:', error);
+        performanceMonitor.recordError(error, 'initialization');
+        showError('Application failed to initialize. Please refresh and try again.');
+    }
+});
+
+/**
+ * Setup Event Listeners
+ * Configures all application event handlers with performance optimization
+ */
+function setupEventListeners() {
+    try {
+        // Stock symbol input - debounced search suggestions, arrow keys and Enter
+        const stockSymbolInput = document.getElementById('stockSymbol');
+        if (stockSymbolInput) {
+            let searchTimeout;
+            stockSymbolInput.addEventListener('input', function() {
+                symbolSearchState.selected = null;
+
+                // A typed exchange suffix (e.g. 7203.T) sets the trade currency to the listing's
+                const instrument = Instrument.parse(stockSymbolInput.value);
+                const currencyInput = document.getElementById('stockCurrency');
+                if (instrument && instrument.exchange !== 'US' && currencyInput &&
+                    SecurityManager.validateCurrency(instrument.currency)) {
+                    currencyInput.value = instrument.currency;
+                }
+
+                clearTimeout(searchTimeout);
+                searchTimeout = setTimeout(() => {
+                    updateSymbolSuggestions(stockSymbolInput.value);
+                }, APP_CONSTANTS.UI.DEBOUNCE_DELAY);
+            });
+            stockSymbolInput.addEventListener('keydown', function(e) {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    moveSymbolSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    if (symbolSearchState.activeIndex >= 0) {
+                        selectSymbolSuggestion(symbolSearchState.activeIndex);
+                    } else {
+                        hideSymbolSuggestions();
+                        addStock();
+                    }
+                } else if (e.key === 'Escape') {
+                    hideSymbolSuggestions();
+                }
+            });
+            // Delay so a click on a suggestion lands before the list hides
+            stockSymbolInput.addEventListener('blur', () => setTimeout(hideSymbolSuggestions, 200));
+        }
+
+        // Stock filter - Debounced input
+        const stockFilter = document.getElementById('stockFilter');
+        if (stockFilter) {
+            let filterTimeout;
+            stockFilter.addEventListener('input', function() {
+                clearTimeout(filterTimeout);
+                filterTimeout = setTimeout(() => {
+                    filterStocks();
+                }, APP_CONSTANTS.UI.DEBOUNCE_DELAY);
+            });
+        }
+
+        // Portfolio switcher, base currency and transaction form for the active list
+        renderPortfolioSwitcher();
+        const baseCurrencySelect = document.getElementById('baseCurrency');
+        if (baseCurrencySelect) {
+            baseCurrencySelect.value = AppState.settings.baseCurrency;
+        }
+        updateTransactionForm();
+        updateAlertForm();
+        renderAlertsPanel();
+
+        // Currency conversion input - Enter key support
+        const amountInput = document.getElementById('amount');
+        if (amountInput) {
+            amountInput.addEventListener('keydown', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    convertCurrency();
+                }
+            });
+        }
+
+        // Global keyboard shortcuts
+        document.addEventListener('keydown', function(e) {
+            // Ctrl+R - Refresh current section
+            if (e.ctrlKey && e.key === 'r') {
+                e.preventDefault();
+                refreshCurrentSection();
+            }
+            
+            // Escape - Clear active inputs or close modals
+            if (e.key === 'Escape') {
+                clearActiveInputs();
+                closeOpenModals();
+            }
+            
+            // Ctrl+Shift+P - Performance stats
+            if (e.ctrlKey && e.shiftKey && e.key === 'P') {
+                e.preventDefault();
+                showPerformanceStats();
+            }
+            
+            // Ctrl+Shift+L - Logout (secure shortcut)
+            if (e.ctrlKey && e.shiftKey && e.key === 'L') {
+                e.preventDefault();
+                logoutAndReset();
+            }
+        });
+
+        console.log('✅ Event listeners configured successfully');
+        
+    } catch (error) {
+        console.error('❌ Error setting up event listeners:', error);
+        performanceMonitor.recordError(error, 'event_setup');
+    }
+}
+
+/**
+ * Refresh current active section
+ */
+function refreshCurrentSection() {
+    const activeSection = document.querySelector('.section.active');
+    if (activeSection) {
+        const sectionId = activeSection.id;
+        performanceMonitor.recordUserInteraction('manual_refresh');
+        
+        switch (sectionId) {
+            case 'portfolio':
+                loadPortfolio();
+                break;
+            case 'analytics':
+                loadRiskAnalytics();
+                break;
+            case 'exchange':
+                loadExchangeRates();
+                break;
+            case 'news':
+                loadNews();
+                break;
+        }
+    }
+}
+
+/**
+ * Clear active form inputs
+ */
+function clearActiveInputs() {
+    const activeElement = document.activeElement;
+    if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')) {
+        activeElement.blur();
+    }
+}
+
+/**
+ * Close any open modal dialogs
+ */
+function closeOpenModals() {
+    const modals = document.querySelectorAll('.stats-modal, .config-modal');
+    csvImportState = null;
+    priceChartState = null;
+    modals.forEach(modal => modal.remove());
+}
+
+// Initialize configuration securely
+async function initializeConfig() {
+    try {
+        AppState.configLoader = new ConfigLoader();
+        await AppState.configLoader.waitForConfig();
+        API_CONFIG = AppState.configLoader.getConfig();
+        AppState.isConfigLoaded = true;
+        
+        console.log('✅ Configuration loaded securely');
+        
+        // Validate configuration
+        if (!AppState.configLoader.validateConfig()) {
+            console.warn('⚠️ Some API keys may be missing');
+        }
+        
+    } catch (error) {
+        console.error('❌ Failed to load configuration:', error);
+        showError('Failed to load API configuration. Some features may not work.');
+    }
+}
+
+// Add security indicator to show configuration status
+function addSecurityIndicator() {
+    const indicator = document.createElement('div');
+    indicator.className = 'security-indicator';
+    
+    if (AppState.configLoader && AppState.configLoader.isFixtureMode()) {
+        indicator.className += ' demo-mode';
+        indicator.innerHTML = '📁 Offline Fixtures';
+        indicator.title = 'Market data from local fixture files; news and exchange rates are mock data';
+    } else if (AppState.configLoader && AppState.configLoader.isDemoMode()) {
+        indicator.className += ' demo-mode';
+        indicator.innerHTML = '🎮 Demo Mode';
+        indicator.title = 'Running in demo mode with mock data';
+    } else if (AppState.isConfigLoaded) {
+        indicator.innerHTML = '🔒 Secured';
+        indicator.title = 'API keys loaded securely from environment';
+    } else {
+        indicator.className += ' insecure';
+        indicator.innerHTML = '⚠️ Config Error';
+        indicator.title = 'Configuration error - some features may not work';
+    }
+    
+    document.body.appendChild(indicator);
+}
+
+// Navigation functions
+function showSection(sectionName) {
+    // Hide all sections
+    document.querySelectorAll('.section').forEach(section => {
+        section.classList.remove('active');
+    });
+    
+    // Remove active class from all nav buttons
+    document.querySelectorAll('.nav-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    
+    // Show selected section
+    document.getElementById(sectionName).classList.add('active');
+    
+    // Add active class to clicked button
+    event.target.classList.add('active');
+    
+    // Load section-specific data
+    if (sectionName === 'portfolio') {
+        loadPortfolio();
+    } else if (sectionName === 'analytics') {
+        loadRiskAnalytics();
+    } else if (sectionName === 'exchange') {
+        loadExchangeRates();
+    } else if (sectionName === 'news') {
+        loadNews();
+    }
+}
+
+// Portfolio functions
+
+/**
+ * Normalize stored portfolio data into holding objects
+ * Older versions stored a plain array of ticker strings; those are migrated to
+ * single-share holdings with an unknown cost basis so nothing is lost on load.
+ * @param {Array<string|Object>|null} raw - Parsed value of the 'portfolio' storage key
+ * @returns {Array<Object>} Holdings of shape { symbol, quantity, averageCost, purchaseDate }
+ */
+function migratePortfolioData(raw) {
+    if (!Array.isArray(raw)) {
+        return [];
+    }
+
+    return raw.map(entry => {
+        if (typeof entry === 'string') {
+            return {
+                symbol: entry.toUpperCase(),
+                quantity: 1,
+                averageCost: null,
+                purchaseDate: null
+            };
+        }
+
+        if (entry && typeof entry.symbol === 'string') {
+            const quantity = parseFloat(entry.quantity);
+            const averageCost = parseFloat(entry.averageCost);
+            return {
+                symbol: entry.symbol.toUpperCase(),
+                quantity: quantity > 0 ? quantity : 1,
+                averageCost: averageCost > 0 ? averageCost : null,
+                purchaseDate: entry.purchaseDate || null
+            };
+        }
+
+        return null;
+    }).filter(Boolean);
+}
+
+/**
+ * Build a ledger from storage written before named portfolios existed
+ * Holdings saved before the ledger existed become one opening buy each.
+ * @returns {TransactionLedger} Ledger for the legacy single portfolio
+ */
+function loadLedger() {
+    const lotMethod = localStorage.getItem('lotMethod') || APP_CONSTANTS.LEDGER.DEFAULT_LOT_METHOD;
+    const stored = localStorage.getItem('transactions');
+
+    if (stored) {
+        try {
+            return new TransactionLedger(JSON.parse(stored), { lotMethod });
+        } catch (error) {
+            console.error('❌ Failed to parse stored transactions:', error);
+            performanceMonitor.recordError(error, 'ledger_load');
+        }
+    }
+
+    // Seed the journal with one opening buy per previously saved holding
+    const ledger = new TransactionLedger([], { lotMethod });
+    AppState.portfolio.forEach(holding => {
+        try {
+            ledger.add({
+                type: 'BUY',
+                symbol: holding.symbol,
+                date: holding.purchaseDate || getLocalDate(),
+                quantity: holding.quantity,
+                price: holding.averageCost,
+                notes: 'Migrated opening position'
+            });
+        } catch (error) {
+            console.warn(`⚠️ Could not migrate holding ${holding.symbol}:`, error.message);
+        }
+    });
+
+    console.log(`📒 Migrated ${ledger.transactions.length} holdings into the transaction ledger`);
+    return ledger;
+}
+
+/**
+ * Create a new portfolio or watchlist record
+ * @param {string} name - Display name
+ * @param {string} type - 'portfolio' or 'watchlist'
+ * @param {Object} options - Initial transactions, lot method, watched symbols, security metadata and targets
+ * @returns {Object} Portfolio record
+ */
+function createPortfolioRecord(name, type = 'portfolio', options = {}) {
+    return {
+        id: SecurityManager.generateSecureToken(6),
+        name: SecurityManager.sanitizeInput(name, { maxLength: 40 }),
+        type: type === 'watchlist' ? 'watchlist' : 'portfolio',
+        transactions: options.transactions || [],
+        lotMethod: options.lotMethod || APP_CONSTANTS.LEDGER.DEFAULT_LOT_METHOD,
+        symbols: options.symbols || [],
+        // Name, exchange, region and listing currency per symbol, from symbol search
+        securities: options.securities || {},
+        // Target weights in percent per holding or asset class
+        targets: options.targets || {
+            groupBy: 'holding',
+            weights: {},
+            tolerance: APP_CONSTANTS.REBALANCE.DEFAULT_TOLERANCE
+        }
+    };
+}
+
+/**
+ * Load all named portfolios and watchlists, migrating the single legacy portfolio
+ * @returns {Array<Object>} Portfolio records
+ */
+function loadPortfolios() {
+    const stored = localStorage.getItem('portfolios');
+
+    if (stored) {
+        try {
+            const parsed = JSON.parse(stored);
+            if (Array.isArray(parsed) && parsed.length > 0) {
+                const records = parsed.map(record => ({
+                    ...createPortfolioRecord(record.name || 'Portfolio', record.type),
+                    ...record
+                }));
+
+                const rewritten = Instrument.migrateRecords(records);
+                if (rewritten > 0) {
+                    console.log(`🏷️ Normalized ${rewritten} stored symbols`);
+                    localStorage.setItem('portfolios', JSON.stringify(records));
+                }
+                return records;
+            }
+        } catch (error) {
+            console.error('❌ Failed to parse stored portfolios:', error);
+            performanceMonitor.recordError(error, 'portfolios_load');
+        }
+    }
+
+    const ledger = loadLedger();
+    const portfolios = [createPortfolioRecord('My Portfolio', 'portfolio', {
+        transactions: ledger.transactions,
+        lotMethod: ledger.lotMethod
+    })];
+
+    localStorage.setItem('portfolios', JSON.stringify(portfolios));
+    ['portfolio', 'transactions', 'lotMethod'].forEach(key => localStorage.removeItem(key));
+    return portfolios;
+}
+
+/**
+ * Get the record of the portfolio or watchlist currently shown
+ * @returns {Object} Active portfolio record
+ */
+function getActivePortfolio() {
+    return AppState.portfolios.find(record => record.id === AppState.activePortfolioId) ||
+        AppState.portfolios[0];
+}
+
+/**
+ * Check whether the active list is a watchlist
+ * @returns {boolean} True for watchlists
+ */
+function isWatchlistActive() {
+    return getActivePortfolio().type === 'watchlist';
+}
+
+/**
+ * Make a portfolio the active list and derive its holdings
+ * @param {string} id - Portfolio identifier (falls back to the first list)
+ */
+function activatePortfolio(id) {
+    const record = AppState.portfolios.find(candidate => candidate.id === id) || AppState.portfolios[0];
+
+    AppState.activePortfolioId = record.id;
+    localStorage.setItem('activePortfolioId', record.id);
+    AppState.ledger = new TransactionLedger(record.transactions, { lotMethod: record.lotMethod });
+    AppState.portfolio = [];
+    syncPortfolioFromLedger();
+}
+
+/**
+ * Persist the active ledger and all portfolio records to localStorage
+ */
+function savePortfolio() {
+    const record = getActivePortfolio();
+    record.transactions = AppState.ledger.transactions;
+    record.lotMethod = AppState.ledger.lotMethod;
+    localStorage.setItem('portfolios', JSON.stringify(AppState.portfolios));
+}
+
+/**
+ * Rebuild holdings from the active ledger (or watchlist symbols), keeping the current display order
+ */
+function syncPortfolioFromLedger() {
+    const order = AppState.portfolio.map(holding => holding.symbol);
+    const record = getActivePortfolio();
+    const securities = record.securities || {};
+    const holdings = (record.type === 'watchlist'
+        ? record.symbols.map(symbol => ({
+            symbol,
+            currency: Instrument.quoteCurrency(symbol, 'USD'),
+            quantity: 0,
+            averageCost: null,
+            purchaseDate: null,
+            lots: []
+        }))
+        : AppState.ledger.getHoldings()
+    ).map(holding => ({
+        ...holding,
+        // Exchange, listing currency and asset class from the symbol; name from symbol search
+        instrument: Instrument.parse(holding.symbol),
+        ...(securities[holding.symbol] ? { security: securities[holding.symbol] } : {})
+    }));
+    const rank = (symbol) => {
+        const index = order.indexOf(symbol);
+        return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+
+    AppState.portfolio = holdings.sort((a, b) => rank(a.symbol) - rank(b.symbol));
+}
+
+/**
+ * Switch the portfolio section to another portfolio or watchlist
+ * @param {string} id - Portfolio identifier
+ */
+function switchPortfolio(id) {
+    activatePortfolio(id);
+    performanceMonitor.recordUserInteraction('portfolio_switch');
+
+    const filter = document.getElementById('stockFilter');
+    if (filter) filter.value = '';
+
+    rebalanceState = { trades: [], cash: 0 };
+    renderRebalanceTrades();
+    renderPortfolioSwitcher();
+    updateTransactionForm();
+    loadPortfolio();
+}
+
+/**
+ * Create a new named portfolio or watchlist and switch to it
+ * @param {string} type - 'portfolio' or 'watchlist'
+ */
+function createPortfolio(type = 'portfolio') {
+    const label = type === 'watchlist' ? 'watchlist' : 'portfolio';
+    const name = SecurityManager.sanitizeInput(prompt(`Name for the new ${label}:`) || '', { maxLength: 40 });
+
+    if (!name) {
+        return;
+    }
+
+    if (AppState.portfolios.some(record => record.name.toLowerCase() === name.toLowerCase())) {
+        showError(`A list named "${name}" already exists`);
+        return;
+    }
+
+    const record = createPortfolioRecord(name, type, { lotMethod: AppState.ledger.lotMethod });
+    AppState.portfolios.push(record);
+    localStorage.setItem('portfolios', JSON.stringify(AppState.portfolios));
+    switchPortfolio(record.id);
+    showError(`✅ Created ${label} "${name}"`, 'success');
+}
+
+/**
+ * Rename the active portfolio or watchlist
+ */
+function renamePortfolio() {
+    const record = getActivePortfolio();
+    const name = SecurityManager.sanitizeInput(prompt('New name:', record.name) || '', { maxLength: 40 });
+
+    if (!name || name === record.name) {
+        return;
+    }
+
+    if (AppState.portfolios.some(other => other !== record && other.name.toLowerCase() === name.toLowerCase())) {
+        showError(`A list named "${name}" already exists`);
+        return;
+    }
+
+    record.name = name;
+    localStorage.setItem('portfolios', JSON.stringify(AppState.portfolios));
+    renderPortfolioSwitcher();
+}
+
+/**
+ * Delete the active portfolio or watchlist, keeping at least one list
+ */
+function deletePortfolio() {
+    const record = getActivePortfolio();
+
+    if (AppState.portfolios.length <= 1) {
+        showError('You need at least one portfolio or watchlist');
+        return;
+    }
+
+    const detail = record.type === 'watchlist'
+        ? `${record.symbols.length} watched symbols`
+        : `${record.transactions.length} transactions`;
+    if (!confirm(`Delete "${record.name}" and its ${detail}? This cannot be undone.`)) {
+        return;
+    }
+
+    AppState.portfolios = AppState.portfolios.filter(other => other.id !== record.id);
+    localStorage.setItem('portfolios', JSON.stringify(AppState.portfolios));
+    PortfolioHistory.remove(record.id);
+    switchPortfolio(AppState.portfolios[0].id);
+}
+
+/**
+ * Populate the portfolio switcher with portfolios and watchlists
+ */
+function renderPortfolioSwitcher() {
+    const switcher = document.getElementById('portfolioSwitcher');
+    if (!switcher) return;
+
+    const optionsFor = (type) => AppState.portfolios
+        .filter(record => record.type === type)
+        .map(record => `<option value="${record.id}">${SecurityManager.encodeForHTML(record.name)}</option>`)
+        .join('');
+
+    const portfolios = optionsFor('portfolio');
+    const watchlists = optionsFor('watchlist');
+    switcher.innerHTML = `
+        ${portfolios ? `<optgroup label="Portfolios">${portfolios}</optgroup>` : ''}
+        ${watchlists ? `<optgroup label="Watchlists">${watchlists}</optgroup>` : ''}
+    `;
+    switcher.value = AppState.activePortfolioId;
+}
+
+/**
+ * Find a holding in the portfolio by symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Object|undefined} Matching holding
+ */
+function findHolding(symbol) {
+    return AppState.portfolio.find(holding => holding.symbol === symbol);
+}
+
+/**
+ * Calculate valuation metrics for a single position
+ * Quotes are in the listing's currency and cost basis in the holding's trade currency
+ * (usually the same); monetary results are converted to the target currency at the
+ * current exchange rate.
+ * @param {Object} holding - Holding with quantity, averageCost and currency
+ * @param {Object} stock - Latest quote with price and change
+ * @param {string} targetCurrency - Currency for the results (defaults to the trade currency)
+ * @returns {Object|null} Market value, cost basis, day change and unrealized P/L, or null without a rate
+ */
+function calculatePositionMetrics(holding, stock, targetCurrency = holding.currency || 'USD') {
+    const rate = convertAmount(1, holding.currency || 'USD', targetCurrency);
+    const quoteRate = convertAmount(1, Instrument.quoteCurrency(holding.symbol, holding.currency || 'USD'), targetCurrency);
+    if (rate === null || quoteRate === null) {
+        return null;
+    }
+
+    const quantity = holding.quantity || 0;
+    const marketValue = stock.price * quantity * quoteRate;
+    const dayChange = (stock.change || 0) * quantity * quoteRate;
+    const hasCostBasis = typeof holding.averageCost === 'number' && holding.averageCost > 0;
+    const costBasis = hasCostBasis ? holding.averageCost * quantity * rate : null;
+    const unrealizedPL = hasCostBasis ? marketValue - costBasis : null;
+    const unrealizedPLPercent = hasCostBasis && costBasis > 0 ? (unrealizedPL / costBasis) * 100 : null;
+
+    return { currency: targetCurrency, marketValue, dayChange, costBasis, unrealizedPL, unrealizedPLPercent };
+}
+
+/**
+ * Convert a quoted price into a holding's trade currency
+ * @param {Object} holding - Holding (or { symbol, currency }) the price is for
+ * @param {number} price - Price in the listing's currency
+ * @returns {number|null} Price in the trade currency, or null without a rate
+ */
+function priceInTradeCurrency(holding, price) {
+    const currency = holding.currency || 'USD';
+    return convertAmount(price, Instrument.quoteCurrency(holding.symbol, currency), currency);
+}
+
+async function addStock() {
+    const rawSymbol = document.getElementById('stockSymbol').value;
+    const enteredSymbol = SecurityManager.sanitizeInput(rawSymbol).toUpperCase().trim();
+    const symbol = Instrument.normalize(enteredSymbol) || enteredSymbol;
+    const quantityInput = document.getElementById('stockQuantity');
+    const costInput = document.getElementById('stockCost');
+    const dateInput = document.getElementById('purchaseDate');
+    const currencyInput = document.getElementById('stockCurrency');
+    // Crypto pairs are always held in their quote currency
+    const pair = parseCryptoSymbol(symbol);
+    const currency = pair ? pair.market : SecurityManager.sanitizeInput(currencyInput ? currencyInput.value : '') || 'USD';
+    const rawQuantity = SecurityManager.sanitizeInput(quantityInput ? quantityInput.value : '');
+    const rawCost = SecurityManager.sanitizeInput(costInput ? costInput.value : '');
+    const localToday = getLocalDate();
+    const purchaseDate = SecurityManager.sanitizeInput(dateInput ? dateInput.value : '') || localToday;
+    
+    if (!symbol) {
+        showError('Please enter a stock symbol');
+        return;
+    }
+
+    if (!SecurityManager.validateInput(symbol, 'stock_symbol')) {
+        showError('Invalid symbol format. Use a ticker with an optional exchange suffix (e.g., AAPL, BRK-B, 0700.HK) or a crypto pair (e.g., BTC-USD)');
+        return;
+    }
+
+    const isWatchlist = isWatchlistActive();
+
+    if (isWatchlist && findHolding(symbol)) {
+        showError('Stock already in watchlist');
+        return;
+    }
+
+    if (!isWatchlist && !SecurityManager.validateAmount(rawQuantity)) {
+        showError(pair ? 'Please enter a valid quantity (positive number, fractions allowed)' : 'Please enter a valid share quantity (positive number)');
+        return;
+    }
+
+    if (rawCost && !SecurityManager.validateAmount(rawCost)) {
+        showError('Please enter a valid average cost per share');
+        return;
+    }
+
+    if (!SecurityManager.validateCurrency(currency)) {
+        showError(pair ? `Quote currency ${currency} is not supported` : 'Please choose a supported trade currency');
+        return;
+    }
+
+    // Date inputs hold the user's calendar date, so compare with their date rather than UTC's
+    if (isNaN(Date.parse(purchaseDate)) || purchaseDate > localToday) {
+        showError('Please enter a valid purchase date (not in the future)');
+        return;
+    }
+    
+    // Check if configuration is properly loaded
+    if (!AppState.isConfigLoaded || !AppState.configLoader) {
+        showError('⚠️ Configuration not loaded. Please wait or reload the page.');
+        return;
+    }
+    
+    const startTime = performance.now();
+    showLoading(true);
+    
+    try {
+        // First try to get real data (no mock fallback)
+        let stockInfo = null;
+        let isRealData = false;
+        
+        try {
+            stockInfo = await fetchStockData(symbol, false, APP_CONSTANTS.PROVIDERS.PRIORITY.USER);
+            isRealData = true;
+        } catch (realDataError) {
+            console.log(`Real data unavailable for ${symbol}, trying with mock fallback:`, realDataError.message);
+            stockInfo = await fetchStockData(symbol, true, APP_CONSTANTS.PROVIDERS.PRIORITY.USER);
+            isRealData = false;
+        }
+        
+        // Check if we got valid stock data
+        if (stockInfo && stockInfo.price > 0) {
+            const record = getActivePortfolio();
+            const selected = symbolSearchState.selected;
+            if (selected && selected.symbol === symbol) {
+                record.securities[symbol] = {
+                    name: selected.name,
+                    exchange: selected.exchange,
+                    region: selected.region,
+                    currency: selected.currency
+                };
+            }
+
+            if (isWatchlist) {
+                record.symbols.push(symbol);
+            } else {
+                AppState.ledger.add({
+                    type: 'BUY',
+                    symbol,
+                    date: purchaseDate,
+                    quantity: parseFloat(rawQuantity),
+                    // Default the cost basis to the current quote when none is given
+                    price: rawCost ? parseFloat(rawCost) : priceInTradeCurrency({ symbol, currency }, stockInfo.price),
+                    currency
+                });
+            }
+            savePortfolio();
+            syncPortfolioFromLedger();
+            AppState.stockData.set(symbol, stockInfo);
+            
+            document.getElementById('stockSymbol').value = '';
+            symbolSearchState.selected = null;
+            hideSymbolSuggestions();
+            if (quantityInput) quantityInput.value = '';
+            if (costInput) costInput.value = '';
+            if (dateInput) dateInput.value = '';
+            updatePortfolioDisplay();
+            
+            // Show appropriate message based on data source
+            if (isRealData && !stockInfo.isMockData) {
+                showError(`✅ Stock ${symbol} added successfully!`, 'success');
+            } else if (AppState.configLoader && AppState.configLoader.isDemoMode()) {
+                showError(`✅ Stock ${symbol} added in demo mode!`, 'success');
+            } else {
+                showError(`⚠️ Stock ${symbol} added with limited data (API unavailable)`, 'warning');
+            }
+            
+            // Record performance metrics
+            const endTime = performance.now();
+            performanceMonitor.recordLoadTime(endTime - startTime);
+        } else {
+            throw new Error('Invalid stock data received');
+        }
+    } catch (error) {
+        console.error('Failed to add stock:', error);
+        performanceMonitor.recordError(error, 'add_stock');
+        
+        // More specific error messages
+        if (error.message.includes('Invalid stock symbol')) {
+            showError(`❌ "${symbol}" is not a valid stock symbol. Please check and try again.`);
+        } else if (error.message.includes('API configuration')) {
+            showError(`❌ API configuration error. Please reload the page or configure API keys.`);
+        } else {
+            showError(`❌ Failed to add stock ${symbol}. Please verify the symbol is correct.`);
+        }
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Close out a position by recording a sale of all shares at the latest quote
+ * @param {string} symbol - Stock symbol to sell
+ */
+async function removeStock(symbol) {
+    const holding = findHolding(symbol);
+    const stock = AppState.stockData.get(symbol);
+
+    if (!holding) {
+        return;
+    }
+
+    // Watchlists hold no shares, so removing a symbol needs no ledger entry
+    if (isWatchlistActive()) {
+        const record = getActivePortfolio();
+        record.symbols = record.symbols.filter(watched => watched !== symbol);
+        savePortfolio();
+        syncPortfolioFromLedger();
+        updatePortfolioDisplay();
+        return;
+    }
+
+    const price = stock && stock.price > 0 ? priceInTradeCurrency(holding, stock.price) : null;
+    if (price === null) {
+        showError(`❌ No current price for ${symbol}. Record the sale from the transactions panel instead.`);
+        return;
+    }
+
+    const confirmed = confirm(
+        `Sell all ${formatQuantity(holding.quantity)} shares of ${symbol} at ${formatPrice(price, false, holding.currency)}?\n\n` +
+        'The sale will be recorded in the transaction ledger.'
+    );
+    if (!confirmed) {
+        return;
+    }
+
+    try {
+        AppState.ledger.add({
+            type: 'SELL',
+            symbol,
+            quantity: holding.quantity,
+            price,
+            currency: holding.currency,
+            // Every open lot is consumed, so the matching order is irrelevant
+            lotMethod: 'FIFO',
+            notes: 'Position closed from portfolio card'
+        });
+        savePortfolio();
+        syncPortfolioFromLedger();
+        AppState.stockData.delete(symbol);
+        updatePortfolioDisplay();
+        showError(`✅ Sold ${symbol} position`, 'success');
+    } catch (error) {
+        console.error('Failed to close position:', error);
+        performanceMonitor.recordError(error, 'remove_stock');
+        showError(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Record a transaction from the ledger form
+ */
+function recordTransaction() {
+    const read = (id) => {
+        const input = document.getElementById(id);
+        return input ? SecurityManager.sanitizeInput(input.value) : '';
+    };
+    const type = read('txType');
+
+    try {
+        const transaction = AppState.ledger.add({
+            type,
+            symbol: read('txSymbol').toUpperCase(),
+            date: read('txDate') || undefined,
+            quantity: read('txQuantity'),
+            price: read('txPrice'),
+            fees: read('txFees'),
+            amount: read('txAmount'),
+            ratio: read('txRatio'),
+            currency: read('txCurrency') || undefined,
+            lotMethod: AppState.ledger.lotMethod,
+            lotId: read('txLot')
+        });
+
+        savePortfolio();
+        syncPortfolioFromLedger();
+        performanceMonitor.recordUserInteraction(`transaction_${type.toLowerCase()}`);
+
+        ['txSymbol', 'txDate', 'txQuantity', 'txPrice', 'txFees', 'txAmount', 'txRatio'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+
+        // Newly bought symbols need a quote before they can be valued
+        if (transaction.type === 'BUY' && !AppState.stockData.has(transaction.symbol)) {
+            loadPortfolio();
+        } else {
+            updatePortfolioDisplay();
+        }
+        showError(`✅ ${transaction.type} ${transaction.symbol} recorded`, 'success');
+    } catch (error) {
+        console.error('Failed to record transaction:', error);
+        performanceMonitor.recordError(error, 'record_transaction');
+        showError(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Delete a transaction from the ledger
+ * @param {string} id - Transaction identifier
+ */
+function deleteTransaction(id) {
+    if (!confirm('Delete this transaction? Positions and realized gains will be recalculated.')) {
+        return;
+    }
+
+    try {
+        AppState.ledger.remove(id);
+        savePortfolio();
+        syncPortfolioFromLedger();
+        updatePortfolioDisplay();
+    } catch (error) {
+        console.error('Failed to delete transaction:', error);
+        showError(`❌ Cannot delete: ${error.message}`);
+    }
+}
+
+/**
+ * Change the default lot-matching method for new sales
+ */
+function changeLotMethod() {
+    const select = document.getElementById('lotMethod');
+    if (!select || !APP_CONSTANTS.LEDGER.LOT_METHODS.includes(select.value)) {
+        return;
+    }
+
+    AppState.ledger.lotMethod = select.value;
+    savePortfolio();
+    updateTransactionForm();
+}
+
+/**
+ * Show only the ledger form fields relevant to the chosen transaction type
+ */
+function updateTransactionForm() {
+    const type = document.getElementById('txType')?.value || 'BUY';
+    const fieldsByType = {
+        BUY: ['txQuantity', 'txPrice', 'txFees'],
+        SELL: ['txQuantity', 'txPrice', 'txFees'],
+        DIVIDEND: ['txAmount', 'txFees'],
+        FEE: ['txAmount'],
+        SPLIT: ['txRatio']
+    };
+    const visible = fieldsByType[type] || [];
+
+    ['txQuantity', 'txPrice', 'txFees', 'txAmount', 'txRatio'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.style.display = visible.includes(id) ? '' : 'none';
+    });
+
+    const lotSelect = document.getElementById('txLot');
+    if (!lotSelect) return;
+
+    const needsLot = type === 'SELL' && AppState.ledger.lotMethod === 'SPECIFIC';
+    lotSelect.style.display = needsLot ? '' : 'none';
+    lotSelect.innerHTML = '';
+
+    if (needsLot) {
+        const enteredSymbol = (document.getElementById('txSymbol')?.value || '').toUpperCase().trim();
+        const symbol = Instrument.normalize(enteredSymbol) || enteredSymbol;
+        const lots = symbol ? AppState.ledger.getOpenLots(symbol) : [];
+        if (lots.length === 0) {
+            lotSelect.innerHTML = '<option value="">No open lots</option>';
+        }
+        lots.forEach(lot => {
+            const option = document.createElement('option');
+            option.value = lot.id;
+            const lotCurrency = findHolding(symbol)?.currency;
+            option.textContent = `${lot.date} · ${formatQuantity(lot.quantity)} @ ${lot.costPerShare !== null ? formatCurrency(lot.costPerShare, false, lotCurrency) : 'N/A'}`;
+            lotSelect.appendChild(option);
+        });
+    }
+}
+
+/**
+ * Render the transaction history and realized totals
+ */
+function updateLedgerDisplay() {
+    const table = document.getElementById('transactionTable');
+    const realizedEl = document.getElementById('realizedGain');
+    const { realized, totals } = AppState.ledger.getRealizedSummary();
+
+    if (realizedEl) {
+        const gains = sumInBaseCurrency(totals.byCurrency, 'realizedGain');
+        const dividends = sumInBaseCurrency(totals.byCurrency, 'dividends');
+        const fees = sumInBaseCurrency(totals.byCurrency, 'fees');
+        const net = gains + dividends - fees;
+        DOMUtils.setContent(realizedEl, formatCurrency(net, true));
+        realizedEl.className = `portfolio-change ${net >= 0 ? 'positive' : 'negative'}`;
+        realizedEl.title = `Gains ${formatCurrency(gains, true)} · Dividends ${formatCurrency(dividends)} · Fees ${formatCurrency(fees)}`;
+    }
+
+    const lotMethodSelect = document.getElementById('lotMethod');
+    if (lotMethodSelect) {
+        lotMethodSelect.value = AppState.ledger.lotMethod;
+    }
+
+    if (!table) return;
+
+    const history = AppState.ledger.getHistory();
+    if (history.length === 0) {
+        table.innerHTML = '<tr><td colspan="7" class="empty-ledger">No transactions recorded yet</td></tr>';
+        return;
+    }
+
+    const gainBySale = new Map();
+    realized.forEach(entry => {
+        if (entry.gain === null) return;
+        gainBySale.set(entry.saleId, (gainBySale.get(entry.saleId) || 0) + entry.gain);
+    });
+
+    table.innerHTML = history.map(tx => {
+        const gain = gainBySale.get(tx.id);
+        const currency = tx.currency || findHolding(tx.symbol)?.currency || 'USD';
+        let detail = '';
+        if (tx.type === 'BUY' || tx.type === 'SELL') {
+            detail = `${formatQuantity(tx.quantity)} @ ${tx.price !== null ? formatCurrency(tx.price, false, currency) : 'N/A'}`;
+        } else if (tx.type === 'SPLIT') {
+            detail = `${tx.ratio}:1`;
+        } else {
+            detail = formatCurrency(tx.amount, false, currency);
+        }
+
+        return `
+            <tr>
+                <td>${tx.date}</td>
+                <td><span class="tx-type tx-${tx.type.toLowerCase()}">${tx.type}</span></td>
+                <td>${SecurityManager.encodeForHTML(tx.symbol || '—')}</td>
+                <td>${detail}</td>
+                <td>${tx.fees ? formatCurrency(tx.fees, false, currency) : '—'}</td>
+                <td class="${gain === undefined ? '' : (gain >= 0 ? 'positive' : 'negative')}">${gain === undefined ? '—' : formatCurrency(gain, true, currency)}</td>
+                <td><button class="tx-delete-btn" onclick="deleteTransaction('${tx.id}')" title="Delete transaction">×</button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// CSV import functions
+
+// Parsed file and column mapping for the open import dialog
+let csvImportState = null;
+
+/**
+ * Open the broker CSV import dialog
+ */
+function openImportDialog() {
+    if (isWatchlistActive()) {
+        showError('Switch to a portfolio to import transactions');
+        return;
+    }
+
+    closeOpenModals();
+    csvImportState = null;
+
+    const modal = document.createElement('div');
+    modal.className = 'stats-modal import-modal';
+    modal.innerHTML = `
+        <div class="stats-content import-content">
+            <h3>Import Broker Transactions</h3>
+            <p class="import-help">Choose a CSV export from your broker, check the column mapping and preview, then import. Rows already in "${SecurityManager.encodeForHTML(getActivePortfolio().name)}" are skipped.</p>
+            <input type="file" id="csvFile" accept=".csv,text/csv" onchange="handleImportFile(this)">
+            <div id="importMapping" class="import-mapping"></div>
+            <div id="importPreview" class="import-preview"></div>
+            <div class="stats-actions">
+                <button id="commitImportBtn" onclick="commitImport()" class="clear-cache-btn" disabled>Import</button>
+                <button onclick="closeImportDialog()" class="close-stats-btn">Cancel</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeImportDialog();
+        }
+    });
+}
+
+function closeImportDialog() {
+    const modal = document.querySelector('.import-modal');
+    if (modal) {
+        modal.remove();
+    }
+    csvImportState = null;
+}
+
+/**
+ * Read the chosen CSV file and suggest a column mapping
+ * @param {HTMLInputElement} input - File input element
+ */
+async function handleImportFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const rows = CSVImporter.parse(text);
+        if (rows.length < 2) {
+            throw new Error('The file has no data rows');
+        }
+
+        const headerIndex = CSVImporter.findHeaderRow(rows);
+        const headers = rows[headerIndex].cells;
+        csvImportState = {
+            headers,
+            rows: rows.slice(headerIndex + 1),
+            mapping: CSVImporter.detectMapping(headers),
+            dayFirst: false,
+            // Semicolon files come from locales that write decimal commas; in comma files a
+            // comma inside a number has to be quoted and groups thousands
+            decimal: { ';': ',', ',': '.' }[CSVImporter.detectDelimiter(text)] || null,
+            preview: []
+        };
+
+        renderImportMapping();
+        updateImportPreview();
+        performanceMonitor.recordUserInteraction('csv_import_file');
+    } catch (error) {
+        console.error('CSV import failed:', error);
+        performanceMonitor.recordError(error, 'csv_import');
+        showError(`❌ Could not read file: ${error.message}`);
+    }
+}
+
+/**
+ * Render one column selector per importable field
+ */
+function renderImportMapping() {
+    const container = document.getElementById('importMapping');
+    if (!container || !csvImportState) return;
+
+    const labels = {
+        date: 'Date', symbol: 'Symbol', side: 'Side / Action', quantity: 'Quantity',
+        price: 'Price', fees: 'Fees', amount: 'Amount', currency: 'Currency'
+    };
+    const columnOptions = csvImportState.headers
+        .map((header, index) => `<option value="${index}">${SecurityManager.encodeForHTML(header) || `Column ${index + 1}`}</option>`)
+        .join('');
+
+    container.innerHTML = Object.keys(CSVImporter.FIELDS).map(field => `
+        <label>
+            ${labels[field]}
+            <select data-field="${field}" onchange="changeImportMapping(this)">
+                <option value="-1">— not mapped —</option>
+                ${columnOptions}
+            </select>
+        </label>
+    `).join('') + `
+        <label class="import-day-first">
+            <input type="checkbox" onchange="changeImportDateFormat(this)"> Dates are day-first (DD/MM/YYYY)
+        </label>
+    `;
+
+    container.querySelectorAll('select[data-field]').forEach(select => {
+        select.value = String(csvImportState.mapping[select.dataset.field]);
+    });
+}
+
+function changeImportMapping(select) {
+    if (!csvImportState) return;
+    csvImportState.mapping[select.dataset.field] = parseInt(select.value, 10);
+    updateImportPreview();
+}
+
+function changeImportDateFormat(checkbox) {
+    if (!csvImportState) return;
+    csvImportState.dayFirst = checkbox.checked;
+    updateImportPreview();
+}
+
+/**
+ * Re-parse rows with the current mapping and show the validation preview
+ */
+function updateImportPreview() {
+    const container = document.getElementById('importPreview');
+    const commitBtn = document.getElementById('commitImportBtn');
+    if (!container || !csvImportState) return;
+
+    csvImportState.preview = CSVImporter.buildPreview(csvImportState.rows, csvImportState.mapping, {
+        dayFirst: csvImportState.dayFirst,
+        decimal: csvImportState.decimal,
+        existing: AppState.ledger.transactions
+    });
+
+    const ready = csvImportState.preview.filter(row => row.errors.length === 0 && !row.duplicate);
+    const duplicates = csvImportState.preview.filter(row => row.duplicate).length;
+    const invalid = csvImportState.preview.filter(row => row.errors.length > 0).length;
+
+    const rowsHTML = csvImportState.preview.slice(0, 200).map(row => {
+        const tx = row.transaction;
+        let status = '<span class="import-ok">Ready</span>';
+        if (row.errors.length > 0) {
+            status = `<span class="import-error">${row.errors.map(SecurityManager.encodeForHTML).join('; ')}</span>`;
+        } else if (row.duplicate) {
+            status = '<span class="import-duplicate">Already imported</span>';
+        }
+
+        return `
+            <tr>
+                <td>${row.line}</td>
+                <td>${tx.date || '—'}</td>
+                <td>${tx.type || '—'}</td>
+                <td>${SecurityManager.encodeForHTML(tx.symbol) || '—'}</td>
+                <td>${tx.quantity !== null ? formatQuantity(tx.quantity) : '—'}</td>
+                <td>${tx.price !== null ? tx.price.toFixed(4) : (tx.amount !== null ? tx.amount.toFixed(2) : '—')}</td>
+                <td>${status}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="import-summary">
+            ${ready.length} ready · ${duplicates} duplicates skipped · ${invalid} with errors
+        </div>
+        <div class="ledger-table-wrapper">
+            <table class="ledger-table">
+                <thead>
+                    <tr><th>Line</th><th>Date</th><th>Type</th><th>Symbol</th><th>Qty</th><th>Price / Amount</th><th>Status</th></tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </div>
+    `;
+
+    if (commitBtn) {
+        commitBtn.disabled = ready.length === 0;
+        commitBtn.textContent = `Import ${ready.length} transaction${ready.length === 1 ? '' : 's'}`;
+    }
+}
+
+/**
+ * Commit all valid, non-duplicate preview rows to the active ledger in one step
+ */
+function commitImport() {
+    if (!csvImportState) return;
+
+    const ready = csvImportState.preview
+        .filter(row => row.errors.length === 0 && !row.duplicate)
+        .map(row => row.transaction);
+
+    try {
+        const added = AppState.ledger.addMany(ready);
+        savePortfolio();
+        syncPortfolioFromLedger();
+        closeImportDialog();
+        performanceMonitor.recordUserInteraction('csv_import_commit');
+        showError(`✅ Imported ${added.length} transactions`, 'success');
+        loadPortfolio();
+    } catch (error) {
+        console.error('CSV import commit failed:', error);
+        performanceMonitor.recordError(error, 'csv_import_commit');
+        showError(`❌ Import rejected, nothing was saved: ${error.message}`);
+    }
+}
+
+// Export functions
+
+/**
+ * Open the export dialog
+ * @param {string} dataset - Preselected dataset ('portfolio', 'transactions' or 'rates')
+ */
+function openExportDialog(dataset = 'portfolio') {
+    closeOpenModals();
+
+    const modal = document.createElement('div');
+    modal.className = 'stats-modal export-modal';
+    modal.innerHTML = `
+        <div class="stats-content">
+            <h3>Export Data</h3>
+            <div class="export-options">
+                <label>
+                    Data
+                    <select id="exportDataset">
+                        <option value="portfolio">Portfolio snapshot</option>
+                        <option value="transactions">Transaction history</option>
+                        <option value="rates">Exchange rates</option>
+                    </select>
+                </label>
+                <label>
+                    Format
+                    <select id="exportFormat">
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                        <option value="ofx">OFX (investment statement)</option>
+                    </select>
+                </label>
+            </div>
+            <div class="stats-actions">
+                <button onclick="exportData()" class="clear-cache-btn">Download</button>
+                <button onclick="closeOpenModals()" class="close-stats-btn">Close</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.getElementById('exportDataset').value = dataset;
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+/**
+ * Export the selected dataset in the selected format
+ */
+function exportData() {
+    const dataset = document.getElementById('exportDataset')?.value || 'portfolio';
+    const format = document.getElementById('exportFormat')?.value || 'csv';
+    const stamp = new Date().toISOString().slice(0, 10);
+    const slug = getActivePortfolio().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'portfolio';
+
+    try {
+        if (format === 'ofx') {
+            if (dataset === 'rates') {
+                throw new Error('OFX has no exchange-rate statement. Choose CSV or JSON for rates.');
+            }
+            const content = DataExporter.toOFX({
+                positions: dataset === 'portfolio',
+                transactions: dataset === 'transactions'
+            });
+            DataExporter.download(`${slug}-${dataset}-${stamp}.ofx`, content, 'application/x-ofx');
+        } else {
+            const builders = {
+                portfolio: () => DataExporter.buildPortfolioSnapshot(),
+                transactions: () => DataExporter.buildTransactionRows(),
+                rates: () => DataExporter.buildExchangeRateRows()
+            };
+            const rows = builders[dataset]();
+            if (rows.length === 0) {
+                throw new Error('Nothing to export yet');
+            }
+
+            const prefix = dataset === 'rates' ? 'exchange' : slug;
+            if (format === 'json') {
+                DataExporter.download(`${prefix}-${dataset}-${stamp}.json`, DataExporter.toJSON(dataset, rows), 'application/json');
+            } else {
+                DataExporter.download(`${prefix}-${dataset}-${stamp}.csv`, DataExporter.toCSV(rows), 'text/csv');
+            }
+        }
+
+        performanceMonitor.recordUserInteraction(`export_${dataset}_${format}`);
+        showError(`✅ Exported ${dataset} as ${format.toUpperCase()}`, 'success');
+    } catch (error) {
+        console.error('Export failed:', error);
+        performanceMonitor.recordError(error, 'export');
+        showError(`❌ ${error.message}`);
+    }
+}
+
+// Tax report functions
+
+/**
+ * Open the realized gains report dialog
+ * Lists the years with sales or dividends plus the current year; the previous
+ * year is preselected when it has activity, as that is the one usually filed.
+ */
+function openTaxReportDialog() {
+    closeOpenModals();
+    savePortfolio();
+
+    const portfolios = AppState.portfolios.filter(record => record.type === 'portfolio');
+    const currentYear = new Date().getFullYear();
+    const years = [...new Set([currentYear, ...TaxReport.years(portfolios)])].sort((a, b) => b - a);
+    const selectedYear = years.includes(currentYear - 1) ? currentYear - 1 : currentYear;
+    const active = getActivePortfolio();
+
+    const modal = document.createElement('div');
+    modal.className = 'stats-modal tax-report-modal';
+    modal.innerHTML = `
+        <div class="stats-content">
+            <h3><i class="fas fa-file-invoice-dollar"></i> Realized Gains Report</h3>
+            <div class="export-options">
+                <label>
+                    Tax year
+                    <select id="taxYear" onchange="updateTaxReportPreview()">
+                        ${years.map(year => `<option value="${year}" ${year === selectedYear ? 'selected' : ''}>${year}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    Portfolio
+                    <select id="taxPortfolio" onchange="updateTaxReportPreview()">
+                        <option value="all">All portfolios</option>
+                        ${portfolios.map(record => `
+                            <option value="${record.id}" ${record.id === active.id ? 'selected' : ''}>${SecurityManager.encodeForHTML(record.name)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            <div id="taxReportPreview" class="tax-report-preview"></div>
+            <div class="stats-actions">
+                <button onclick="downloadTaxReport('csv')" class="clear-cache-btn">Download CSV</button>
+                <button onclick="downloadTaxReport('html')" class="clear-cache-btn">Printable view</button>
+                <button onclick="closeOpenModals()" class="close-stats-btn">Close</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeOpenModals();
+        }
+    });
+    updateTaxReportPreview();
+}
+
+/**
+ * Build the report for the year and portfolio chosen in the dialog
+ * @returns {Object} Result of TaxReport.build()
+ */
+function buildSelectedTaxReport() {
+    const year = parseInt(document.getElementById('taxYear')?.value, 10) || new Date().getFullYear();
+    const portfolioId = document.getElementById('taxPortfolio')?.value || 'all';
+    const records = AppState.portfolios.filter(record =>
+        record.type === 'portfolio' && (portfolioId === 'all' || record.id === portfolioId));
+    return TaxReport.build(records, year);
+}
+
+/**
+ * Summarize the selected report in the dialog
+ */
+function updateTaxReportPreview() {
+    const preview = document.getElementById('taxReportPreview');
+    if (!preview) return;
+
+    try {
+        const report = buildSelectedTaxReport();
+        const currencies = Object.entries(report.totals);
+        preview.innerHTML = `
+            <p>${report.sales.length} lot${report.sales.length === 1 ? '' : 's'} sold and ${report.dividends.length} dividend${report.dividends.length === 1 ? '' : 's'} in ${report.year}.</p>
+            ${currencies.map(([currency, total]) => `
+                <div class="stats-grid">
+                    <div class="stat-item">
+                        <span class="stat-label">Short-term gain/loss (${currency})</span>
+                        <span class="stat-value">${formatCurrency(total.shortTerm, true, currency)}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Long-term gain/loss (${currency})</span>
+                        <span class="stat-value">${formatCurrency(total.longTerm, true, currency)}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Dividend income (${currency})</span>
+                        <span class="stat-value">${formatCurrency(total.dividends, false, currency)}</span>
+                    </div>
+                    ${total.unknownBasis > 0 ? `
+                    <div class="stat-item">
+                        <span class="stat-label">Proceeds with unknown cost basis</span>
+                        <span class="stat-value">${formatCurrency(total.unknownBasis, false, currency)}</span>
+                    </div>` : ''}
+                </div>
+            `).join('')}
+            ${report.skipped.length ? `<p class="performance-note">Not included, transactions could not be replayed: ${SecurityManager.encodeForHTML(report.skipped.join(', '))}</p>` : ''}
+        `;
+    } catch (error) {
+        console.error('Tax report failed:', error);
+        performanceMonitor.recordError(error, 'tax_report');
+        preview.textContent = 'The report could not be built from the current transactions.';
+    }
+}
+
+/**
+ * Download the selected report as CSV, or open it as a printable page
+ * @param {string} format - 'csv' or 'html'
+ */
+function downloadTaxReport(format) {
+    try {
+        const report = buildSelectedTaxReport();
+        const portfolioId = document.getElementById('taxPortfolio')?.value || 'all';
+        const record = AppState.portfolios.find(candidate => candidate.id === portfolioId);
+        const slug = record
+            ? record.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'portfolio'
+            : 'all-portfolios';
+        const filename = `${slug}-tax-report-${report.year}`;
+
+        if (format === 'html') {
+            const html = TaxReport.toHTML(report);
+            const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+            const view = window.open(url, '_blank');
+            if (!view) {
+                // Pop-up blocked: save the page instead
+                DataExporter.download(`${filename}.html`, html, 'text/html');
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } else {
+            const rows = TaxReport.toRows(report);
+            if (rows.length === 0) {
+                throw new Error(`No sales or dividends in ${report.year}`);
+            }
+            DataExporter.download(`${filename}.csv`, DataExporter.toCSV(rows), 'text/csv');
+        }
+
+        performanceMonitor.recordUserInteraction(`tax_report_${format}`);
+    } catch (error) {
+        console.error('Tax report export failed:', error);
+        performanceMonitor.recordError(error, 'tax_report');
+        showError(`❌ ${error.message}`);
+    }
+}
+
+// Performance history functions
+
+/**
+ * Record today's valuation of the active portfolio
+ * Skipped for watchlists, for incomplete valuations and whenever a quote is fallback
+ * mock data: snapshots are merged by date, so a valuation from random prices would
+ * overwrite today's real one. Demo and fixture modes have no live quotes to protect.
+ * @param {number} totalValue - Portfolio value in the base currency
+ * @param {boolean} complete - Whether every holding was priced and converted
+ * @param {boolean} usesMockData - Whether any holding was valued from a mock quote
+ */
+function recordPortfolioSnapshot(totalValue, complete, usesMockData = false) {
+    const record = getActivePortfolio();
+    if (!record || record.type === 'watchlist' || AppState.ledger.transactions.length === 0) {
+        return;
+    }
+
+    const loader = AppState.configLoader;
+    const isDemo = Boolean(loader && (loader.isDemoMode() || loader.isFixtureMode()));
+    if (!complete || (usesMockData && !isDemo)) {
+        return;
+    }
+
+    try {
+        const today = getLocalDate();
+        PortfolioHistory.recordSnapshot(record.id, today, totalValue, AppState.settings.baseCurrency);
+    } catch (error) {
+        console.warn('Could not record portfolio snapshot:', error);
+        performanceMonitor.recordError(error, 'history_snapshot');
+    }
+}
+
+/**
+ * Back-fill past valuations of the active portfolio from daily closing prices
+ * Runs again only when the transactions change since the last back-fill.
+ * @returns {Promise<boolean>} True if new points were stored
+ */
+async function backfillPortfolioHistory() {
+    const record = getActivePortfolio();
+    const transactions = AppState.ledger.transactions;
+    if (!record || record.type === 'watchlist' || transactions.length === 0) {
+        return false;
+    }
+
+    const signature = PortfolioHistory.signature(transactions);
+    if (PortfolioHistory.getBackfillSignature(record.id) === signature) {
+        return false;
+    }
+
+    try {
+        const today = getLocalDate();
+        const earliest = TransactionLedger.sortTransactions(transactions)[0].date;
+        const windowStart = shiftDate(today, -APP_CONSTANTS.HISTORY.BACKFILL_DAYS);
+        const startDate = earliest > windowStart ? earliest : windowStart;
+
+        const symbols = [...new Set(transactions.filter(tx => tx.symbol).map(tx => tx.symbol))];
+        const results = await Promise.allSettled(symbols.map(symbol => fetchPriceHistory(symbol)));
+
+        const series = new Map();
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                series.set(symbols[index], result.value.series);
+            }
+        });
+
+        // The user may have switched lists while prices were loading
+        if (AppState.activePortfolioId !== record.id) {
+            return false;
+        }
+
+        const baseCurrency = AppState.settings.baseCurrency;
+        const points = PortfolioHistory.buildBackfill(transactions, series, startDate, today, baseCurrency);
+        PortfolioHistory.merge(record.id, points, baseCurrency, { backfillSignature: signature });
+
+        console.log(`📈 Back-filled ${points.length} days of portfolio history`);
+        updatePerformanceDisplay();
+        return points.length > 0;
+
+    } catch (error) {
+        console.error('❌ Portfolio history back-fill failed:', error);
+        performanceMonitor.recordError(error, 'history_backfill');
+        return false;
+    }
+}
+
+/**
+ * Render the performance panel: period returns and the value chart
+ */
+function updatePerformanceDisplay() {
+    const panel = document.getElementById('performancePanel');
+    const record = getActivePortfolio();
+    if (!panel || !record || record.type === 'watchlist') {
+        return;
+    }
+
+    try {
+        const period = AppState.settings.performancePeriod;
+        const baseCurrency = AppState.settings.baseCurrency;
+        const today = getLocalDate();
+
+        document.querySelectorAll('.period-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.period === period);
+        });
+
+        const points = PortfolioHistory.selectPeriod(PortfolioHistory.getPoints(record.id, baseCurrency), period, today);
+        const flows = PortfolioHistory.computeFlows(AppState.ledger.transactions, baseCurrency);
+        const twr = PortfolioHistory.timeWeightedReturn(points, flows);
+        const mwr = PortfolioHistory.moneyWeightedReturn(points, flows);
+
+        const twrEl = document.getElementById('performanceTWR');
+        const irrEl = document.getElementById('performanceIRR');
+        DOMUtils.setContent(twrEl, twr === null ? '—' : formatPercent(twr * 100));
+        twrEl.className = twr === null ? '' : (twr >= 0 ? 'positive' : 'negative');
+
+        // Periods under a year show the period's IRR; annualizing a week overstates it
+        if (mwr) {
+            const shown = mwr.days >= 365 ? mwr.annualizedReturn : mwr.periodReturn;
+            DOMUtils.setContent(irrEl, `${formatPercent(shown * 100)}${mwr.days >= 365 ? ' p.a.' : ''}`);
+            irrEl.className = shown >= 0 ? 'positive' : 'negative';
+            irrEl.title = `Annualized: ${formatPercent(mwr.annualizedReturn * 100)}`;
+        } else {
+            DOMUtils.setContent(irrEl, '—');
+            irrEl.className = '';
+            irrEl.title = '';
+        }
+
+        const note = document.getElementById('performanceNote');
+        const backfilled = points.filter(point => point.backfilled).length;
+        DOMUtils.setContent(note, points.length < 2
+            ? 'Not enough history for this period yet. A valuation is recorded each day the portfolio is loaded.'
+            : `${points.length} daily valuations in ${baseCurrency}${backfilled > 0 ? `, ${backfilled} rebuilt from closing prices` : ''}`);
+
+        drawLineChart(document.getElementById('performanceChart'), [{
+            label: 'Portfolio value',
+            color: '#3498db',
+            points: points.map(point => ({ x: point.date, y: point.value }))
+        }], {
+            fill: true,
+            formatY: value => formatCurrency(value),
+            emptyMessage: 'No valuation history yet'
+        });
+
+        renderBenchmarkComparison(points, flows);
+
+    } catch (error) {
+        console.error('❌ Error updating performance display:', error);
+        performanceMonitor.recordError(error, 'performance_display');
+    }
+}
+
+/**
+ * Change the period returns and the value chart cover
+ * @param {string} period - Key of APP_CONSTANTS.HISTORY.PERIODS
+ */
+function changePerformancePeriod(period) {
+    if (!Object.prototype.hasOwnProperty.call(APP_CONSTANTS.HISTORY.PERIODS, period)) {
+        return;
+    }
+
+    AppState.settings.performancePeriod = period;
+    savePreferences();
+    performanceMonitor.recordUserInteraction('performance_period_change');
+    updatePerformanceDisplay();
+}
+
+let benchmarkState = { symbol: null, bars: [], isMockData: false, loading: null };
+
+/**
+ * Load the benchmark's daily closes plus its latest quote
+ * Uses the same fetch, cache and demo fallbacks as the holdings.
+ */
+async function loadBenchmark() {
+    const symbol = AppState.settings.benchmarkSymbol;
+    if (benchmarkState.loading === symbol) return;
+    benchmarkState.loading = symbol;
+
+    try {
+        const [history, quote] = await Promise.all([fetchPriceHistory(symbol), fetchStockData(symbol)]);
+
+        // The daily series stops at the last close, so today's quote extends it
+        const bars = [...history.series];
+        const today = getLocalDate();
+        if (quote && quote.price > 0 && (bars.length === 0 || bars[bars.length - 1].date < today)) {
+            bars.push({ date: today, open: quote.price, high: quote.price, low: quote.price, close: quote.price, volume: 0 });
+        }
+
+        // Ignore the result if the benchmark was changed while it loaded
+        if (AppState.settings.benchmarkSymbol !== symbol) return;
+
+        benchmarkState = { symbol, bars, isMockData: history.isMockData || Boolean(quote && quote.isMockData), loading: null };
+        updatePerformanceDisplay();
+    } catch (error) {
+        console.error(`❌ Error loading benchmark ${symbol}:`, error);
+        performanceMonitor.recordError(error, 'benchmark_load');
+    } finally {
+        if (benchmarkState.loading === symbol) {
+            benchmarkState.loading = null;
+        }
+    }
+}
+
+/**
+ * Render portfolio vs benchmark cumulative returns, alpha and tracking difference
+ * @param {Array<Object>} points - Portfolio points for the selected period
+ * @param {Map<string, number>} flows - Net flow per date
+ */
+function renderBenchmarkComparison(points, flows) {
+    const symbol = AppState.settings.benchmarkSymbol;
+    const canvas = document.getElementById('benchmarkChart');
+    const fields = {
+        benchmarkReturn: document.getElementById('benchmarkReturn'),
+        alpha: document.getElementById('benchmarkAlpha'),
+        trackingDifference: document.getElementById('trackingDifference')
+    };
+
+    const input = document.getElementById('benchmarkSymbol');
+    if (input && document.activeElement !== input) {
+        input.value = symbol;
+    }
+
+    const showStat = (element, value, title = '') => {
+        if (!element) return;
+        DOMUtils.setContent(element, value === null ? '—' : formatPercent(value * 100));
+        element.className = value === null ? '' : (value >= 0 ? 'positive' : 'negative');
+        element.title = title;
+    };
+
+    if (benchmarkState.symbol !== symbol) {
+        Object.values(fields).forEach(element => showStat(element, null));
+        drawLineChart(canvas, [], { emptyMessage: `Loading ${symbol}...` });
+        loadBenchmark();
+        return;
+    }
+
+    const comparison = PortfolioHistory.compareWithBenchmark(points, flows, benchmarkState.bars);
+    if (!comparison) {
+        Object.values(fields).forEach(element => showStat(element, null));
+        drawLineChart(canvas, [], { emptyMessage: `Not enough history to compare with ${symbol}` });
+        return;
+    }
+
+    showStat(fields.benchmarkReturn, comparison.benchmarkReturn, `${symbol} price return over the period`);
+    showStat(fields.alpha, comparison.alpha, comparison.beta !== null
+        ? `Beta to ${symbol}: ${comparison.beta.toFixed(2)}`
+        : 'Needs at least three valuations in the period');
+    showStat(fields.trackingDifference, comparison.trackingDifference, `Time-weighted return minus ${symbol} return`);
+
+    drawLineChart(canvas, [
+        {
+            label: 'Portfolio (time-weighted)',
+            color: '#3498db',
+            points: comparison.portfolio.map(point => ({ x: point.date, y: point.value * 100 }))
+        },
+        {
+            label: `${symbol}${benchmarkState.isMockData ? ' (demo)' : ''}`,
+            color: '#e67e22',
+            points: comparison.benchmark.map(point => ({ x: point.date, y: point.value * 100 }))
+        }
+    ], {
+        formatY: value => `${value.toFixed(1)}%`
+    });
+}
+
+/**
+ * Change the benchmark symbol from the performance panel
+ */
+function changeBenchmark() {
+    const input = document.getElementById('benchmarkSymbol');
+    const symbol = input ? Instrument.normalize(SecurityManager.sanitizeInput(input.value)) : null;
+
+    if (!symbol || !SecurityManager.validateStockSymbol(symbol)) {
+        showError('Please enter a valid benchmark symbol');
+        return;
+    }
+
+    input.value = symbol;
+    AppState.settings.benchmarkSymbol = symbol;
+    savePreferences();
+    performanceMonitor.recordUserInteraction('benchmark_change');
+    updatePerformanceDisplay();
+}
+
+// Price history chart functions
+
+let priceChartState = null;
+
+/**
+ * Draw a trend line of recent daily closes on each rendered stock card
+ */
+async function renderSparklines() {
+    const canvases = Array.from(document.querySelectorAll('.sparkline'));
+
+    await Promise.allSettled(canvases.map(async canvas => {
+        const history = await fetchPriceHistory(canvas.dataset.symbol);
+        const values = history.series.slice(-APP_CONSTANTS.HISTORY.SPARKLINE_DAYS).map(bar => bar.close);
+        drawSparkline(canvas, values);
+        canvas.title = `${values.length}-day trend${history.isMockData ? ' (demo series)' : ''}, click for the full chart`;
+    }));
+}
+
+/**
+ * Bars covered by a chart range, counted back from the latest bar
+ * @param {Array<Object>} series - Bars in date order
+ * @param {Object} range - Entry of APP_CONSTANTS.HISTORY.CHART_RANGES
+ * @returns {Array<Object>} Bars in the range
+ */
+function selectChartRange(series, range) {
+    if (!range.days || series.length === 0) {
+        return series;
+    }
+
+    if (range.interval !== 'daily') {
+        const sessions = [...new Set(series.map(bar => bar.date.slice(0, 10)))].slice(-range.days);
+        return series.filter(bar => sessions.includes(bar.date.slice(0, 10)));
+    }
+
+    const cutoff = shiftDate(series[series.length - 1].date, -range.days);
+    return series.filter(bar => bar.date >= cutoff);
+}
+
+/**
+ * Open the zoomable price history chart for a symbol
+ * @param {string} symbol - Stock symbol
+ */
+function openPriceChart(symbol) {
+    if (!SecurityManager.validateStockSymbol(symbol)) {
+        return;
+    }
+
+    closeOpenModals();
+    const holding = findHolding(symbol);
+    const ranges = Object.keys(APP_CONSTANTS.HISTORY.CHART_RANGES);
+    priceChartState = {
+        symbol,
+        currency: Instrument.quoteCurrency(symbol, holding && holding.currency ? holding.currency : 'USD'),
+        range: ranges.includes(AppState.settings.chartRange) ? AppState.settings.chartRange : '3M',
+        history: null,
+        series: [],
+        view: { start: 0, end: 0 },
+        geometry: null
+    };
+
+    const modal = document.createElement('div');
+    modal.className = 'stats-modal price-chart-modal';
+    modal.innerHTML = `
+        <div class="stats-content price-chart-content">
+            <h3><i class="fas fa-chart-line"></i> ${SecurityManager.encodeForHTML(symbol)} Price History</h3>
+            <div class="period-selector">
+                ${ranges.map(range => `
+                    <button class="chart-range-btn" data-range="${range}" onclick="changePriceChartRange('${range}')">${range}</button>
+                `).join('')}
+            </div>
+            <canvas id="priceChart" class="price-chart"></canvas>
+            <p id="priceChartNote" class="performance-note">Loading price history...</p>
+            <div class="stats-actions">
+                <button onclick="zoomPriceChart(0.5)" class="clear-cache-btn" title="Zoom in"><i class="fas fa-search-plus"></i></button>
+                <button onclick="zoomPriceChart(2)" class="clear-cache-btn" title="Zoom out"><i class="fas fa-search-minus"></i></button>
+                <button onclick="resetPriceChartZoom()" class="clear-cache-btn">Reset zoom</button>
+                <button onclick="closeOpenModals()" class="close-stats-btn">Close</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeOpenModals();
+        }
+    });
+
+    attachPriceChartZoom(document.getElementById('priceChart'));
+    performanceMonitor.recordUserInteraction('price_chart_open');
+    changePriceChartRange(priceChartState.range);
+}
+
+/**
+ * Load and show another range in the price chart
+ * @param {string} range - Key of APP_CONSTANTS.HISTORY.CHART_RANGES
+ */
+async function changePriceChartRange(range) {
+    const config = APP_CONSTANTS.HISTORY.CHART_RANGES[range];
+    const state = priceChartState;
+    if (!state || !config) return;
+
+    state.range = range;
+    AppState.settings.chartRange = range;
+    savePreferences();
+    document.querySelectorAll('.chart-range-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.range === range);
+    });
+
+    try {
+        const history = await fetchPriceHistory(state.symbol, true, config.interval, APP_CONSTANTS.PROVIDERS.PRIORITY.USER);
+
+        // Ignore responses for a chart that was closed or switched meanwhile
+        if (priceChartState !== state || state.range !== range) return;
+
+        state.history = history;
+        state.series = selectChartRange(history.series, config);
+        state.view = { start: 0, end: Math.max(0, state.series.length - 1) };
+        renderPriceChart();
+    } catch (error) {
+        console.error('❌ Error loading price chart:', error);
+        performanceMonitor.recordError(error, 'price_chart');
+        showError(`Failed to load price history for ${state.symbol}`);
+    }
+}
+
+/**
+ * Draw the visible part of the price chart
+ * @param {number|null} hoverIndex - Bar under the pointer, if any
+ */
+function renderPriceChart(hoverIndex = null) {
+    const state = priceChartState;
+    if (!state || !state.history) return;
+
+    const visible = state.series.slice(state.view.start, state.view.end + 1);
+    const isIntraday = state.history.interval !== 'daily';
+
+    state.geometry = drawLineChart(document.getElementById('priceChart'), [{
+        label: state.symbol,
+        color: '#3498db',
+        points: visible.map(bar => ({ x: bar.date, y: bar.close }))
+    }], {
+        fill: true,
+        formatY: value => formatCurrency(value, false, state.currency),
+        formatX: isIntraday
+            ? time => new Date(time).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : undefined,
+        emptyMessage: 'No price history available'
+    });
+
+    const note = document.getElementById('priceChartNote');
+    if (visible.length === 0) {
+        DOMUtils.setContent(note, '');
+        return;
+    }
+
+    const first = visible[0];
+    const last = visible[visible.length - 1];
+    const source = state.history.isMockData ? 'Synthetic demo series' : marketData.describe(state.history.source);
+    const hovered = hoverIndex !== null ? state.series[hoverIndex] : null;
+
+    DOMUtils.setContent(note, hovered
+        ? `${hovered.date}: open ${formatCurrency(hovered.open, false, state.currency)}, ` +
+          `high ${formatCurrency(hovered.high, false, state.currency)}, ` +
+          `low ${formatCurrency(hovered.low, false, state.currency)}, ` +
+          `close ${formatCurrency(hovered.close, false, state.currency)}`
+        : `${first.date} to ${last.date}: ${formatPercent(((last.close - first.close) / first.close) * 100)}, ` +
+          `high ${formatCurrency(Math.max(...visible.map(bar => bar.high)), false, state.currency)}, ` +
+          `low ${formatCurrency(Math.min(...visible.map(bar => bar.low)), false, state.currency)}. ` +
+          `${source}. Scroll to zoom, drag to pan, double-click to reset.`);
+}
+
+/**
+ * Zoom the price chart around a point
+ * @param {number} factor - Below 1 zooms in, above 1 zooms out
+ * @param {number} anchor - Position to keep in place, as a fraction of the visible width
+ */
+function zoomPriceChart(factor, anchor = 0.5) {
+    const state = priceChartState;
+    if (!state || state.series.length < 2) return;
+
+    const last = state.series.length - 1;
+    const span = state.view.end - state.view.start;
+    const newSpan = Math.max(Math.min(5, last), Math.min(last, Math.round(span * factor)));
+    const start = Math.round(state.view.start + anchor * (span - newSpan));
+
+    state.view.start = Math.max(0, Math.min(last - newSpan, start));
+    state.view.end = state.view.start + newSpan;
+    renderPriceChart();
+}
+
+function resetPriceChartZoom() {
+    if (!priceChartState) return;
+    priceChartState.view = { start: 0, end: Math.max(0, priceChartState.series.length - 1) };
+    renderPriceChart();
+}
+
+/**
+ * Wire wheel zoom, drag panning and hover read-out to the price chart canvas
+ * @param {HTMLCanvasElement} canvas - Price chart canvas
+ */
+function attachPriceChartZoom(canvas) {
+    if (!canvas) return;
+    let drag = null;
+
+    const fractionAt = (event) => {
+        const geometry = priceChartState && priceChartState.geometry;
+        if (!geometry) return 0.5;
+        return Math.max(0, Math.min(1, (event.offsetX - geometry.left) / geometry.width));
+    };
+
+    canvas.addEventListener('wheel', (event) => {
+        if (!priceChartState) return;
+        event.preventDefault();
+        zoomPriceChart(event.deltaY < 0 ? 0.8 : 1.25, fractionAt(event));
+    }, { passive: false });
+
+    canvas.addEventListener('mousedown', (event) => {
+        if (!priceChartState) return;
+        drag = { x: event.offsetX, start: priceChartState.view.start };
+    });
+
+    canvas.addEventListener('mousemove', (event) => {
+        const state = priceChartState;
+        if (!state || !state.geometry) return;
+        const span = state.view.end - state.view.start;
+
+        if (drag) {
+            const shift = Math.round(((drag.x - event.offsetX) / state.geometry.width) * span);
+            const start = Math.max(0, Math.min(state.series.length - 1 - span, drag.start + shift));
+            state.view = { start, end: start + span };
+            renderPriceChart();
+        } else {
+            renderPriceChart(state.view.start + Math.round(fractionAt(event) * span));
+        }
+    });
+
+    ['mouseup', 'mouseleave'].forEach(type => canvas.addEventListener(type, () => {
+        drag = null;
+        renderPriceChart();
+    }));
+
+    canvas.addEventListener('dblclick', resetPriceChartZoom);
+}
+
+// Price alert functions
+
+/**
+ * Evaluate enabled alert rules against the latest quotes
+ * Called after portfolio quotes load and on the auto-refresh cycle; symbols that are
+ * not in the active portfolio are fetched through the quote cache.
+ */
+async function checkPriceAlerts() {
+    const now = Date.now();
+    const rules = PriceAlerts.loadRules();
+    const active = rules.filter(rule => PriceAlerts.isActive(rule, now));
+    if (active.length === 0) {
+        return;
+    }
+
+    try {
+        const symbols = [...new Set(active.map(rule => rule.symbol))];
+        const quotes = new Map();
+        await Promise.allSettled(symbols.map(async symbol => {
+            quotes.set(symbol, AppState.stockData.get(symbol) || await fetchStockData(symbol));
+        }));
+
+        const closes = new Map();
+        const averageSymbols = [...new Set(active.filter(rule => rule.type === 'MA_CROSS').map(rule => rule.symbol))];
+        await Promise.allSettled(averageSymbols.map(async symbol => {
+            const history = await fetchPriceHistory(symbol);
+            closes.set(symbol, history.series.map(bar => bar.close));
+        }));
+
+        // Re-read in case rules were edited while quotes were loading
+        const latest = PriceAlerts.loadRules();
+        let fired = 0;
+
+        latest.forEach(rule => {
+            const quote = quotes.get(rule.symbol);
+            if (!PriceAlerts.isActive(rule, now) || !quote || !(quote.price > 0)) return;
+
+            const result = PriceAlerts.evaluate(rule, quote, closes.get(rule.symbol) || []);
+            if (result.side) {
+                rule.lastSide = result.side;
+            }
+
+            if (result.triggered && !PriceAlerts.inCooldown(rule, now)) {
+                rule.lastTriggered = new Date(now).toISOString();
+                notifyPriceAlert(rule, `${result.message}${quote.isMockData ? ' (demo data)' : ''}`);
+                fired++;
+            }
+        });
+
+        PriceAlerts.saveRules(latest);
+        renderAlertsPanel();
+
+        if (fired > 0) {
+            console.log(`🔔 ${fired} price alert(s) triggered`);
+        }
+    } catch (error) {
+        console.error('❌ Error checking price alerts:', error);
+        performanceMonitor.recordError(error, 'price_alerts');
+    }
+}
+
+/**
+ * Raise a triggered alert in the app and, when permitted, as a browser notification
+ * @param {Object} rule - Alert rule that fired
+ * @param {string} message - Description of what happened
+ */
+function notifyPriceAlert(rule, message) {
+    PriceAlerts.appendLog({
+        id: SecurityManager.generateSecureToken(8),
+        ruleId: rule.id,
+        symbol: rule.symbol,
+        message,
+        time: new Date().toISOString()
+    });
+
+    showError(`🔔 ${message}`, 'warning');
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        try {
+            // The tag replaces an unread notification from the same rule instead of stacking
+            new Notification(`Price alert: ${rule.symbol}`, { body: message, tag: rule.id });
+        } catch (error) {
+            console.warn('Browser notification failed:', error);
+        }
+    }
+}
+
+/**
+ * Ask for notification permission; browsers only allow this from a user action
+ */
+async function requestAlertNotifications() {
+    if (!('Notification' in window)) {
+        showError('This browser does not support notifications', 'warning');
+        return;
+    }
+
+    try {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showError('Notifications are blocked; alerts will only appear in the app', 'warning');
+        }
+    } catch (error) {
+        console.warn('Notification permission request failed:', error);
+    }
+    renderAlertsPanel();
+}
+
+/**
+ * Create an alert rule from the alerts form
+ */
+function addPriceAlert() {
+    const read = (id) => {
+        const input = document.getElementById(id);
+        return input ? SecurityManager.sanitizeInput(input.value) : '';
+    };
+
+    try {
+        const rule = PriceAlerts.createRule({
+            symbol: read('alertSymbol'),
+            type: read('alertType'),
+            threshold: read('alertThreshold'),
+            period: read('alertPeriod')
+        });
+
+        PriceAlerts.saveRules([...PriceAlerts.loadRules(), rule]);
+        performanceMonitor.recordUserInteraction('price_alert_add');
+
+        ['alertSymbol', 'alertThreshold'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+
+        if ('Notification' in window && Notification.permission === 'default') {
+            requestAlertNotifications();
+        }
+
+        renderAlertsPanel();
+        showError(`✅ Alert added: ${PriceAlerts.describe(rule)}`, 'success');
+        checkPriceAlerts();
+    } catch (error) {
+        showError(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Apply a change to one stored rule and refresh the panel
+ * @param {string} id - Rule identifier
+ * @param {Function} change - Receives the rule to modify
+ */
+function updatePriceAlert(id, change) {
+    const rules = PriceAlerts.loadRules();
+    const rule = rules.find(candidate => candidate.id === id);
+    if (!rule) return;
+
+    change(rule);
+    PriceAlerts.saveRules(rules);
+    renderAlertsPanel();
+}
+
+function togglePriceAlert(id) {
+    updatePriceAlert(id, rule => {
+        rule.enabled = !rule.enabled;
+        rule.snoozedUntil = null;
+    });
+}
+
+/**
+ * Snooze a rule for a day, or wake it if it is already snoozed
+ */
+function snoozePriceAlert(id) {
+    updatePriceAlert(id, rule => {
+        rule.snoozedUntil = PriceAlerts.isActive(rule)
+            ? new Date(Date.now() + APP_CONSTANTS.ALERTS.SNOOZE_DURATION).toISOString()
+            : null;
+    });
+}
+
+function deletePriceAlert(id) {
+    if (!confirm('Delete this alert?')) {
+        return;
+    }
+    PriceAlerts.saveRules(PriceAlerts.loadRules().filter(rule => rule.id !== id));
+    renderAlertsPanel();
+}
+
+function clearAlertLog() {
+    localStorage.removeItem('priceAlertLog');
+    renderAlertsPanel();
+}
+
+/**
+ * Show the threshold or moving average field that fits the chosen alert type
+ */
+function updateAlertForm() {
+    const type = document.getElementById('alertType')?.value;
+    const threshold = document.getElementById('alertThreshold');
+    const period = document.getElementById('alertPeriod');
+    if (!threshold || !period) return;
+
+    threshold.style.display = type === 'MA_CROSS' ? 'none' : '';
+    period.style.display = type === 'MA_CROSS' ? '' : 'none';
+    threshold.placeholder = type === 'CHANGE_BEYOND' ? 'Change %' : 'Price';
+}
+
+/**
+ * Render the alert rules and the log of triggered alerts
+ */
+function renderAlertsPanel() {
+    const rulesBody = document.getElementById('alertRules');
+    const logList = document.getElementById('alertLog');
+    if (!rulesBody || !logList) return;
+
+    const now = Date.now();
+    const rules = PriceAlerts.loadRules();
+    const formatTime = (iso) => iso ? new Date(iso).toLocaleString() : '—';
+
+    rulesBody.innerHTML = rules.length === 0
+        ? '<tr><td colspan="4" class="empty-ledger">No alerts yet</td></tr>'
+        : rules.map(rule => {
+            const snoozed = rule.enabled && !PriceAlerts.isActive(rule, now);
+            const status = !rule.enabled
+                ? 'Disabled'
+                : snoozed ? `Snoozed until ${formatTime(rule.snoozedUntil)}` : 'Active';
+            return `
+                <tr class="${PriceAlerts.isActive(rule, now) ? '' : 'alert-inactive'}">
+                    <td>${SecurityManager.encodeForHTML(PriceAlerts.describe(rule))}</td>
+                    <td>${status}</td>
+                    <td>${formatTime(rule.lastTriggered)}</td>
+                    <td class="alert-actions">
+                        <button onclick="togglePriceAlert('${rule.id}')" title="${rule.enabled ? 'Disable' : 'Enable'}">
+                            <i class="fas fa-${rule.enabled ? 'toggle-on' : 'toggle-off'}"></i>
+                        </button>
+                        <button onclick="snoozePriceAlert('${rule.id}')" title="${snoozed ? 'Wake' : 'Snooze 24h'}" ${rule.enabled ? '' : 'disabled'}>
+                            <i class="fas fa-${snoozed ? 'bell' : 'bell-slash'}"></i>
+                        </button>
+                        <button onclick="deletePriceAlert('${rule.id}')" title="Delete"><i class="fas fa-trash"></i></button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+    const log = PriceAlerts.loadLog();
+    logList.innerHTML = log.length === 0
+        ? '<li class="empty-ledger">No alerts triggered yet</li>'
+        : log.map(entry => `
+            <li>
+                <span class="alert-time">${formatTime(entry.time)}</span>
+                ${SecurityManager.encodeForHTML(entry.message)}
+            </li>
+        `).join('');
+
+    const permissionButton = document.getElementById('alertPermissionBtn');
+    if (permissionButton) {
+        permissionButton.style.display = 'Notification' in window && Notification.permission === 'default' ? '' : 'none';
+    }
+}
+
+// Dividend functions
+
+/**
+ * Load dividend histories for held symbols and any symbol in the ledger
+ * Cards and the income panel are redrawn once the data arrives.
+ */
+async function loadDividendData() {
+    const symbols = [...new Set([
+        ...AppState.portfolio.map(holding => holding.symbol),
+        ...AppState.ledger.transactions.filter(tx => tx.symbol).map(tx => tx.symbol)
+    ])].filter(symbol => !parseCryptoSymbol(symbol) && !AppState.dividendData.has(symbol));
+
+    if (symbols.length === 0) {
+        return;
+    }
+
+    const results = await Promise.allSettled(symbols.map(symbol => fetchDividendData(symbol)));
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            AppState.dividendData.set(symbols[index], result.value);
+        }
+    });
+
+    updatePortfolioDisplay();
+}
+
+/**
+ * Trailing and forward dividend yield for a quote
+ * @param {string} symbol - Stock symbol
+ * @param {number} price - Current price
+ * @returns {Object|null} { trailing, forward } in percent, or null before dividend data loads
+ */
+function calculateDividendYields(symbol, price) {
+    const info = AppState.dividendData.get(symbol);
+    if (!info || !(price > 0)) {
+        return null;
+    }
+
+    const today = getLocalDate();
+    return {
+        trailing: (DividendSchedule.trailingAnnual(info.dividends, today) / price) * 100,
+        forward: (DividendSchedule.forwardAnnual(info.dividends, today, info.annualDividend) / price) * 100
+    };
+}
+
+/**
+ * Paid dividends across the ledger's symbols that have not been recorded yet
+ * @returns {Array<Object>} Unrecorded dividends, oldest first
+ */
+function findUnrecordedDividends() {
+    const today = getLocalDate();
+    const transactions = AppState.ledger.transactions;
+    const unrecorded = [];
+
+    AppState.dividendData.forEach((info, symbol) => {
+        if (!transactions.some(tx => tx.symbol === symbol)) return;
+        unrecorded.push(...DividendSchedule.findUnrecorded(symbol, info.dividends, transactions, today));
+    });
+
+    return unrecorded.sort((a, b) => a.exDate.localeCompare(b.exDate));
+}
+
+/**
+ * Render the dividend income panel: totals, the 12-month calendar and unrecorded payments
+ */
+function updateDividendDisplay() {
+    const panel = document.getElementById('dividendPanel');
+    if (!panel || isWatchlistActive()) return;
+
+    try {
+        const today = getLocalDate();
+        const baseCurrency = AppState.settings.baseCurrency;
+        const { totals } = AppState.ledger.getRealizedSummary();
+
+        // Received income comes from the ledger, so it matches the realized and return figures
+        const received = sumInBaseCurrency(totals.byCurrency, 'dividends');
+        const yearAgo = shiftDate(today, -365);
+        const receivedTTM = AppState.ledger.transactions
+            .filter(tx => tx.type === 'DIVIDEND' && tx.date > yearAgo && tx.date <= today)
+            .reduce((sum, tx) => {
+                const currency = tx.currency || findHolding(tx.symbol)?.currency || 'USD';
+                const converted = convertAmount(tx.amount - tx.fees, currency, baseCurrency);
+                return converted === null ? sum : sum + converted;
+            }, 0);
+
+        // Twelve monthly buckets starting with the current month
+        const months = [];
+        for (let i = 0; i < APP_CONSTANTS.DIVIDENDS.PROJECTION_MONTHS; i++) {
+            const date = new Date(`${today.slice(0, 7)}-01T00:00:00Z`);
+            date.setUTCMonth(date.getUTCMonth() + i);
+            months.push({ key: date.toISOString().slice(0, 7), date, total: 0, payments: [] });
+        }
+
+        AppState.portfolio.forEach(holding => {
+            const info = AppState.dividendData.get(holding.symbol);
+            if (!info || !(holding.quantity > 0)) return;
+
+            DividendSchedule.projectPayments(info.dividends, today).forEach(payment => {
+                const month = months.find(candidate => candidate.key === payment.paymentDate.slice(0, 7));
+                const amount = convertAmount(payment.amount * holding.quantity, Instrument.quoteCurrency(holding.symbol, holding.currency || 'USD'), baseCurrency);
+                if (!month || amount === null) return;
+                month.total += amount;
+                month.payments.push({ symbol: holding.symbol, amount, declared: payment.declared, date: payment.paymentDate });
+            });
+        });
+
+        const projected = months.reduce((sum, month) => sum + month.total, 0);
+        DOMUtils.setContent(document.getElementById('dividendReceived'), formatCurrency(received));
+        DOMUtils.setContent(document.getElementById('dividendTTM'), formatCurrency(receivedTTM));
+        DOMUtils.setContent(document.getElementById('dividendProjected'), formatCurrency(projected));
+
+        const calendar = document.getElementById('dividendCalendar');
+        if (calendar) {
+            calendar.innerHTML = months.map(month => `
+                <div class="dividend-month ${month.total > 0 ? 'has-income' : ''}"
+                     title="${SecurityManager.encodeForHTML(month.payments
+                         .map(payment => `${payment.symbol} ${payment.date}: ${formatCurrency(payment.amount)}${payment.declared ? ' (declared)' : ' (estimated)'}`)
+                         .join('\n'))}">
+                    <span class="dividend-month-name">${month.date.toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' })}</span>
+                    <span class="dividend-month-total">${month.total > 0 ? formatCurrency(month.total) : '—'}</span>
+                    <span class="dividend-month-symbols">${SecurityManager.encodeForHTML([...new Set(month.payments.map(payment => payment.symbol))].join(', '))}</span>
+                </div>
+            `).join('');
+        }
+
+        const unrecordedBody = document.getElementById('unrecordedDividends');
+        if (unrecordedBody) {
+            const unrecorded = findUnrecordedDividends();
+            document.getElementById('unrecordedDividendsWrapper')?.classList.toggle('show', unrecorded.length > 0);
+            unrecordedBody.innerHTML = unrecorded.map(dividend => {
+                const currency = Instrument.quoteCurrency(dividend.symbol, findHolding(dividend.symbol)?.currency || 'USD');
+                return `
+                    <tr>
+                        <td>${dividend.symbol}</td>
+                        <td>${dividend.exDate}</td>
+                        <td>${dividend.paymentDate || '—'}</td>
+                        <td>${formatQuantity(dividend.shares)} × ${formatCurrency(dividend.amount, false, currency)}</td>
+                        <td>${formatCurrency(dividend.total, false, currency)}</td>
+                        <td><button class="ledger-action-btn" onclick="recordDividend('${dividend.symbol}', '${dividend.exDate}')">Record</button></td>
+                    </tr>
+                `;
+            }).join('');
+        }
+    } catch (error) {
+        console.error('❌ Error updating dividend display:', error);
+        performanceMonitor.recordError(error, 'dividend_display');
+    }
+}
+
+/**
+ * Record paid dividends in the ledger for the shares held on their ex-dates
+ * @param {string} symbol - Stock symbol, or omit to record every unrecorded dividend
+ * @param {string} exDate - Ex-dividend date of the payment
+ */
+function recordDividend(symbol, exDate) {
+    const dividends = findUnrecordedDividends()
+        .filter(dividend => !symbol || (dividend.symbol === symbol && dividend.exDate === exDate));
+
+    if (dividends.length === 0) {
+        return;
+    }
+
+    try {
+        AppState.ledger.addMany(dividends.map(dividend => {
+            // Dividends are declared in the listing's currency and recorded in the trade currency
+            const currency = findHolding(dividend.symbol)?.currency || 'USD';
+            const total = priceInTradeCurrency({ symbol: dividend.symbol, currency }, dividend.total);
+            if (total === null) {
+                throw new Error(`No exchange rate to record the ${dividend.symbol} dividend in ${currency}`);
+            }
+            return {
+                type: 'DIVIDEND',
+                symbol: dividend.symbol,
+                date: dividend.paymentDate || dividend.exDate,
+                amount: Math.round(total * 100) / 100,
+                currency,
+                notes: `${formatQuantity(dividend.shares)} shares × ${dividend.amount} (ex-date ${dividend.exDate})`
+            };
+        }));
+
+        savePortfolio();
+        syncPortfolioFromLedger();
+        updatePortfolioDisplay();
+        performanceMonitor.recordUserInteraction('dividend_record');
+        showError(`✅ Recorded ${dividends.length} dividend${dividends.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        console.error('Failed to record dividend:', error);
+        showError(`❌ ${error.message}`);
+    }
+}
+
+// Company overview functions
+
+/**
+ * Open the fundamentals panel for a symbol
+ * The modal opens straight away and is filled in once the overview has loaded.
+ * @param {string} symbol - Stock symbol
+ */
+async function openCompanyDetails(symbol) {
+    if (!SecurityManager.validateStockSymbol(symbol)) {
+        return;
+    }
+
+    closeOpenModals();
+    const modal = document.createElement('div');
+    modal.className = 'stats-modal company-details-modal';
+    modal.innerHTML = `
+        <div class="stats-content company-details-content">
+            <h3><i class="fas fa-building"></i> ${SecurityManager.encodeForHTML(symbol)}</h3>
+            <div id="companyDetails"><p class="performance-note">Loading company overview...</p></div>
+            <div class="stats-actions">
+                <button onclick="openPriceChart('${symbol}')" class="clear-cache-btn"><i class="fas fa-chart-line"></i> Price history</button>
+                <button onclick="closeOpenModals()" class="close-stats-btn">Close</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeOpenModals();
+        }
+    });
+    performanceMonitor.recordUserInteraction('company_details_open');
+
+    try {
+        const overview = await fetchCompanyOverview(symbol);
+
+        // The modal may have been closed or replaced while loading
+        if (!modal.isConnected) return;
+        renderCompanyDetails(modal, overview);
+    } catch (error) {
+        console.error('❌ Error loading company overview:', error);
+        performanceMonitor.recordError(error, 'company_details');
+        const container = modal.querySelector('#companyDetails');
+        if (container) {
+            container.innerHTML = '<p class="performance-note">Company overview is unavailable right now.</p>';
+        }
+    }
+}
+
+/**
+ * Fill the fundamentals panel with an overview
+ * @param {HTMLElement} modal - Open company details modal
+ * @param {Object} overview - Result of fetchCompanyOverview()
+ */
+function renderCompanyDetails(modal, overview) {
+    const container = modal.querySelector('#companyDetails');
+    const heading = modal.querySelector('h3');
+    const encode = (value) => SecurityManager.encodeForHTML(value === null || value === undefined ? 'N/A' : String(value));
+    const number = (value, digits = 2) => value === null ? 'N/A' : value.toFixed(digits);
+    const money = (value) => value === null ? 'N/A' : formatCurrency(value, false, overview.currency);
+    const marketCap = (value) => {
+        if (value === null) return 'N/A';
+        try {
+            return new Intl.NumberFormat(undefined, {
+                style: 'currency',
+                currency: overview.currency,
+                notation: 'compact',
+                maximumFractionDigits: 2
+            }).format(value);
+        } catch (error) {
+            return `${(value / 1e9).toFixed(2)}B ${overview.currency}`;
+        }
+    };
+
+    if (heading && overview.name) {
+        heading.innerHTML = `<i class="fas fa-building"></i> ${encode(overview.name)} (${encode(overview.symbol)})`;
+    }
+
+    // Where the latest price sits within the 52-week range
+    const quote = AppState.stockData.get(overview.symbol);
+    let rangeMarker = '';
+    if (quote && overview.week52High !== null && overview.week52Low !== null && overview.week52High > overview.week52Low) {
+        const position = Math.min(1, Math.max(0, (quote.price - overview.week52Low) / (overview.week52High - overview.week52Low)));
+        rangeMarker = `
+            <div class="range-bar" title="Latest price ${money(quote.price)}">
+                <span class="range-marker" style="left: ${(position * 100).toFixed(1)}%"></span>
+            </div>`;
+    }
+
+    const rows = [
+        ['Sector', encode(overview.sector)],
+        ['Industry', encode(overview.industry)],
+        ['Exchange', encode(overview.exchange)],
+        ['Market Cap', marketCap(overview.marketCap)],
+        ['P/E Ratio', number(overview.peRatio)],
+        ['EPS', money(overview.eps)],
+        ['Beta', number(overview.beta)],
+        ['52-Week Range', `${money(overview.week52Low)} – ${money(overview.week52High)}`]
+    ];
+
+    container.innerHTML = `
+        <div class="stats-grid company-stats">
+            ${rows.map(([label, value]) => `
+                <div class="stat-item">
+                    <span class="stat-label">${label}</span>
+                    <span class="stat-value">${value}</span>
+                </div>
+            `).join('')}
+        </div>
+        ${rangeMarker}
+        ${overview.description ? `<p class="company-description">${encode(overview.description)}</p>` : ''}
+        ${overview.isMockData ? `<p class="performance-note">Demo overview${overview.errorReason ? ' (live data unavailable)' : ''}: figures are illustrative.</p>` : ''}
+    `;
+}
+
+// Symbol search functions
+
+let symbolSearchState = { query: '', results: [], activeIndex: -1, selected: null };
+
+/**
+ * Stored symbol searches, keyed by upper-case query
+ * @returns {Object} { [query]: { results, timestamp } }
+ */
+function loadSymbolSearches() {
+    try {
+        const searches = JSON.parse(localStorage.getItem('symbolSearches') || '{}');
+        return searches && typeof searches === 'object' && !Array.isArray(searches) ? searches : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Store the results of a live search, keeping only the most recent searches
+ * @param {string} query - Upper-case search text
+ * @param {Array<Object>} results - Search results
+ */
+function saveSymbolSearch(query, results) {
+    const searches = loadSymbolSearches();
+    searches[query] = { results, timestamp: Date.now() };
+
+    const recent = Object.entries(searches)
+        .sort((a, b) => b[1].timestamp - a[1].timestamp)
+        .slice(0, APP_CONSTANTS.SEARCH.MAX_RECENT);
+    localStorage.setItem('symbolSearches', JSON.stringify(Object.fromEntries(recent)));
+}
+
+/**
+ * Search for the text in the symbol input and show the matches below it
+ * @param {string} text - Current input value
+ */
+async function updateSymbolSuggestions(text) {
+    const query = SecurityManager.sanitizeInput(text || '').trim().toUpperCase();
+    symbolSearchState.query = query;
+
+    if (query.length < APP_CONSTANTS.SEARCH.MIN_QUERY_LENGTH) {
+        hideSymbolSuggestions();
+        return;
+    }
+
+    try {
+        const search = await searchSymbols(query);
+
+        // Drop responses overtaken by further typing
+        if (symbolSearchState.query !== query) return;
+
+        // Symbol search only lists exchange-traded securities, so crypto pairs are matched locally
+        symbolSearchState.results = [...matchCryptoAssets(query), ...search.results]
+            .sort((a, b) => b.matchScore - a.matchScore)
+            .slice(0, APP_CONSTANTS.SEARCH.MAX_RESULTS);
+        symbolSearchState.activeIndex = -1;
+        renderSymbolSuggestions(search.isMockData);
+    } catch (error) {
+        console.error('❌ Symbol search failed:', error);
+        hideSymbolSuggestions();
+    }
+}
+
+/**
+ * Crypto pairs whose asset code or name starts with the query
+ * Pairs are quoted in the currency after the dash when one is typed (e.g. BTC-EUR),
+ * otherwise in the currency selected in the add form.
+ * @param {string} query - Upper-case search text
+ * @returns {Array<Object>} Results in the same shape as searchSymbols
+ */
+function matchCryptoAssets(query) {
+    const [assetQuery, marketQuery] = query.split('-');
+    const currencyInput = document.getElementById('stockCurrency');
+    const market = SecurityManager.validateCurrency(marketQuery)
+        ? marketQuery
+        : (currencyInput && currencyInput.value) || AppState.settings.baseCurrency;
+
+    if (!assetQuery) return [];
+
+    return Object.entries(APP_CONSTANTS.CRYPTO.ASSETS)
+        .filter(([code, [name]]) => code.startsWith(assetQuery) || name.toUpperCase().startsWith(assetQuery))
+        .map(([code, [name]]) => ({
+            symbol: `${code}-${market}`,
+            name,
+            type: 'Crypto',
+            exchange: null,
+            region: 'Crypto',
+            currency: market,
+            matchScore: code === assetQuery ? 1 : (code.startsWith(assetQuery) ? 0.8 : 0.6)
+        }));
+}
+
+/**
+ * Render the suggestion list for the current search results
+ * @param {boolean} isMockData - Whether the results come from the demo list
+ */
+function renderSymbolSuggestions(isMockData = false) {
+    const list = document.getElementById('symbolSuggestions');
+    const input = document.getElementById('stockSymbol');
+    if (!list) return;
+
+    const { results, activeIndex } = symbolSearchState;
+    if (results.length === 0) {
+        list.innerHTML = '<li class="suggestion-empty">No matching symbols</li>';
+    } else {
+        list.innerHTML = results.map((result, index) => `
+            <li id="symbolSuggestion${index}" role="option" class="${index === activeIndex ? 'active' : ''}"
+                aria-selected="${index === activeIndex}" onmousedown="event.preventDefault()" onclick="selectSymbolSuggestion(${index})">
+                <span class="suggestion-symbol">${SecurityManager.encodeForHTML(result.symbol)}</span>
+                <span class="suggestion-name">${SecurityManager.encodeForHTML(result.name)}</span>
+                <span class="suggestion-meta">${SecurityManager.encodeForHTML([result.exchange, result.region, result.currency].filter(Boolean).join(' · '))}</span>
+            </li>
+        `).join('') + (isMockData ? '<li class="suggestion-empty">Demo search list</li>' : '');
+    }
+
+    list.classList.add('show');
+    if (input) {
+        input.setAttribute('aria-expanded', 'true');
+        input.setAttribute('aria-activedescendant', activeIndex >= 0 ? `symbolSuggestion${activeIndex}` : '');
+    }
+}
+
+/**
+ * Move the highlighted suggestion with the arrow keys
+ * @param {number} step - 1 for down, -1 for up
+ */
+function moveSymbolSuggestion(step) {
+    const count = symbolSearchState.results.length;
+    if (count === 0) return;
+
+    // Wrap around, passing through "nothing highlighted" so Enter can still add the typed symbol
+    const index = symbolSearchState.activeIndex + step;
+    symbolSearchState.activeIndex = index >= count ? -1 : (index < -1 ? count - 1 : index);
+    renderSymbolSuggestions();
+}
+
+/**
+ * Use a suggestion: fill in the symbol and currency, then add it straight away
+ * for watchlists or when the share count is already entered
+ * @param {number} index - Index into the current results
+ */
+function selectSymbolSuggestion(index) {
+    const result = symbolSearchState.results[index];
+    if (!result) return;
+
+    const input = document.getElementById('stockSymbol');
+    const currencyInput = document.getElementById('stockCurrency');
+    const quantityInput = document.getElementById('stockQuantity');
+
+    if (input) input.value = result.symbol;
+    symbolSearchState.selected = result;
+    hideSymbolSuggestions();
+    performanceMonitor.recordUserInteraction('symbol_search_select');
+
+    if (currencyInput) {
+        if (SecurityManager.validateCurrency(result.currency)) {
+            currencyInput.value = result.currency;
+        } else {
+            showError(`⚠️ ${result.symbol} trades in ${result.currency}, which is not supported; choose the trade currency manually`, 'warning');
+        }
+    }
+
+    if (isWatchlistActive() || (quantityInput && quantityInput.value)) {
+        addStock();
+    } else if (quantityInput) {
+        quantityInput.focus();
+    }
+}
+
+/**
+ * Close the suggestion list
+ */
+function hideSymbolSuggestions() {
+    const list = document.getElementById('symbolSuggestions');
+    const input = document.getElementById('stockSymbol');
+    symbolSearchState.results = [];
+    symbolSearchState.activeIndex = -1;
+
+    if (list) {
+        list.classList.remove('show');
+        list.innerHTML = '';
+    }
+    if (input) {
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Target allocation functions
+
+let rebalanceState = { trades: [], cash: 0 };
+
+/**
+ * Holdings of the active portfolio as rebalancing positions in the base currency
+ * @param {string} groupBy - 'holding' or 'assetClass'
+ * @returns {Object} { positions, excluded } where excluded symbols lack a quote or exchange rate
+ */
+function getRebalancePositions(groupBy) {
+    const baseCurrency = AppState.settings.baseCurrency;
+    const positions = [];
+    const excluded = [];
+
+    AppState.portfolio.forEach(holding => {
+        const stock = AppState.stockData.get(holding.symbol);
+        const currency = holding.currency || 'USD';
+        const rate = convertAmount(1, currency, baseCurrency);
+        // Trades are recorded in the trade currency, so the quote is converted first
+        const price = stock && stock.price > 0 ? priceInTradeCurrency(holding, stock.price) : null;
+        if (price === null || rate === null || !(holding.quantity > 0)) {
+            excluded.push(holding.symbol);
+            return;
+        }
+
+        positions.push({
+            symbol: holding.symbol,
+            group: groupBy === 'assetClass' ? getSecurityProfile(holding.symbol).assetClass : holding.symbol,
+            value: price * holding.quantity * rate,
+            quantity: holding.quantity,
+            price,
+            currency,
+            rate
+        });
+    });
+
+    return { positions, excluded };
+}
+
+/**
+ * Render the target allocation table and the drift badge on each stock card
+ */
+function renderTargetAllocation() {
+    const panel = document.getElementById('rebalancePanel');
+    if (!panel || isWatchlistActive()) return;
+
+    try {
+        const targets = getActivePortfolio().targets;
+        const { positions, excluded } = getRebalancePositions(targets.groupBy);
+        const groups = RebalancePlanner.computeDrift(positions, targets.weights);
+        const hasTargets = Object.keys(targets.weights).length > 0;
+
+        const select = document.getElementById('targetGroup');
+        if (select) select.value = targets.groupBy;
+        const toleranceInput = document.getElementById('targetTolerance');
+        if (toleranceInput && document.activeElement !== toleranceInput) {
+            toleranceInput.value = targets.tolerance;
+        }
+
+        const driftText = (group) => `${group.drift >= 0 ? '+' : ''}${group.drift.toFixed(1)} pts`;
+        const table = document.getElementById('targetTable');
+        if (table) {
+            table.innerHTML = groups.length === 0
+                ? '<tr><td colspan="4" class="empty-ledger">No holdings to allocate</td></tr>'
+                : groups.map(group => `
+                    <tr>
+                        <td>${SecurityManager.encodeForHTML(group.key)}</td>
+                        <td>${group.percent.toFixed(1)}%</td>
+                        <td>
+                            <input type="number" class="target-input" data-key="${SecurityManager.encodeForHTML(group.key)}"
+                                   min="0" max="100" step="0.1" value="${targets.weights[group.key] !== undefined ? targets.weights[group.key] : ''}"
+                                   oninput="updateTargetTotal()" aria-label="Target percent for ${SecurityManager.encodeForHTML(group.key)}">
+                        </td>
+                        <td class="${hasTargets && Math.abs(group.drift) > targets.tolerance ? 'off-target' : ''}">
+                            ${hasTargets ? driftText(group) : '—'}
+                        </td>
+                    </tr>
+                `).join('');
+        }
+        updateTargetTotal();
+
+        // Drift badges on the stock cards rendered by updatePortfolioDisplay()
+        document.querySelectorAll('.target-drift').forEach(badge => {
+            const position = positions.find(candidate => candidate.symbol === badge.dataset.symbol);
+            const group = position ? groups.find(candidate => candidate.key === position.group) : null;
+            if (!hasTargets || !group) {
+                badge.textContent = '';
+                return;
+            }
+            const label = targets.groupBy === 'assetClass' ? `${group.key} target` : 'Target';
+            badge.textContent = `${label} ${group.target}% · now ${group.percent.toFixed(1)}% (${driftText(group)})`;
+            badge.classList.toggle('off-target', Math.abs(group.drift) > targets.tolerance);
+        });
+
+        const notes = [];
+        if (!hasTargets) {
+            notes.push('Enter a target for each group (totalling 100%) and save to track drift.');
+        } else if (RebalancePlanner.needsRebalance(groups, targets.tolerance)) {
+            notes.push(`Some groups are more than ${targets.tolerance} points from target.`);
+        } else {
+            notes.push(`All groups are within ${targets.tolerance} points of target.`);
+        }
+        if (excluded.length > 0) {
+            notes.push(`Excludes ${excluded.join(', ')}: no quote or ${AppState.settings.baseCurrency} exchange rate loaded.`);
+        }
+        DOMUtils.setContent(document.getElementById('rebalanceNote'), notes.join(' '));
+    } catch (error) {
+        console.error('❌ Error rendering target allocation:', error);
+        performanceMonitor.recordError(error, 'target_allocation');
+    }
+}
+
+/**
+ * Read the target inputs as percent per group, leaving out blank entries
+ * @returns {Object<string, number>} Entered targets
+ */
+function readTargetInputs() {
+    const weights = {};
+    document.querySelectorAll('.target-input').forEach(input => {
+        const value = SecurityManager.sanitizeInput(input.value);
+        if (value !== '') {
+            weights[input.dataset.key] = parseFloat(value);
+        }
+    });
+    return weights;
+}
+
+/**
+ * Show the sum of the entered targets below the table
+ */
+function updateTargetTotal() {
+    const totalCell = document.getElementById('targetTotal');
+    if (!totalCell) return;
+
+    const total = Object.values(readTargetInputs()).reduce((sum, value) => sum + (isFinite(value) ? value : 0), 0);
+    totalCell.textContent = `${parseFloat(total.toFixed(2))}%`;
+    totalCell.classList.toggle('off-target', total > 0 && Math.abs(total - 100) > 0.01);
+}
+
+/**
+ * Validate and store the entered targets and tolerance on the active portfolio
+ * Clearing every target removes them.
+ */
+function saveTargets() {
+    try {
+        const weights = readTargetInputs();
+        const values = Object.values(weights);
+        if (values.some(value => !isFinite(value) || value < 0 || value > 100)) {
+            throw new Error('Targets must be percentages between 0 and 100');
+        }
+        const total = values.reduce((sum, value) => sum + value, 0);
+        if (values.length > 0 && Math.abs(total - 100) > 0.01) {
+            throw new Error(`Targets must add up to 100% (currently ${parseFloat(total.toFixed(2))}%)`);
+        }
+
+        const tolerance = parseFloat(SecurityManager.sanitizeInput(document.getElementById('targetTolerance')?.value || ''));
+        if (!isFinite(tolerance) || tolerance < 0 || tolerance > 50) {
+            throw new Error('Tolerance must be between 0 and 50 percentage points');
+        }
+
+        const targets = getActivePortfolio().targets;
+        targets.weights = weights;
+        targets.tolerance = tolerance;
+        savePortfolio();
+        rebalanceState.trades = [];
+        renderRebalanceTrades();
+        renderTargetAllocation();
+        performanceMonitor.recordUserInteraction('targets_save');
+        showError(values.length > 0 ? '✅ Target allocation saved' : '✅ Target allocation cleared', 'success');
+    } catch (error) {
+        showError(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Switch targets between holdings and asset classes; targets of the other grouping are dropped
+ */
+function changeTargetGroup() {
+    const select = document.getElementById('targetGroup');
+    const targets = getActivePortfolio().targets;
+    if (!select || !APP_CONSTANTS.REBALANCE.GROUPS.includes(select.value) || select.value === targets.groupBy) {
+        return;
+    }
+
+    if (Object.keys(targets.weights).length > 0 &&
+        !confirm('Switching the grouping clears the current targets. Continue?')) {
+        select.value = targets.groupBy;
+        return;
+    }
+
+    targets.groupBy = select.value;
+    targets.weights = {};
+    savePortfolio();
+    rebalanceState.trades = [];
+    renderRebalanceTrades();
+    renderTargetAllocation();
+}
+
+/**
+ * Work out buy and sell trades that return the portfolio to its saved targets
+ * Trades are only suggested once a group is outside the tolerance band, or
+ * when there is cash to invest.
+ */
+function suggestRebalance() {
+    try {
+        const targets = getActivePortfolio().targets;
+        if (Object.keys(targets.weights).length === 0) {
+            throw new Error('Save target percentages first');
+        }
+
+        const rawCash = SecurityManager.sanitizeInput(document.getElementById('rebalanceCash')?.value || '');
+        if (rawCash && !SecurityManager.validateAmount(rawCash)) {
+            throw new Error('Please enter a valid cash amount');
+        }
+        const cash = rawCash ? parseFloat(rawCash) : 0;
+        const fractional = Boolean(document.getElementById('rebalanceFractional')?.checked);
+
+        const { positions } = getRebalancePositions(targets.groupBy);
+        const groups = RebalancePlanner.computeDrift(positions, targets.weights);
+        if (cash === 0 && !RebalancePlanner.needsRebalance(groups, targets.tolerance)) {
+            rebalanceState = { trades: [], cash };
+            renderRebalanceTrades(`All groups are within ${targets.tolerance} points of target; no trades needed.`);
+            return;
+        }
+
+        const plan = RebalancePlanner.suggestTrades(positions, targets.weights, { cash, fractional });
+        rebalanceState = { trades: plan.trades, cash };
+
+        const notes = [`Cash left after trading: ${formatCurrency(plan.cashLeft)}.`];
+        if (plan.unmatched.length > 0) {
+            notes.push(`Nothing held in ${plan.unmatched.join(', ')}: add a holding there to reach its target.`);
+        }
+        renderRebalanceTrades(notes.join(' '));
+        performanceMonitor.recordUserInteraction('rebalance_suggest');
+    } catch (error) {
+        console.error('Rebalance failed:', error);
+        showError(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Render the suggested trades
+ * @param {string} message - Summary shown below the trades
+ */
+function renderRebalanceTrades(message = '') {
+    const wrapper = document.getElementById('rebalanceTradesWrapper');
+    const body = document.getElementById('rebalanceTrades');
+    const { trades } = rebalanceState;
+
+    if (body) {
+        body.innerHTML = trades.map(trade => `
+            <tr>
+                <td><span class="tx-type tx-${trade.action.toLowerCase()}">${trade.action}</span></td>
+                <td><strong>${trade.symbol}</strong></td>
+                <td>${formatQuantity(trade.quantity)}</td>
+                <td>${formatCurrency(trade.price, false, trade.currency)}</td>
+                <td>${formatCurrency(trade.value)}</td>
+            </tr>
+        `).join('');
+    }
+    if (wrapper) {
+        wrapper.classList.toggle('show', trades.length > 0);
+    }
+    DOMUtils.setContent(document.getElementById('rebalanceSummary'), message);
+}
+
+/**
+ * Download the suggested trades as CSV
+ */
+function exportRebalanceTrades() {
+    if (rebalanceState.trades.length === 0) {
+        showError('No suggested trades to export');
+        return;
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const slug = getActivePortfolio().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'portfolio';
+    const rows = rebalanceState.trades.map(trade => ({
+        date: stamp,
+        action: trade.action,
+        symbol: trade.symbol,
+        group: trade.group,
+        quantity: trade.quantity,
+        price: trade.price,
+        currency: trade.currency,
+        value: trade.value.toFixed(2),
+        value_currency: AppState.settings.baseCurrency
+    }));
+
+    DataExporter.download(`${slug}-rebalance-${stamp}.csv`, DataExporter.toCSV(rows), 'text/csv');
+    performanceMonitor.recordUserInteraction('rebalance_export');
+}
+
+/**
+ * Record the suggested trades as today's transactions at the latest quotes
+ */
+function recordRebalanceTrades() {
+    const { trades } = rebalanceState;
+    if (trades.length === 0) return;
+
+    if (!confirm(`Record ${trades.length} trade${trades.length === 1 ? '' : 's'} as transactions dated today at the latest prices?`)) {
+        return;
+    }
+
+    try {
+        const today = getLocalDate();
+        AppState.ledger.addMany(trades.map(trade => ({
+            type: trade.action,
+            symbol: trade.symbol,
+            date: today,
+            quantity: trade.quantity,
+            price: trade.price,
+            currency: trade.currency,
+            notes: 'Rebalance',
+            // There is no lot to pick for a suggested sale, so close the oldest lots first
+            ...(trade.action === 'SELL' && AppState.ledger.lotMethod === 'SPECIFIC' ? { lotMethod: 'FIFO' } : {})
+        })));
+
+        savePortfolio();
+        syncPortfolioFromLedger();
+        rebalanceState = { trades: [], cash: 0 };
+        renderRebalanceTrades();
+        updatePortfolioDisplay();
+        performanceMonitor.recordUserInteraction('rebalance_record');
+        showError(`✅ Recorded ${trades.length} rebalancing trade${trades.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        console.error('Failed to record rebalancing trades:', error);
+        showError(`❌ ${error.message}`);
+    }
+}
+
+// Risk analytics functions
+
+let riskAnalyticsRequest = 0;
+
+/**
+ * Load daily price histories for the active list and the benchmark, then
+ * render risk figures per holding, for the portfolio and between holdings
+ * Portfolio figures weight today's holdings by market value in the base currency.
+ */
+async function loadRiskAnalytics() {
+    const request = ++riskAnalyticsRequest;
+    const note = document.getElementById('riskNote');
+    const symbols = AppState.portfolio.map(holding => holding.symbol);
+    const benchmark = AppState.settings.benchmarkSymbol;
+
+    if (symbols.length === 0) {
+        renderRiskAnalytics(null);
+        if (note) note.textContent = 'Add holdings to see risk analytics.';
+        return;
+    }
+
+    if (note) note.textContent = 'Loading price history...';
+    performanceMonitor.recordUserInteraction('risk_analytics_load');
+
+    try {
+        // Weights need quotes, which may not be loaded if the portfolio tab was never opened
+        const priority = APP_CONSTANTS.PROVIDERS.PRIORITY.VISIBLE;
+        await Promise.all(symbols.filter(symbol => !AppState.stockData.has(symbol)).map(async symbol => {
+            AppState.stockData.set(symbol, await fetchStockData(symbol, true, priority));
+        }));
+
+        const tracked = [...new Set([...symbols, benchmark])];
+        const histories = await Promise.all(tracked.map(symbol => fetchPriceHistory(symbol, true, 'daily', priority)));
+
+        // A newer request (or a portfolio switch) supersedes this one
+        if (request !== riskAnalyticsRequest) return;
+
+        const seriesBySymbol = {};
+        tracked.forEach((symbol, index) => {
+            seriesBySymbol[symbol] = histories[index].series;
         });
+        const { dates, returns } = RiskAnalytics.alignReturns(seriesBySymbol);
 
-        console.log('✅ Event listeners configured successfully');
-        
+        if (dates.length < APP_CONSTANTS.RISK.MIN_OBSERVATIONS) {
+            renderRiskAnalytics(null);
+            if (note) note.textContent = `Not enough shared price history: ${dates.length} common trading days, ${APP_CONSTANTS.RISK.MIN_OBSERVATIONS} needed.`;
+            return;
+        }
+
+        const weights = {};
+        computeAllocation('holding').groups.forEach(group => {
+            weights[group.key] = group.percent / 100;
+        });
+        const benchmarkReturns = returns[benchmark];
+
+        renderRiskAnalytics({
+            symbols,
+            dates,
+            benchmark,
+            weights,
+            portfolio: Object.keys(weights).length > 0
+                ? RiskAnalytics.summarize(RiskAnalytics.weightedReturns(returns, weights), benchmarkReturns, dates)
+                : null,
+            holdings: symbols.map(symbol => ({
+                symbol,
+                weight: weights[symbol] !== undefined ? weights[symbol] : null,
+                ...RiskAnalytics.summarize(returns[symbol], benchmarkReturns, dates)
+            })),
+            correlations: RiskAnalytics.correlationMatrix(symbols, returns),
+            isMockData: histories.some(history => history.isMockData)
+        });
     } catch (error) {
-        console.error('❌ Error setting up event listeners:', error);
-        performanceMonitor.recordError(error, 'event_setup');
+        console.error('❌ Error loading risk analytics:', error);
+        performanceMonitor.recordError(error, 'risk_analytics');
+        if (note) note.textContent = 'Risk analytics are unavailable right now.';
     }
 }
 
 /**
- * Refresh current active section
+ * Fill the risk analytics tab
+ * @param {Object|null} analysis - Result assembled by loadRiskAnalytics(), or null to clear
  */
-function refreshCurrentSection() {
-    const activeSection = document.querySelector('.section.active');
-    if (activeSection) {
-        const sectionId = activeSection.id;
-        performanceMonitor.recordUserInteraction('manual_refresh');
-        
-        switch (sectionId) {
-            case 'portfolio':
-                loadPortfolio();
-                break;
-            case 'exchange':
-                loadExchangeRates();
-                break;
-            case 'news':
-                loadNews();
-                break;
+function renderRiskAnalytics(analysis) {
+    const ratio = (value) => value === null || !isFinite(value) ? '—' : value.toFixed(2);
+    const percent = (value) => value === null || !isFinite(value) ? '—' : `${(value * 100).toFixed(1)}%`;
+    const drawdownTitle = (drawdown) => drawdown.peakDate && drawdown.troughDate
+        ? `From ${drawdown.peakDate} to ${drawdown.troughDate}` : '';
+    const setStat = (id, text, title = '') => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = text;
+            element.title = title;
+        }
+    };
+
+    const portfolio = analysis ? analysis.portfolio : null;
+    setStat('riskVolatility', portfolio ? percent(portfolio.volatility) : '—');
+    setStat('riskBeta', portfolio ? ratio(portfolio.beta) : '—');
+    setStat('riskSharpe', portfolio ? ratio(portfolio.sharpe) : '—');
+    setStat('riskSortino', portfolio ? ratio(portfolio.sortino) : '—');
+    setStat('riskDrawdown', portfolio ? percent(portfolio.maxDrawdown.drawdown) : '—',
+        portfolio ? drawdownTitle(portfolio.maxDrawdown) : '');
+
+    const betaLabel = document.querySelector('#riskBetaLabel h4');
+    if (betaLabel) {
+        betaLabel.textContent = analysis ? `Beta vs ${analysis.benchmark}` : 'Beta';
+    }
+
+    const holdingsBody = document.getElementById('riskHoldings');
+    const matrix = document.getElementById('correlationMatrix');
+    if (!analysis) {
+        if (holdingsBody) holdingsBody.innerHTML = '<tr><td colspan="7" class="empty-ledger">No risk figures yet</td></tr>';
+        if (matrix) matrix.innerHTML = '';
+        return;
+    }
+
+    if (holdingsBody) {
+        holdingsBody.innerHTML = analysis.holdings.map(row => `
+            <tr>
+                <td><strong>${row.symbol}</strong></td>
+                <td>${row.weight !== null ? percent(row.weight) : '—'}</td>
+                <td>${percent(row.volatility)}</td>
+                <td>${ratio(row.beta)}</td>
+                <td>${ratio(row.sharpe)}</td>
+                <td>${ratio(row.sortino)}</td>
+                <td title="${drawdownTitle(row.maxDrawdown)}">${percent(row.maxDrawdown.drawdown)}</td>
+            </tr>
+        `).join('');
+    }
+
+    if (matrix) {
+        // Shade cells by strength: blue for moving together, orange for moving apart
+        const shade = (value) => value === null ? '' : (value >= 0
+            ? `background: rgba(52, 152, 219, ${(value * 0.6).toFixed(2)})`
+            : `background: rgba(230, 126, 34, ${(-value * 0.6).toFixed(2)})`);
+        matrix.innerHTML = analysis.symbols.length < 2
+            ? '<tr><td class="empty-ledger">Correlation needs at least two holdings</td></tr>'
+            : `
+                <thead><tr><th></th>${analysis.symbols.map(symbol => `<th>${symbol}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${analysis.symbols.map((symbol, i) => `
+                        <tr>
+                            <th>${symbol}</th>
+                            ${analysis.correlations[i].map(value => `<td style="${shade(value)}">${ratio(value)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            `;
+    }
+
+    const note = document.getElementById('riskNote');
+    if (note) {
+        const parts = [
+            `Based on ${analysis.dates.length} daily returns from ${analysis.dates[0]} to ${analysis.dates[analysis.dates.length - 1]} in each symbol's trading currency.`,
+            `Ratios use a ${(APP_CONSTANTS.RISK.RISK_FREE_RATE * 100).toFixed(1)}% risk-free rate; beta is measured against ${analysis.benchmark} (change it in the Performance panel).`
+        ];
+        if (!analysis.portfolio) {
+            parts.push('Portfolio figures need holdings with a market value.');
         }
+        if (analysis.isMockData) {
+            parts.push('Some series are synthetic demo data.');
+        }
+        note.textContent = parts.join(' ');
     }
 }
 
+// Market hours functions
+
+let autoRefreshState = { timer: null, lastRefresh: 0, lastAlertCheck: 0 };
+
 /**
- * Clear active form inputs
+ * Exchanges listing the holdings in the active list (US when it is empty)
+ * @returns {Array<string>} Exchange keys, 'CRYPTO' for crypto pairs
  */
-function clearActiveInputs() {
-    const activeElement = document.activeElement;
-    if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')) {
-        activeElement.blur();
-    }
+function getWatchedExchanges() {
+    const exchanges = new Set(AppState.portfolio.map(holding => {
+        const instrument = holding.instrument || Instrument.parse(holding.symbol);
+        return instrument ? instrument.exchange : 'US';
+    }));
+    return exchanges.size > 0 ? [...exchanges] : ['US'];
 }
 
 /**
- * Close any open modal dialogs
+ * Exchanges listing the symbols of enabled, unsnoozed alert rules
+ * @returns {Array<string>} Exchange keys, 'CRYPTO' for crypto pairs; empty without active rules
  */
-function closeOpenModals() {
-    const modals = document.querySelectorAll('.stats-modal, .config-modal');
-    modals.forEach(modal => modal.remove());
+function getAlertExchanges() {
+    const now = Date.now();
+    return [...new Set(PriceAlerts.loadRules()
+        .filter(rule => PriceAlerts.isActive(rule, now))
+        .map(rule => {
+            const instrument = Instrument.parse(rule.symbol);
+            return instrument ? instrument.exchange : 'US';
+        }))];
 }
 
-// Initialize configuration securely
-async function initializeConfig() {
-    try {
-        AppState.configLoader = new ConfigLoader();
-        await AppState.configLoader.waitForConfig();
-        API_CONFIG = AppState.configLoader.getConfig();
-        AppState.isConfigLoaded = true;
-        
-        console.log('✅ Configuration loaded securely');
-        
-        // Validate configuration
-        if (!AppState.configLoader.validateConfig()) {
-            console.warn('⚠️ Some API keys may be missing');
+/**
+ * Status of a set of exchanges and the refresh cadence they call for
+ * @param {Date} now - Moment to evaluate
+ * @param {Array<string>} exchanges - Exchange keys, the watched exchanges by default
+ * @returns {Object} { markets: Array<Object>, activity: 'open'|'extended'|'closed' }
+ */
+function getMarketState(now = new Date(), exchanges = getWatchedExchanges()) {
+    const markets = exchanges.map(exchange => MarketCalendar.getStatus(exchange, now));
+    const activity = markets.some(market => market.status === 'open')
+        ? 'open'
+        : (markets.some(market => market.status === 'pre' || market.status === 'post') ? 'extended' : 'closed');
+    return { markets, activity };
+}
+
+/**
+ * Show the open/closed status of the watched exchanges in the header
+ * @param {Object} state - Result of getMarketState()
+ */
+function updateMarketStatusDisplay(state = getMarketState()) {
+    const container = document.getElementById('marketStatus');
+    if (!container) return;
+
+    const labels = { open: 'Open', pre: 'Pre-market', post: 'After hours', closed: 'Closed' };
+    container.innerHTML = state.markets.map(market => {
+        let detail = '';
+        if (market.exchange === 'CRYPTO') {
+            detail = 'trades around the clock';
+        } else if (market.status === 'open') {
+            detail = `closes ${market.closesAt}${market.earlyClose ? ' (early close)' : ''}`;
+        } else if (market.opensAt) {
+            const day = market.opensAt.date === market.today
+                ? ''
+                : `${new Date(`${market.opensAt.date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', timeZone: 'UTC' })} `;
+            detail = `opens ${day}${market.opensAt.time}`;
+        }
+        const status = market.holiday ? 'Holiday' : labels[market.status];
+        const title = market.exchange === 'CRYPTO' ? '' : ` title="Times are local to the exchange (${market.timeZone})"`;
+        return `<span class="market-chip ${market.status}"${title}>` +
+            `<strong>${SecurityManager.encodeForHTML(market.name)}</strong> ${status}${detail ? ` · ${detail}` : ''}</span>`;
+    }).join('');
+}
+
+/**
+ * Refresh the data shown in the active section
+ */
+function runAutoRefresh() {
+    const activeSection = document.querySelector('.section.active');
+    if (activeSection) {
+        const sectionId = activeSection.id;
+        if (sectionId === 'portfolio') {
+            loadPortfolio();
+        } else if (sectionId === 'exchange') {
+            loadExchangeRates();
         }
-        
-    } catch (error) {
-        console.error('❌ Failed to load configuration:', error);
-        showError('Failed to load API configuration. Some features may not work.');
     }
 }
 
-// Add security indicator to show configuration status
-function addSecurityIndicator() {
-    const indicator = document.createElement('div');
-    indicator.className = 'security-indicator';
-    
-    if (AppState.configLoader && AppState.configLoader.isDemoMode()) {
-        indicator.className += ' demo-mode';
-        indicator.innerHTML = '🎮 Demo Mode';
-        indicator.title = 'Running in demo mode with mock data';
-    } else if (AppState.isConfigLoaded) {
-        indicator.innerHTML = '🔒 Secured';
-        indicator.title = 'API keys loaded securely from environment';
-    } else {
-        indicator.className += ' insecure';
-        indicator.innerHTML = '⚠️ Config Error';
-        indicator.title = 'Configuration error - some features may not work';
+/**
+ * Re-evaluate market status and refresh the active section once its interval has passed
+ * Runs every STATUS_INTERVAL while the tab is visible. Stock data is refreshed every
+ * 2 minutes while a watched market is open and every 10 minutes pre-market and after
+ * hours; nothing is fetched while they are all closed. Exchange rates keep a fixed cadence.
+ * Alerts follow the same cadence for the markets of their own symbols, so an alert on a
+ * symbol outside the portfolio (crypto at the weekend) is checked while its market trades.
+ */
+function autoRefreshTick() {
+    clearTimeout(autoRefreshState.timer);
+    autoRefreshState.timer = null;
+    if (document.hidden) return;
+
+    const state = getMarketState();
+    updateMarketStatusDisplay(state);
+
+    const activeSection = document.querySelector('.section.active');
+    const interval = activeSection && activeSection.id === 'exchange'
+        ? APP_CONSTANTS.MARKET.FX_REFRESH_INTERVAL
+        : APP_CONSTANTS.MARKET.REFRESH_INTERVALS[state.activity];
+    let refreshedPortfolio = false;
+    if (interval && Date.now() - autoRefreshState.lastRefresh >= interval) {
+        autoRefreshState.lastRefresh = Date.now();
+        runAutoRefresh();
+        refreshedPortfolio = Boolean(activeSection) && activeSection.id === 'portfolio';
     }
-    
-    document.body.appendChild(indicator);
+
+    const alertInterval = APP_CONSTANTS.MARKET.REFRESH_INTERVALS[getMarketState(new Date(), getAlertExchanges()).activity];
+    if (alertInterval && Date.now() - autoRefreshState.lastAlertCheck >= alertInterval) {
+        autoRefreshState.lastAlertCheck = Date.now();
+        // loadPortfolio checks alerts itself once its quotes are in
+        if (!refreshedPortfolio) {
+            checkPriceAlerts();
+        }
+    }
+
+    autoRefreshState.timer = setTimeout(autoRefreshTick, APP_CONSTANTS.MARKET.STATUS_INTERVAL);
 }
 
-// Navigation functions
-function showSection(sectionName) {
-    // Hide all sections
-    document.querySelectorAll('.section').forEach(section => {
-        section.classList.remove('active');
-    });
-    
-    // Remove active class from all nav buttons
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-        btn.classList.remove('active');
+/**
+ * Start the market-aware auto-refresh; it pauses while the tab is hidden
+ * and catches up as soon as the tab is shown again
+ */
+function startAutoRefresh() {
+    autoRefreshState.lastRefresh = Date.now();
+    autoRefreshState.lastAlertCheck = Date.now();
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            clearTimeout(autoRefreshState.timer);
+            autoRefreshState.timer = null;
+        } else {
+            autoRefreshTick();
+        }
     });
-    
-    // Show selected section
-    document.getElementById(sectionName).classList.add('active');
-    
-    // Add active class to clicked button
-    event.target.classList.add('active');
-    
-    // Load section-specific data
-    if (sectionName === 'portfolio') {
-        loadPortfolio();
-    } else if (sectionName === 'exchange') {
-        loadExchangeRates();
-    } else if (sectionName === 'news') {
-        loadNews();
+    autoRefreshTick();
+}
+
+// Network request functions
+const inFlightRequests = new Map();
+const staleRevalidations = new Map();
+
+/**
+ * Share one promise between concurrent requests for the same data
+ * @param {string} key - Cache key of the data requested
+ * @param {Function} factory - Starts the request and returns a promise
+ * @returns {Promise<any>} The request already in flight for this key, or a new one
+ */
+function shareRequest(key, factory) {
+    if (!inFlightRequests.has(key)) {
+        const request = Promise.resolve()
+            .then(factory)
+            .finally(() => inFlightRequests.delete(key));
+        inFlightRequests.set(key, request);
     }
+    return inFlightRequests.get(key);
 }
 
-// Portfolio functions
-async function addStock() {
-    const rawSymbol = document.getElementById('stockSymbol').value;
-    const symbol = SecurityManager.sanitizeInput(rawSymbol).toUpperCase().trim();
-    
-    if (!symbol) {
-        showError('Please enter a stock symbol');
-        return;
+/**
+ * Read cached data, including data saved by an earlier session. Expired data is returned
+ * at once while `refresh` fetches a replacement in the background (stale-while-revalidate).
+ * If the refresh fails, the expired data is kept for a short while, marked with
+ * `staleAsOf` (when it was fetched), so cards can say how old it is.
+ * @param {string} key - Cache key
+ * @param {Function|null} refresh - Fetches and caches fresh data, rejecting on failure;
+ *     without one, expired data counts as a miss
+ * @param {Function} onRefresh - Called with (freshData, false) after a refresh, or with
+ *     (staleData, true) when it fails
+ * @returns {Promise<any|null>} Cached data, possibly expired, or null on a miss
+ */
+async function readCache(key, refresh = null, onRefresh = null) {
+    const cached = cacheManager.get(key);
+    if (cached) {
+        return cached;
     }
 
-    if (!SecurityManager.validateInput(symbol, 'stock_symbol')) {
-        showError('Invalid stock symbol format. Use letters only (e.g., AAPL)');
-        return;
+    const saved = await cacheManager.getPersisted(key);
+    if (!saved || saved.fresh) {
+        return saved ? saved.value : null;
     }
-    
-    if (AppState.portfolio.includes(symbol)) {
-        showError('Stock already in portfolio');
-        return;
+    if (!refresh) {
+        return null;
     }
-    
-    // Check if configuration is properly loaded
-    if (!AppState.isConfigLoaded || !AppState.configLoader) {
-        showError('⚠️ Configuration not loaded. Please wait or reload the page.');
-        return;
+
+    // Keep the mark while a failed refresh is retried, so cards do not flicker
+    const stale = markStale(saved.value, staleRevalidations.get(key));
+    const revalidationKey = `revalidate_${key}`;
+    if (!inFlightRequests.has(revalidationKey)) {
+        shareRequest(revalidationKey, refresh)
+            .then(fresh => {
+                staleRevalidations.delete(key);
+                if (onRefresh) onRefresh(fresh, false);
+            })
+            .catch(error => {
+                console.warn(`⚠️ Could not refresh ${key}, showing data from ${new Date(saved.storedAt).toLocaleString()}:`, error.message);
+                const staleAsOf = new Date(saved.storedAt).toISOString();
+                staleRevalidations.set(key, staleAsOf);
+                const marked = markStale(saved.value, staleAsOf);
+                cacheManager.set(key, marked, APP_CONSTANTS.CACHE.ERROR_DURATION, { persist: false });
+                if (onRefresh) onRefresh(marked, true);
+            });
     }
-    
-    const startTime = performance.now();
-    showLoading(true);
-    
+    return stale;
+}
+
+/**
+ * Mark expired data with the time it was fetched; lists are returned as they are
+ * @param {any} value - Cached data
+ * @param {string} staleAsOf - ISO time the data was fetched, or undefined to leave it unmarked
+ * @returns {any} The data, marked when possible
+ */
+function markStale(value, staleAsOf) {
+    if (!staleAsOf || !value || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+    return { ...value, staleAsOf };
+}
+
+/**
+ * Wait before a retry: exponential backoff with jitter, so clients throttled together
+ * do not all retry together, and never less than the server's Retry-After
+ * @param {number} attempt - Retries made so far
+ * @param {number} retryAfter - Milliseconds the server asked to wait, if any
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfter = 0) {
+    const backoff = APP_CONSTANTS.API.RETRY_DELAY * Math.pow(2, attempt);
+    const jittered = backoff / 2 + Math.random() * backoff / 2;
+    return Math.min(Math.max(jittered, retryAfter), APP_CONSTANTS.API.RETRY_MAX_DELAY);
+}
+
+/**
+ * Fetch and parse JSON once, marking failures worth retrying
+ * @param {string} url - Request URL
+ * @param {Object} options - See fetchJSONWithRetry
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} With status, retryable and retryAfter set where known
+ */
+async function fetchJSONOnce(url, options) {
+    let response;
     try {
-        // First try to get real data (no mock fallback)
-        let stockInfo = null;
-        let isRealData = false;
-        
-        try {
-            stockInfo = await fetchStockData(symbol, false);
-            isRealData = true;
-        } catch (realDataError) {
-            console.log(`Real data unavailable for ${symbol}, trying with mock fallback:`, realDataError.message);
-            stockInfo = await fetchStockData(symbol, true);
-            isRealData = false;
-        }
-        
-        // Check if we got valid stock data
-        if (stockInfo && stockInfo.price > 0) {
-            AppState.portfolio.push(symbol);
-            localStorage.setItem('portfolio', JSON.stringify(AppState.portfolio));
-            AppState.stockData.set(symbol, stockInfo);
-            
-            document.getElementById('stockSymbol').value = '';
-            updatePortfolioDisplay();
-            
-            // Show appropriate message based on data source
-            if (isRealData && !stockInfo.isMockData) {
-                showError(`✅ Stock ${symbol} added successfully!`, 'success');
-            } else if (AppState.configLoader && AppState.configLoader.isDemoMode()) {
-                showError(`✅ Stock ${symbol} added in demo mode!`, 'success');
-            } else {
-                showError(`⚠️ Stock ${symbol} added with limited data (API unavailable)`, 'warning');
-            }
-            
-            // Record performance metrics
-            const endTime = performance.now();
-            performanceMonitor.recordLoadTime(endTime - startTime);
-        } else {
-            throw new Error('Invalid stock data received');
-        }
+        response = await fetch(url, {
+            signal: AbortSignal.timeout(options.timeout || APP_CONSTANTS.API.TIMEOUT),
+            headers: { 'Accept': 'application/json', ...options.headers }
+        });
     } catch (error) {
-        console.error('Failed to add stock:', error);
-        performanceMonitor.recordError(error, 'add_stock');
-        
-        // More specific error messages
-        if (error.message.includes('Invalid stock symbol')) {
-            showError(`❌ "${symbol}" is not a valid stock symbol. Please check and try again.`);
-        } else if (error.message.includes('API configuration')) {
-            showError(`❌ API configuration error. Please reload the page or configure API keys.`);
-        } else {
-            showError(`❌ Failed to add stock ${symbol}. Please verify the symbol is correct.`);
+        // Network failures and timeouts
+        const message = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+        throw Object.assign(new Error(message), { retryable: true });
+    }
+
+    if (!response.ok) {
+        const retryAfter = parseFloat(response.headers.get('Retry-After')) * 1000 || 0;
+        throw Object.assign(new Error(`API request failed: ${response.status} ${response.statusText}`), {
+            status: response.status,
+            retryable: APP_CONSTANTS.API.RETRYABLE_STATUSES.includes(response.status),
+            retryAfter
+        });
+    }
+
+    const data = await response.json();
+    const throttleMessage = options.getThrottleMessage ? options.getThrottleMessage(data) : null;
+    if (throttleMessage) {
+        throw Object.assign(new Error(throttleMessage), { retryable: true, throttled: true });
+    }
+    return data;
+}
+
+/**
+ * Fetch JSON, retrying network errors, timeouts, throttling and server errors with
+ * exponential backoff. Other failures, such as a bad key or an unknown symbol, fail at once.
+ * @param {string} url - Request URL
+ * @param {Object} options - { headers, timeout, retries (default APP_CONSTANTS.API.RETRY_ATTEMPTS),
+ *     getThrottleMessage(body): message when a successful response is a throttle notice,
+ *     beforeRetry(attempt): awaited before each retry }
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} The last failure, once the retries are used up
+ */
+async function fetchJSONWithRetry(url, options = {}) {
+    const retries = options.retries === undefined ? APP_CONSTANTS.API.RETRY_ATTEMPTS : options.retries;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fetchJSONOnce(url, options);
+        } catch (error) {
+            if (!error.retryable || attempt >= retries) {
+                throw error;
+            }
+            const delay = getRetryDelay(attempt, error.retryAfter);
+            console.warn(`🔁 ${error.message}; retry ${attempt + 1} of ${retries} in ${Math.round(delay)}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            if (options.beforeRetry) {
+                await options.beforeRetry(attempt + 1);
+            }
         }
-    } finally {
-        showLoading(false);
     }
 }
 
-async function removeStock(symbol) {
-    AppState.portfolio = AppState.portfolio.filter(s => s !== symbol);
-    AppState.stockData.delete(symbol);
-    localStorage.setItem('portfolio', JSON.stringify(AppState.portfolio));
-    updatePortfolioDisplay();
+// Request queue functions
+let portfolioRenderTimer = null;
+
+/**
+ * Symbols whose stock cards are on screen, or the first cards before any are drawn
+ * @returns {Set<string>} Symbols to fetch first
+ */
+function getVisibleSymbols() {
+    const cards = [...document.querySelectorAll('#stockList .stock-card')];
+    if (cards.length === 0) {
+        return new Set(AppState.portfolio.slice(0, APP_CONSTANTS.PROVIDERS.INITIAL_VISIBLE_CARDS).map(holding => holding.symbol));
+    }
+    return new Set(cards
+        .filter(card => {
+            const rect = card.getBoundingClientRect();
+            return card.style.display !== 'none' && rect.bottom > 0 && rect.top < window.innerHeight;
+        })
+        .map(card => card.querySelector('.stock-symbol').textContent));
+}
+
+/**
+ * Re-render the portfolio shortly, so quotes arriving together share one render
+ */
+function schedulePortfolioRender() {
+    clearTimeout(portfolioRenderTimer);
+    portfolioRenderTimer = setTimeout(() => {
+        portfolioRenderTimer = null;
+        updatePortfolioDisplay();
+    }, APP_CONSTANTS.PROVIDERS.RENDER_DELAY);
+}
+
+/**
+ * Use data refreshed in the background (or marked stale when the refresh failed) if it is
+ * still shown, and re-render
+ * @param {Map} dataMap - AppState.stockData or AppState.dividendData
+ * @param {string} symbol - Symbol the data is for
+ * @param {Object} data - Refreshed data
+ */
+function applyRefreshedData(dataMap, symbol, data) {
+    if (dataMap.has(symbol)) {
+        dataMap.set(symbol, data);
+        schedulePortfolioRender();
+    }
+}
+
+/**
+ * Show queued market data requests and the daily quota left for each configured provider
+ * @param {Object} status - Result of requestScheduler.getStatus()
+ */
+function updateRequestStatusDisplay(status = requestScheduler.getStatus()) {
+    const container = document.getElementById('requestStatus');
+    if (!container) return;
+
+    const chips = [];
+    if (status.queued > 0) {
+        chips.push(`<span class="quota-chip queued" title="Requests waiting for API quota; cards on screen go first">
+            ⏳ ${status.queued} request${status.queued === 1 ? '' : 's'} queued</span>`);
+    }
+    marketData.getActiveProviders().forEach(provider => {
+        const quota = status.providers[provider.id];
+        if (!quota || quota.perDay === null) return;
+        const level = quota.remaining === 0
+            ? 'exhausted'
+            : (quota.remaining / quota.perDay < APP_CONSTANTS.PROVIDERS.QUOTA_WARNING ? 'low' : '');
+        chips.push(`<span class="quota-chip ${level}" title="Requests left today; the quota resets at 00:00 UTC">
+            ${SecurityManager.encodeForHTML(provider.name)}: ${quota.remaining}/${quota.perDay} left today</span>`);
+    });
+
+    container.innerHTML = chips.join('');
 }
 
 /**
@@ -1183,59 +8665,99 @@ async function loadPortfolio() {
         if (AppState.portfolio.length === 0) {
             console.log('📊 Portfolio is empty, showing default view');
             updatePortfolioDisplay();
+            backfillPortfolioHistory();
+            checkPriceAlerts();
+            loadDividendData();
             return;
         }
         
         console.log('📊 Loading portfolio data...');
         showLoading(true);
         
-        const results = await Promise.allSettled(
-            AppState.portfolio.map(async (symbol) => {
-                const data = await fetchStockData(symbol);
+        // Cards on screen are queued ahead of the rest, and every card shows as its quote arrives
+        const visible = getVisibleSymbols();
+        const requests = AppState.portfolio.map(({ symbol }) => {
+            const priority = visible.has(symbol)
+                ? APP_CONSTANTS.PROVIDERS.PRIORITY.VISIBLE
+                : APP_CONSTANTS.PROVIDERS.PRIORITY.NORMAL;
+            const request = fetchStockData(symbol, true, priority).then(data => {
+                AppState.stockData.set(symbol, data);
+                schedulePortfolioRender();
                 return { symbol, data };
-            })
-        );
+            });
+            return { symbol, request };
+        });
+        
+        await Promise.allSettled(requests.filter(({ symbol }) => visible.has(symbol)).map(({ request }) => request));
+        updatePortfolioDisplay();
+        showLoading(false);
+        
+        // Under tight API quotas the remaining quotes can take minutes, so they finish without holding up the page
+        completePortfolioLoad(requests, startTime);
+        
+    } catch (error) {
+        console.error('❌ Portfolio loading error:', error);
+        performanceMonitor.recordError(error, 'portfolio_load');
+        showError('Failed to load portfolio data');
+    } finally {
+        showLoading(false);
+    }
+}
+
+/**
+ * Finish a portfolio load once every quote request has settled: count failures,
+ * render the final totals and start the work that needs all quotes
+ * @param {Array<Object>} requests - { symbol, request } per holding
+ * @param {number} startTime - performance.now() when the load started
+ */
+async function completePortfolioLoad(requests, startTime) {
+    try {
+        const results = await Promise.allSettled(requests.map(({ request }) => request));
         
         // Process results and handle failures gracefully
         let successCount = 0;
-        results.forEach((result) => {
+        results.forEach((result, index) => {
             if (result.status === 'fulfilled' && result.value.data) {
-                AppState.stockData.set(result.value.symbol, result.value.data);
                 successCount++;
             } else {
-                console.warn(`⚠️ Failed to load ${result.value?.symbol || 'unknown'}:`, result.reason);
+                console.warn(`⚠️ Failed to load ${requests[index].symbol}:`, result.reason);
                 performanceMonitor.recordError(result.reason, 'stock_load');
             }
         });
         
+        clearTimeout(portfolioRenderTimer);
         updatePortfolioDisplay();
         
+        // Rebuilding past valuations can take several requests, so it runs after the cards render
+        backfillPortfolioHistory();
+        checkPriceAlerts();
+        loadDividendData();
+        
         const loadTime = performance.now() - startTime;
         performanceMonitor.recordLoadTime(loadTime);
         
         if (successCount === 0) {
             showError('Unable to load any portfolio data. Please check your connection.');
-        } else if (successCount < AppState.portfolio.length) {
-            console.warn(`⚠️ Loaded ${successCount}/${AppState.portfolio.length} stocks successfully`);
+        } else if (successCount < requests.length) {
+            console.warn(`⚠️ Loaded ${successCount}/${requests.length} stocks successfully`);
         }
         
         console.log(`✅ Portfolio loaded in ${loadTime.toFixed(2)}ms`);
-        
     } catch (error) {
         console.error('❌ Portfolio loading error:', error);
         performanceMonitor.recordError(error, 'portfolio_load');
-        showError('Failed to load portfolio data');
-    } finally {
-        showLoading(false);
     }
 }
 
 /**
- * Fetches real-time stock data from Alpha Vantage API with caching optimization
+ * Fetches real-time stock data from the configured market data providers with caching optimization
  * Implements secure API key management and graceful error handling
  * @param {string} symbol - Stock symbol (e.g., 'AAPL', 'GOOGL')
  * @param {boolean} allowMockData - Whether to return mock data on API failure
- * @returns {Promise<Object>} Stock data object with price, change, and metadata
+ * @param {number} priority - Queue priority (APP_CONSTANTS.PROVIDERS.PRIORITY)
+ * @param {boolean} useStale - Whether expired cached data may be returned while it refreshes in the background
+ * @returns {Promise<Object>} Stock data object with price, change, and metadata; staleAsOf is set
+ *   on expired data whose refresh failed
  * @throws {Error} When API request fails and mock data is not allowed
  * 
  * Features:
@@ -1246,166 +8768,767 @@ async function loadPortfolio() {
  * - Rate limiting compliance
  */
 /**
- * Enhanced Stock Data Fetching with Advanced Error Handling
- * Implements comprehensive caching, security, and fallback mechanisms
+ * Enhanced Stock Data Fetching with Advanced Error Handling
+ * Implements comprehensive caching, security, and fallback mechanisms
+ */
+async function fetchStockData(symbol, allowMockData = true, priority = APP_CONSTANTS.PROVIDERS.PRIORITY.NORMAL, useStale = true) {
+    // Crypto quotes may come without a change, which is then taken from the daily series
+    if (parseCryptoSymbol(symbol)) {
+        return fetchCryptoQuote(symbol, allowMockData, priority, useStale);
+    }
+
+    const startTime = performance.now();
+    const cacheKey = `stock_${symbol}`;
+    
+    console.log(`🔍 Fetching stock data for ${symbol}, allowMockData: ${allowMockData}`);
+    console.log(`📊 Configuration state:`, {
+        isConfigLoaded: AppState.isConfigLoaded,
+        hasConfigLoader: !!AppState.configLoader,
+        providers: marketData.getProviders('quote', symbol).map(provider => provider.id),
+        isDemoMode: AppState.configLoader && AppState.configLoader.isDemoMode()
+    });
+    
+    try {
+        // Input validation and sanitization
+        if (!SecurityManager.validateInput(symbol, 'stock_symbol')) {
+            throw new Error('Invalid stock symbol provided');
+        }
+        
+        // Performance optimization: Check cache first to avoid unnecessary API calls
+        // This reduces API usage by up to 70% for frequently requested stocks
+        const cachedData = await readCache(cacheKey,
+            useStale ? () => fetchStockData(symbol, false, priority, false) : null,
+            quote => applyRefreshedData(AppState.stockData, symbol, quote));
+        if (cachedData) {
+            performanceMonitor.recordCacheHit();
+            console.log(`📈 Cache hit for ${symbol} - improved performance`);
+            return cachedData;
+        }
+        
+        // Record performance metrics for monitoring and optimization
+        performanceMonitor.recordCacheMiss();
+        
+        // Security check: Ensure a market data provider is configured for this symbol
+        // Prevents exposing API endpoints without proper authentication; demo mode has none
+        if (!marketData.canServe('quote', symbol)) {
+            console.log('No market data provider configured, using mock data');
+            if (!allowMockData) {
+                throw new Error('API configuration not available and mock data not allowed');
+            }
+            const mockData = generateMockStockData(symbol);
+            cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.MOCK_DURATION);
+            return mockData;
+        }
+        
+        // Providers are tried in the configured order until one returns a valid quote
+        const { data: quote, source } = await marketData.request('quote', symbol, { priority });
+        const stockInfo = {
+            symbol: SecurityManager.sanitizeInput(symbol),
+            price: quote.price,
+            change: quote.change,
+            changePercent: quote.changePercent,
+            lastUpdated: new Date().toISOString(),
+            isMockData: false,
+            source
+        };
+        
+        // Cache the result for performance
+        cacheManager.set(cacheKey, stockInfo);
+        
+        const fetchTime = performance.now() - startTime;
+        performanceMonitor.recordAPIResponseTime(fetchTime);
+        
+        console.log(`✅ Stock data for ${symbol} loaded from ${marketData.describe(source)} in ${fetchTime.toFixed(2)}ms`);
+        return stockInfo;
+        
+    } catch (error) {
+        console.error(`❌ Error fetching stock data for ${symbol}:`, error);
+        performanceMonitor.recordError(error, 'stock_fetch');
+        
+        // If mock data is not allowed, re-throw the error
+        if (!allowMockData) {
+            throw error;
+        }
+        
+        // Return mock data as fallback with clear indication
+        const mockData = generateMockStockData(symbol);
+        mockData.source = 'api_fallback';
+        mockData.errorReason = error.message;
+        
+        // Cache mock data for shorter duration
+        cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.ERROR_DURATION);
+        
+        return mockData;
+    }
+}
+
+/**
+ * Enhanced Mock Data Generator
+ * Creates realistic test data for development and fallback scenarios
+ */
+function generateMockStockData(symbol) {
+    console.log(`🎯 Generating mock data for ${symbol}`);
+    
+    // Base prices for common stocks to make data more realistic
+    const basePrices = {
+        'AAPL': 175, 'GOOGL': 140, 'MSFT': 350, 'AMZN': 130, 'TSLA': 240,
+        'NVDA': 450, 'META': 300, 'NFLX': 400, 'AMD': 110, 'CRM': 200,
+        'SPY': 450, 'VOO': 410, 'QQQ': 380, 'VTI': 220
+    };
+    
+    // Unknown symbols get a random price in a typical range for the listing's currency,
+    // so the mock stays plausible before exchange rates have loaded
+    const priceRanges = {
+        'USD': [50, 450], 'GBP': [1, 40], 'EUR': [10, 250], 'CHF': [20, 500], 'CAD': [10, 150],
+        'AUD': [2, 100], 'HKD': [5, 500], 'JPY': [500, 10000], 'INR': [100, 3000], 'CNY': [5, 100], 'BRL': [5, 80]
+    };
+    const [low, high] = priceRanges[Instrument.quoteCurrency(symbol)] || priceRanges.USD;
+    const basePrice = basePrices[symbol] || low + Math.random() * (high - low);
+    const volatility = 0.05; // 5% daily volatility
+    const change = (Math.random() - 0.5) * 2 * basePrice * volatility;
+    const changePercent = (change / basePrice) * 100;
+    
+    return {
+        symbol: SecurityManager.sanitizeInput(symbol),
+        price: parseFloat(basePrice.toFixed(2)),
+        change: parseFloat(change.toFixed(2)),
+        changePercent: parseFloat(changePercent.toFixed(2)),
+        lastUpdated: new Date().toISOString(),
+        isMockData: true,
+        source: 'mock_generator'
+    };
+}
+
+/**
+ * Fetch a crypto quote from the configured market data providers
+ * Crypto trades around the clock; when a provider reports only a price, the change is
+ * measured against the last daily close before 00:00 UTC rather than a previous session.
+ * @param {string} symbol - Crypto pair such as BTC-USD
+ * @param {boolean} allowMockData - Whether to return mock data on failure
+ * @param {number} priority - Queue priority (APP_CONSTANTS.PROVIDERS.PRIORITY)
+ * @param {boolean} useStale - Whether expired cached data may be returned while it refreshes in the background
+ * @returns {Promise<Object>} Quote in the same shape as fetchStockData
+ * @throws {Error} When the request fails and mock data is not allowed
+ */
+async function fetchCryptoQuote(symbol, allowMockData = true, priority = APP_CONSTANTS.PROVIDERS.PRIORITY.NORMAL, useStale = true) {
+    const startTime = performance.now();
+    const cacheKey = `stock_${symbol}`;
+    const pair = parseCryptoSymbol(symbol);
+
+    try {
+        if (!pair || !SecurityManager.validateCurrency(pair.market)) {
+            throw new Error('Invalid crypto pair provided');
+        }
+
+        const cachedData = await readCache(cacheKey,
+            useStale ? () => fetchCryptoQuote(symbol, false, priority, false) : null,
+            quote => applyRefreshedData(AppState.stockData, symbol, quote));
+        if (cachedData) {
+            performanceMonitor.recordCacheHit();
+            return cachedData;
+        }
+        performanceMonitor.recordCacheMiss();
+
+        if (!marketData.canServe('quote', symbol)) {
+            if (!allowMockData) {
+                throw new Error('API configuration not available and mock data not allowed');
+            }
+            const mockData = generateMockCryptoData(symbol);
+            cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.MOCK_DURATION);
+            return mockData;
+        }
+
+        const { data, source } = await marketData.request('quote', symbol, { priority });
+        const price = data.price;
+
+        // The daily series is cached for a day, so this rarely costs a second request
+        let change = data.change === null ? 0 : data.change;
+        let changePercent = data.changePercent === null ? 0 : data.changePercent;
+        if (data.change === null) {
+            try {
+                const today = new Date().toISOString().slice(0, 10);
+                const history = await fetchPriceHistory(symbol, false, 'daily', priority);
+                const previous = history.series.filter(bar => bar.date < today).pop();
+                if (previous) {
+                    change = price - previous.close;
+                    changePercent = (change / previous.close) * 100;
+                }
+            } catch (historyError) {
+                console.warn(`Daily close unavailable for ${symbol}, showing no change:`, historyError.message);
+            }
+        }
+
+        const decimals = price < 1 ? 6 : 2;
+        const quote = {
+            symbol: SecurityManager.sanitizeInput(symbol.toUpperCase()),
+            price: parseFloat(price.toFixed(decimals)),
+            change: parseFloat(change.toFixed(decimals)),
+            changePercent: parseFloat(changePercent.toFixed(2)),
+            lastUpdated: new Date().toISOString(),
+            isMockData: false,
+            source
+        };
+
+        cacheManager.set(cacheKey, quote);
+        performanceMonitor.recordAPIResponseTime(performance.now() - startTime);
+        console.log(`✅ Crypto quote for ${symbol} loaded`);
+        return quote;
+
+    } catch (error) {
+        console.error(`❌ Error fetching crypto quote for ${symbol}:`, error);
+        performanceMonitor.recordError(error, 'crypto_fetch');
+
+        if (!allowMockData) {
+            throw error;
+        }
+
+        const mockData = generateMockCryptoData(symbol);
+        mockData.source = 'api_fallback';
+        mockData.errorReason = error.message;
+        cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.ERROR_DURATION);
+        return mockData;
+    }
+}
+
+/**
+ * Mock quote for a crypto pair, priced from the asset's approximate USD value
+ * converted into the quote currency
+ * @param {string} symbol - Crypto pair such as BTC-USD
+ * @returns {Object} Quote in the same shape as generateMockStockData
+ */
+function generateMockCryptoData(symbol) {
+    const pair = parseCryptoSymbol(symbol) || { asset: symbol, market: 'USD' };
+    const random = createSeededRandom(hashString(`${symbol}:${new Date().toISOString().slice(0, 13)}`));
+    const known = APP_CONSTANTS.CRYPTO.ASSETS[pair.asset];
+    const usdPrice = known ? known[1] : 0.5 + random() * 50;
+    const basePrice = convertAmount(usdPrice, 'USD', pair.market) || usdPrice;
+    const changePercent = (random() - 0.5) * 2 * APP_CONSTANTS.CRYPTO.MOCK_VOLATILITY * 100;
+    const change = basePrice - basePrice / (1 + changePercent / 100);
+    const decimals = basePrice < 1 ? 6 : 2;
+
+    return {
+        symbol: SecurityManager.sanitizeInput(symbol.toUpperCase()),
+        price: parseFloat(basePrice.toFixed(decimals)),
+        change: parseFloat(change.toFixed(decimals)),
+        changePercent: parseFloat(changePercent.toFixed(2)),
+        lastUpdated: new Date().toISOString(),
+        isMockData: true,
+        source: 'mock_generator'
+    };
+}
+
+/**
+ * Fetch daily or intraday price history from the configured market data providers
+ * Follows the same caching, failover and demo fallbacks as fetchStockData.
+ * @param {string} symbol - Stock symbol
+ * @param {boolean} allowMockData - Whether to return a synthetic series on failure
+ * @param {string} interval - 'daily' or an intraday interval such as '60min'
+ * @param {number} priority - Queue priority (APP_CONSTANTS.PROVIDERS.PRIORITY); series default to background work
+ * @param {boolean} useStale - Whether expired cached data may be returned while it refreshes in the background
+ * @returns {Promise<Object>} { symbol, interval, series: [{ date, open, high, low, close, volume }], isMockData, source }
+ * @throws {Error} When the request fails and mock data is not allowed
+ */
+async function fetchPriceHistory(symbol, allowMockData = true, interval = 'daily', priority = APP_CONSTANTS.PROVIDERS.PRIORITY.BACKGROUND, useStale = true) {
+    const cacheKey = `history_${interval}_${symbol}`;
+    const isIntraday = interval !== 'daily';
+
+    const mockHistory = (source) => ({
+        symbol: SecurityManager.sanitizeInput(symbol),
+        interval,
+        series: generateMockPriceHistory(symbol, isIntraday ? 7 : APP_CONSTANTS.HISTORY.BACKFILL_DAYS, interval),
+        lastUpdated: new Date().toISOString(),
+        isMockData: true,
+        source
+    });
+
+    try {
+        if (!SecurityManager.validateInput(symbol, 'stock_symbol')) {
+            throw new Error('Invalid stock symbol provided');
+        }
+        if (isIntraday && !['1min', '5min', '15min', '30min', '60min'].includes(interval)) {
+            throw new Error(`Unsupported interval: ${interval}`);
+        }
+
+        const cachedData = await readCache(cacheKey,
+            useStale ? () => fetchPriceHistory(symbol, false, interval, priority, false) : null);
+        if (cachedData) {
+            performanceMonitor.recordCacheHit();
+            return cachedData;
+        }
+        performanceMonitor.recordCacheMiss();
+
+        if (!marketData.canServe('history', symbol)) {
+            if (!allowMockData) {
+                throw new Error('API configuration not available and mock data not allowed');
+            }
+            const mockData = mockHistory('mock_generator');
+            cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.MOCK_DURATION);
+            return mockData;
+        }
+
+        const startTime = performance.now();
+        const { data: series, source } = await marketData.request('history', symbol, { args: [interval], priority });
+
+        const history = {
+            symbol: SecurityManager.sanitizeInput(symbol),
+            interval,
+            series,
+            lastUpdated: new Date().toISOString(),
+            isMockData: false,
+            source
+        };
+
+        // Kept for the daily or intraday TTL policy given to cacheManager
+        cacheManager.set(cacheKey, history);
+        performanceMonitor.recordAPIResponseTime(performance.now() - startTime);
+        console.log(`✅ ${interval} history for ${symbol} loaded (${series.length} bars)`);
+        return history;
+
+    } catch (error) {
+        console.error(`❌ Error fetching price history for ${symbol}:`, error);
+        performanceMonitor.recordError(error, 'history_fetch');
+
+        if (!allowMockData) {
+            throw error;
+        }
+
+        const mockData = mockHistory('api_fallback');
+        mockData.errorReason = error.message;
+        cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.ERROR_DURATION);
+        return mockData;
+    }
+}
+
+/**
+ * Generate a synthetic price series for demo mode and API fallbacks
+ * The walk is seeded by the symbol, so a symbol always gets the same history,
+ * and it ends at the loaded quote price so charts line up with the stock cards.
+ * @param {string} symbol - Stock symbol
+ * @param {number} days - Calendar days to cover
+ * @param {string} interval - 'daily' or an intraday interval such as '60min'
+ * @returns {Array<Object>} Bars in date order, weekdays only (regular session hours for intraday);
+ *   crypto pairs trade every day around the clock
+ */
+function generateMockPriceHistory(symbol, days = APP_CONSTANTS.HISTORY.BACKFILL_DAYS, interval = 'daily') {
+    const random = createSeededRandom(hashString(`${symbol}:${interval}`));
+    const isCrypto = !!parseCryptoSymbol(symbol);
+    const minutes = interval === 'daily' ? null : parseInt(interval, 10) || 60;
+    const sessionMinutes = isCrypto ? 24 * 60 : 390;
+    const dailyVolatility = isCrypto ? APP_CONSTANTS.CRYPTO.MOCK_VOLATILITY : 0.015;
+    // Intraday moves scale with the square root of the bars in a session
+    const volatility = minutes ? dailyVolatility / Math.sqrt(sessionMinutes / minutes) : dailyVolatility;
+    const bars = [];
+    const quote = AppState.stockData.get(symbol);
+    let close = quote && quote.price > 0
+        ? quote.price
+        : (isCrypto ? generateMockCryptoData(symbol) : generateMockStockData(symbol)).price;
+    const decimals = close < 1 ? 6 : 2;
+
+    // Bar times within a session, latest first since the walk runs backwards
+    const sessionTimes = [];
+    if (minutes) {
+        // Equity bars are stamped up to the 16:00 close; crypto bars cover the whole UTC day
+        const [latest, earliest] = isCrypto ? [24 * 60 - minutes, 0] : [16 * 60, 9 * 60 + 31];
+        for (let minute = latest; minute >= earliest; minute -= minutes) {
+            const hours = String(Math.floor(minute / 60)).padStart(2, '0');
+            sessionTimes.push(`${hours}:${String(minute % 60).padStart(2, '0')}:00`);
+        }
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    for (let offset = 0; offset < days; offset++) {
+        const date = shiftDate(today, -offset);
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        if (!isCrypto && (weekday === 0 || weekday === 6)) continue;
+
+        (minutes ? sessionTimes.map(time => `${date} ${time}`) : [date]).forEach(timestamp => {
+            // Part of each move comes from a market factor shared by every symbol,
+            // so demo holdings and the demo benchmark move together
+            const market = createSeededRandom(hashString(`market:${timestamp}`))();
+            const move = ((market - 0.5) * 0.7 + (random() - 0.5) * 0.7) * 2 * volatility;
+            const open = close / (1 + move);
+            bars.push({
+                date: timestamp,
+                open: parseFloat(open.toFixed(decimals)),
+                high: parseFloat((Math.max(open, close) * (1 + random() * volatility / 2)).toFixed(decimals)),
+                low: parseFloat((Math.min(open, close) * (1 - random() * volatility / 2)).toFixed(decimals)),
+                close: parseFloat(close.toFixed(decimals)),
+                volume: Math.round((1000000 + random() * 9000000) / (minutes ? sessionMinutes / minutes : 1))
+            });
+
+            // Walk backwards: the previous close is where this bar's move started
+            close = open;
+        });
+    }
+
+    return bars.reverse();
+}
+
+/**
+ * Fetch a symbol's dividend history from the configured market data providers
+ * When no dividends are listed, the company overview's annual dividend per share
+ * is used for the forward yield instead.
+ * @param {string} symbol - Stock symbol
+ * @param {boolean} allowMockData - Whether to return synthetic dividends on failure
+ * @param {number} priority - Queue priority (APP_CONSTANTS.PROVIDERS.PRIORITY)
+ * @param {boolean} useStale - Whether expired cached data may be returned while it refreshes in the background
+ * @returns {Promise<Object>} { symbol, dividends: [{ exDate, paymentDate, declarationDate, amount }], annualDividend, isMockData, source }
+ * @throws {Error} When the request fails and mock data is not allowed
  */
-async function fetchStockData(symbol, allowMockData = true) {
-    const startTime = performance.now();
-    const cacheKey = `stock_${symbol}`;
-    
-    console.log(`🔍 Fetching stock data for ${symbol}, allowMockData: ${allowMockData}`);
-    console.log(`📊 Configuration state:`, {
-        isConfigLoaded: AppState.isConfigLoaded,
-        hasConfigLoader: !!AppState.configLoader,
-        hasAlphaVantageKey: !!API_CONFIG.ALPHA_VANTAGE_KEY,
-        isDemoMode: AppState.configLoader && AppState.configLoader.isDemoMode()
+async function fetchDividendData(symbol, allowMockData = true, priority = APP_CONSTANTS.PROVIDERS.PRIORITY.BACKGROUND, useStale = true) {
+    const cacheKey = `dividends_${symbol}`;
+
+    const mockDividends = (source) => ({
+        symbol: SecurityManager.sanitizeInput(symbol),
+        dividends: generateMockDividends(symbol),
+        annualDividend: null,
+        lastUpdated: new Date().toISOString(),
+        isMockData: true,
+        source
     });
-    
+
     try {
-        // Input validation and sanitization
         if (!SecurityManager.validateInput(symbol, 'stock_symbol')) {
             throw new Error('Invalid stock symbol provided');
         }
-        
-        // Performance optimization: Check cache first to avoid unnecessary API calls
-        // This reduces API usage by up to 70% for frequently requested stocks
-        const cachedData = cacheManager.get(cacheKey);
+
+        const cachedData = await readCache(cacheKey,
+            useStale ? () => fetchDividendData(symbol, false, priority, false) : null,
+            dividends => applyRefreshedData(AppState.dividendData, symbol, dividends));
         if (cachedData) {
             performanceMonitor.recordCacheHit();
-            console.log(`📈 Cache hit for ${symbol} - improved performance`);
             return cachedData;
         }
-        
-        // Record performance metrics for monitoring and optimization
         performanceMonitor.recordCacheMiss();
-        performanceMonitor.recordAPICall();
-        
-        // Security check: Ensure API configuration is loaded and valid
-        // Prevents exposing API endpoints without proper authentication
-        if (!AppState.isConfigLoaded || !API_CONFIG.ALPHA_VANTAGE_KEY) {
-            console.warn('API configuration not loaded');
+
+        if (!marketData.canServe('dividends', symbol)) {
             if (!allowMockData) {
                 throw new Error('API configuration not available and mock data not allowed');
             }
-            const mockData = generateMockStockData(symbol);
+            const mockData = mockDividends('mock_generator');
             cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.MOCK_DURATION);
             return mockData;
         }
-        
-        // Use demo mode if configured
-        if (AppState.configLoader && AppState.configLoader.isDemoMode()) {
-            console.log('Running in demo mode, using mock data');
-            const mockData = generateMockStockData(symbol);
-            cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.MOCK_DURATION);
-            return mockData;
+
+        const { data, source } = await marketData.request('dividends', symbol, { priority });
+        const dividends = (Array.isArray(data) ? data : [])
+            .filter(dividend => dividend.exDate && dividend.amount > 0)
+            .sort((a, b) => a.exDate.localeCompare(b.exDate));
+
+        let annualDividend = null;
+        if (dividends.length === 0) {
+            const overview = await fetchCompanyOverview(symbol, false, priority);
+            annualDividend = overview.dividendPerShare;
         }
-        
-        // Using Alpha Vantage API with securely loaded API key
-        const response = await fetch(
-            `${API_CONFIG.ALPHA_VANTAGE_URL}?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${API_CONFIG.ALPHA_VANTAGE_KEY}`,
-            {
-                signal: AbortSignal.timeout(APP_CONSTANTS.API.TIMEOUT),
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'Personal-Finance-Tracker/1.0'
-                }
-            }
-        );
-        
-        if (!response.ok) {
-            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+
+        const dividendInfo = {
+            symbol: SecurityManager.sanitizeInput(symbol),
+            dividends,
+            annualDividend,
+            lastUpdated: new Date().toISOString(),
+            isMockData: false,
+            source
+        };
+
+        cacheManager.set(cacheKey, dividendInfo);
+        console.log(`✅ Dividend history for ${symbol} loaded (${dividends.length} payments)`);
+        return dividendInfo;
+
+    } catch (error) {
+        console.error(`❌ Error fetching dividends for ${symbol}:`, error);
+        performanceMonitor.recordError(error, 'dividend_fetch');
+
+        if (!allowMockData) {
+            throw error;
         }
-        
-        const data = await response.json();
-        
-        // Check if data is available and valid
-        if (data['Global Quote'] && Object.keys(data['Global Quote']).length > 0) {
-            const quote = data['Global Quote'];
-            const stockInfo = {
-                symbol: SecurityManager.sanitizeInput(quote['01. symbol']),
-                price: parseFloat(quote['05. price']) || 0,
-                change: parseFloat(quote['09. change']) || 0,
-                changePercent: parseFloat(quote['10. change percent'].replace('%', '')) || 0,
-                lastUpdated: new Date().toISOString()
-            };
-            
-            // Validate parsed data
-            if (stockInfo.price <= 0) {
-                throw new Error('Invalid price data received');
-            }
-            
-            // Cache the result for performance
-            cacheManager.set(cacheKey, stockInfo, APP_CONSTANTS.CACHE.STOCK_DURATION);
-            
-            const fetchTime = performance.now() - startTime;
-            performanceMonitor.recordAPIResponseTime(fetchTime);
-            
-            console.log(`✅ Stock data for ${symbol} loaded in ${fetchTime.toFixed(2)}ms`);
-            return stockInfo;
-            
-        } else {
-            // If API limit reached or invalid symbol
-            console.warn('API limit reached or invalid symbol');
+
+        const mockData = mockDividends('api_fallback');
+        mockData.errorReason = error.message;
+        cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.ERROR_DURATION);
+        return mockData;
+    }
+}
+
+/**
+ * Generate a synthetic dividend history for demo mode and API fallbacks
+ * Known payers get a realistic yield and schedule; other symbols are seeded so
+ * roughly half of them pay. Includes the next declared but unpaid dividend.
+ * @param {string} symbol - Stock symbol
+ * @returns {Array<Object>} Dividends in ex-date order
+ */
+function generateMockDividends(symbol) {
+    // Annual yield and payments per year
+    const payers = {
+        'AAPL': [0.005, 4], 'MSFT': [0.008, 4], 'GOOGL': [0.005, 4], 'META': [0.004, 4],
+        'CRM': [0.006, 4], 'JPM': [0.023, 4], 'V': [0.007, 4], 'JNJ': [0.03, 4], 'XOM': [0.034, 4],
+        'SPY': [0.013, 4], 'VOO': [0.013, 4], 'VTI': [0.014, 4], 'QQQ': [0.006, 4],
+        'BND': [0.035, 12], 'AGG': [0.034, 12]
+    };
+    const nonPayers = ['AMZN', 'TSLA', 'NFLX', 'AMD', 'NVDA', 'GLD'];
+    const random = createSeededRandom(hashString(`dividends:${symbol}`));
+
+    let profile = payers[symbol];
+    if (!profile && !nonPayers.includes(symbol)) {
+        profile = random() < 0.5 ? [0.01 + random() * 0.03, 4] : null;
+    }
+    if (!profile) {
+        return [];
+    }
+
+    const [yieldRate, frequency] = profile;
+    const quote = AppState.stockData.get(symbol);
+    const price = quote && quote.price > 0 ? quote.price : generateMockStockData(symbol).price;
+    const latestAmount = (price * yieldRate) / frequency;
+    const stepDays = Math.round(365 / frequency);
+    const today = new Date().toISOString().slice(0, 10);
+
+    // The next ex-date falls somewhere in the coming cycle; history runs back two years from it
+    let exDate = shiftDate(today, Math.floor(random() * stepDays) + 1);
+    const dividends = [];
+    for (let i = 0; i <= frequency * 2; i++) {
+        // Payers raise their dividend about 5% a year
+        const amount = latestAmount / Math.pow(1.05, Math.floor(i / frequency));
+        dividends.push({
+            exDate,
+            paymentDate: shiftDate(exDate, 14),
+            declarationDate: shiftDate(exDate, -21),
+            amount: parseFloat(amount.toFixed(4))
+        });
+        exDate = shiftDate(exDate, -stepDays);
+    }
+
+    // A dividend is only known once it has been declared
+    return dividends.reverse().filter(dividend => dividend.declarationDate <= today);
+}
+
+/**
+ * Fetch company fundamentals from the configured market data providers
+ * @param {string} symbol - Stock symbol
+ * @param {boolean} allowMockData - Whether to return a synthetic overview on failure
+ * @param {number} priority - Queue priority (APP_CONSTANTS.PROVIDERS.PRIORITY)
+ * @param {boolean} useStale - Whether expired cached data may be returned while it refreshes in the background
+ * @returns {Promise<Object>} { symbol, name, description, exchange, currency, sector, industry, marketCap, peRatio, eps,
+ *   dividendPerShare, beta, week52High, week52Low, isMockData, source }; unreported figures are null
+ * @throws {Error} When the request fails and mock data is not allowed
+ */
+async function fetchCompanyOverview(symbol, allowMockData = true, priority = APP_CONSTANTS.PROVIDERS.PRIORITY.USER, useStale = true) {
+    const cacheKey = `overview_${symbol}`;
+
+    try {
+        if (!SecurityManager.validateInput(symbol, 'stock_symbol')) {
+            throw new Error('Invalid stock symbol provided');
+        }
+
+        const cachedData = await readCache(cacheKey,
+            useStale ? () => fetchCompanyOverview(symbol, false, priority, false) : null);
+        if (cachedData) {
+            performanceMonitor.recordCacheHit();
+            return cachedData;
+        }
+        performanceMonitor.recordCacheMiss();
+
+        if (!marketData.canServe('overview', symbol)) {
             if (!allowMockData) {
-                throw new Error('Invalid stock symbol or API limit reached');
+                throw new Error('API configuration not available and mock data not allowed');
             }
-            const mockData = generateMockStockData(symbol);
-            mockData.isMockData = true;
-            mockData.source = 'api_fallback';
+            const mockData = generateMockOverview(symbol);
             cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.MOCK_DURATION);
             return mockData;
         }
-        
+
+        const { data, source } = await marketData.request('overview', symbol, { priority });
+        const overview = {
+            ...data,
+            symbol: SecurityManager.sanitizeInput(symbol),
+            lastUpdated: new Date().toISOString(),
+            isMockData: false,
+            source
+        };
+
+        cacheManager.set(cacheKey, overview);
+        console.log(`✅ Company overview for ${symbol} loaded`);
+        return overview;
+
     } catch (error) {
-        console.error(`❌ Error fetching stock data for ${symbol}:`, error);
-        performanceMonitor.recordError(error, 'stock_fetch');
-        
-        // If mock data is not allowed, re-throw the error
+        console.error(`❌ Error fetching company overview for ${symbol}:`, error);
+        performanceMonitor.recordError(error, 'overview_fetch');
+
         if (!allowMockData) {
             throw error;
         }
-        
-        // Return mock data as fallback with clear indication
-        const mockData = generateMockStockData(symbol);
-        mockData.isMockData = true;
+
+        const mockData = generateMockOverview(symbol);
+        mockData.source = 'api_fallback';
         mockData.errorReason = error.message;
-        
-        // Cache mock data for shorter duration
         cacheManager.set(cacheKey, mockData, APP_CONSTANTS.CACHE.ERROR_DURATION);
-        
         return mockData;
     }
 }
 
 /**
- * Enhanced Mock Data Generator
- * Creates realistic test data for development and fallback scenarios
+ * Generate synthetic company fundamentals for demo mode and API fallbacks
+ * Figures are seeded by symbol and scaled to the current (or mock) price.
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} Overview in the shape returned by fetchCompanyOverview()
  */
-function generateMockStockData(symbol) {
-    console.log(`🎯 Generating mock data for ${symbol}`);
-    
-    // Base prices for common stocks to make data more realistic
-    const basePrices = {
-        'AAPL': 175, 'GOOGL': 140, 'MSFT': 350, 'AMZN': 130, 'TSLA': 240,
-        'NVDA': 450, 'META': 300, 'NFLX': 400, 'AMD': 110, 'CRM': 200
-    };
-    
-    const basePrice = basePrices[symbol] || (Math.random() * 400 + 50);
-    const volatility = 0.05; // 5% daily volatility
-    const change = (Math.random() - 0.5) * 2 * basePrice * volatility;
-    const changePercent = (change / basePrice) * 100;
-    
+function generateMockOverview(symbol) {
+    const random = createSeededRandom(hashString(`overview:${symbol}`));
+    const profile = getSecurityProfile(symbol);
+    const quote = AppState.stockData.get(symbol);
+    const price = quote && quote.price > 0 ? quote.price : generateMockStockData(symbol).price;
+    const isFund = profile.assetClass !== 'Stock';
+
+    const peRatio = isFund ? null : parseFloat((12 + random() * 38).toFixed(2));
+    const forwardDividend = DividendSchedule.forwardAnnual(generateMockDividends(symbol), new Date().toISOString().slice(0, 10));
+    const lowFactor = 0.6 + random() * 0.3;
+    const highFactor = 1.02 + random() * 0.25;
+
     return {
         symbol: SecurityManager.sanitizeInput(symbol),
-        price: parseFloat(basePrice.toFixed(2)),
-        change: parseFloat(change.toFixed(2)),
-        changePercent: parseFloat(changePercent.toFixed(2)),
+        name: `${symbol} ${isFund ? 'Fund' : 'Corporation'}`,
+        description: `Demo overview for ${symbol}. Figures are generated for illustration and do not describe the real ${isFund ? 'fund' : 'company'}.`,
+        exchange: 'NASDAQ',
+        currency: 'USD',
+        sector: profile.sector,
+        industry: isFund ? profile.assetClass : `${profile.sector} Services`,
+        marketCap: Math.round(price * (2e8 + random() * 3e9)),
+        peRatio,
+        eps: peRatio ? parseFloat((price / peRatio).toFixed(2)) : null,
+        dividendPerShare: forwardDividend ? parseFloat(forwardDividend.toFixed(4)) : null,
+        beta: isFund ? 1 : parseFloat((0.6 + random() * 1.2).toFixed(2)),
+        week52High: parseFloat(Math.max(price, price * highFactor).toFixed(2)),
+        week52Low: parseFloat(Math.min(price, price * lowFactor).toFixed(2)),
         lastUpdated: new Date().toISOString(),
         isMockData: true,
         source: 'mock_generator'
     };
 }
 
+/**
+ * Search listed securities by ticker or company name with the configured market data providers
+ * Live results are kept in localStorage so repeated searches work offline and save quota.
+ * @param {string} keywords - Partial ticker or company name
+ * @param {boolean} allowMockData - Whether to search the demo list on failure
+ * @param {number} priority - Queue priority (APP_CONSTANTS.PROVIDERS.PRIORITY)
+ * @returns {Promise<Object>} { query, results: [{ symbol, name, type, exchange, region, currency, matchScore }], isMockData, source }
+ * @throws {Error} When the request fails and mock data is not allowed
+ */
+async function searchSymbols(keywords, allowMockData = true, priority = APP_CONSTANTS.PROVIDERS.PRIORITY.USER) {
+    const query = SecurityManager.sanitizeInput(keywords).trim().toUpperCase();
+
+    const mockSearch = (source) => ({
+        query,
+        results: generateMockSymbolSearch(query),
+        isMockData: true,
+        source
+    });
+
+    try {
+        if (query.length < APP_CONSTANTS.SEARCH.MIN_QUERY_LENGTH) {
+            return { query, results: [], isMockData: false, source: 'empty_query' };
+        }
+
+        const stored = loadSymbolSearches()[query];
+        if (stored && Date.now() - stored.timestamp < APP_CONSTANTS.CACHE.SEARCH_DURATION) {
+            performanceMonitor.recordCacheHit();
+            return { query, results: stored.results, isMockData: false, source: 'local_cache' };
+        }
+        performanceMonitor.recordCacheMiss();
+
+        if (!marketData.canServe('search', query)) {
+            if (!allowMockData) {
+                throw new Error('API configuration not available and mock data not allowed');
+            }
+            return mockSearch('mock_generator');
+        }
+
+        // Listings on exchanges the tracker does not know are left out
+        const { data, source } = await marketData.request('search', query, { priority });
+        const results = data
+            .filter(result => SecurityManager.validateStockSymbol(result.symbol))
+            .slice(0, APP_CONSTANTS.SEARCH.MAX_RESULTS);
+
+        saveSymbolSearch(query, results);
+        console.log(`✅ Symbol search for "${query}" returned ${results.length} matches`);
+        return { query, results, isMockData: false, source };
+
+    } catch (error) {
+        console.error(`❌ Error searching symbols for "${query}":`, error);
+        performanceMonitor.recordError(error, 'symbol_search');
+
+        if (!allowMockData) {
+            throw error;
+        }
+
+        const mockData = mockSearch('api_fallback');
+        mockData.errorReason = error.message;
+        return mockData;
+    }
+}
+
+/**
+ * Exchange of a search result, from the symbol suffix or the region
+ * @param {string} symbol - Alpha Vantage symbol, e.g. 'TSCO.LON'
+ * @param {string} region - Region reported by the search provider
+ * @returns {string} Exchange or market name
+ */
+function inferExchange(symbol, region) {
+    const instrument = Instrument.parse(symbol);
+    if (instrument && instrument.exchange !== 'US') {
+        return instrument.exchangeName;
+    }
+    return region === 'United States' ? 'US' : region;
+}
+
+/**
+ * Search a fixed list of well-known listings for demo mode and API fallbacks
+ * @param {string} query - Upper-case search text
+ * @returns {Array<Object>} Results in the shape returned by searchSymbols()
+ */
+function generateMockSymbolSearch(query) {
+    const listings = [
+        ['AAPL', 'Apple Inc', 'Equity'], ['MSFT', 'Microsoft Corporation', 'Equity'],
+        ['GOOGL', 'Alphabet Inc - Class A', 'Equity'], ['AMZN', 'Amazon.com Inc', 'Equity'],
+        ['TSLA', 'Tesla Inc', 'Equity'], ['NVDA', 'NVIDIA Corporation', 'Equity'],
+        ['META', 'Meta Platforms Inc', 'Equity'], ['NFLX', 'Netflix Inc', 'Equity'],
+        ['AMD', 'Advanced Micro Devices Inc', 'Equity'], ['CRM', 'Salesforce Inc', 'Equity'],
+        ['JPM', 'JPMorgan Chase & Co', 'Equity'], ['V', 'Visa Inc - Class A', 'Equity'],
+        ['JNJ', 'Johnson & Johnson', 'Equity'], ['XOM', 'Exxon Mobil Corporation', 'Equity'],
+        ['SPY', 'SPDR S&P 500 ETF Trust', 'ETF'], ['VOO', 'Vanguard S&P 500 ETF', 'ETF'],
+        ['VTI', 'Vanguard Total Stock Market ETF', 'ETF'], ['QQQ', 'Invesco QQQ Trust', 'ETF'],
+        ['BND', 'Vanguard Total Bond Market ETF', 'ETF'], ['AGG', 'iShares Core US Aggregate Bond ETF', 'ETF'],
+        ['GLD', 'SPDR Gold Shares', 'ETF'],
+        ['TSCO.LON', 'Tesco PLC', 'Equity', 'United Kingdom', 'GBP'],
+        ['SHOP.TRT', 'Shopify Inc', 'Equity', 'Toronto', 'CAD'],
+        ['SAP.DEX', 'SAP SE', 'Equity', 'XETRA', 'EUR']
+    ];
+
+    return matchListings(listings.map(([symbol, name, type, region = 'United States', currency = 'USD']) =>
+        ({ symbol, name, type, exchange: inferExchange(symbol, region), region, currency })), query);
+}
+
+/**
+ * Search a list of listings without a search service, for demo data and fixtures
+ * @param {Array<Object>} listings - { symbol, name, type, exchange, region, currency }
+ * @param {string} query - Upper-case search text
+ * @returns {Array<Object>} Matching listings with a matchScore, best first
+ */
+function matchListings(listings, query) {
+    return listings
+        .map(listing => {
+            // Rough stand-in for a search service's score: ticker prefixes first, then name matches
+            const symbol = String(listing.symbol || '').toUpperCase();
+            let matchScore = 0;
+            if (symbol === query) matchScore = 1;
+            else if (symbol.startsWith(query)) matchScore = 0.8;
+            else if (String(listing.name || '').toUpperCase().includes(query)) matchScore = 0.5;
+            return { ...listing, symbol, matchScore };
+        })
+        .filter(result => result.matchScore > 0)
+        .sort((a, b) => b.matchScore - a.matchScore || a.symbol.localeCompare(b.symbol))
+        .slice(0, APP_CONSTANTS.SEARCH.MAX_RESULTS);
+}
+
 /**
  * Enhanced Portfolio Display System
  * Implements comprehensive UI updates with performance monitoring
@@ -1419,9 +9542,14 @@ function updatePortfolioDisplay() {
         const totalValueEl = document.getElementById('totalValue');
         const totalChangeEl = document.getElementById('totalChange');
         const stockCountEl = document.getElementById('stockCount');
+        const totalGainEl = document.getElementById('totalGain');
+        
+        const isWatchlist = isWatchlistActive();
         
         // Clear existing content
         DOMUtils.setContent(stockList, '');
+        updateLedgerDisplay();
+        document.getElementById('portfolio')?.classList.toggle('watchlist-mode', isWatchlist);
         
         // Handle empty portfolio state
         if (AppState.portfolio.length === 0) {
@@ -1429,50 +9557,104 @@ function updatePortfolioDisplay() {
             emptyState.className = 'empty-state';
             emptyState.innerHTML = `
                 <div class="empty-icon">📊</div>
-                <h3>No stocks in portfolio</h3>
-                <p>Add some stocks to get started tracking your investments!</p>
+                <h3>No stocks in ${isWatchlist ? 'watchlist' : 'portfolio'}</h3>
+                <p>${isWatchlist
+                    ? 'Add symbols to follow their quotes without counting them in your totals.'
+                    : 'Add some stocks to get started tracking your investments!'}</p>
                 <button onclick="document.getElementById('stockSymbol').focus()" class="btn btn-primary">
                     Add Your First Stock
                 </button>
             `;
             stockList.appendChild(emptyState);
             
-            DOMUtils.setContent(totalValueEl, '$0.00');
-            DOMUtils.setContent(totalChangeEl, '$0.00');
+            DOMUtils.setContent(totalValueEl, formatCurrency(0));
+            DOMUtils.setContent(totalChangeEl, formatCurrency(0));
+            DOMUtils.setContent(totalGainEl, formatCurrency(0));
             DOMUtils.setContent(stockCountEl, '0');
+            recordPortfolioSnapshot(0, true);
+            updatePerformanceDisplay();
+            generatePortfolioChart();
+            renderTargetAllocation();
+            updateDividendDisplay();
+            updateMarketStatusDisplay();
             return;
         }
         
         // Calculate portfolio metrics
         let totalValue = 0;
         let totalChange = 0;
+        let totalCostBasis = 0;
+        let totalUnrealizedPL = 0;
         let validStocks = 0;
         let mockDataCount = 0;
+        const unconverted = [];
+        const baseCurrency = AppState.settings.baseCurrency;
         
-        AppState.portfolio.forEach(symbol => {
-            const stock = AppState.stockData.get(symbol);
+        AppState.portfolio.forEach(holding => {
+            const stock = AppState.stockData.get(holding.symbol);
             if (stock && typeof stock.price === 'number' && stock.price > 0) {
-                totalValue += stock.price;
-                totalChange += stock.change || 0;
+                // Fall back to the trade currency when no rate is loaded yet
+                let metrics = calculatePositionMetrics(holding, stock, baseCurrency);
+                if (metrics) {
+                    totalValue += metrics.marketValue;
+                    totalChange += metrics.dayChange;
+                    if (metrics.costBasis !== null) {
+                        totalCostBasis += metrics.costBasis;
+                        totalUnrealizedPL += metrics.unrealizedPL;
+                    }
+                } else {
+                    unconverted.push(holding.symbol);
+                    metrics = calculatePositionMetrics(holding, stock);
+                }
                 validStocks++;
                 
                 if (stock.isMockData) {
                     mockDataCount++;
                 }
                 
-                const stockCard = createStockCard(stock);
+                const stockCard = createStockCard(stock, holding, isWatchlist ? null : metrics);
                 stockList.appendChild(stockCard);
             } else {
-                console.warn(`Invalid or missing data for ${symbol}`);
+                console.warn(`Invalid or missing data for ${holding.symbol}`);
             }
         });
         
+        // Sparklines draw as their daily series arrive, without holding up the totals
+        renderSparklines();
+        
+        // Watchlists show quotes only and are excluded from value totals
+        if (isWatchlist) {
+            DOMUtils.setContent(totalValueEl, '—');
+            DOMUtils.setContent(totalChangeEl, '—');
+            DOMUtils.setContent(totalGainEl, '—');
+            totalChangeEl.className = 'portfolio-change';
+            totalGainEl.className = 'portfolio-change';
+            DOMUtils.setContent(stockCountEl, validStocks.toString());
+            if (mockDataCount > 0) {
+                addDataSourceIndicator(mockDataCount, validStocks);
+            }
+            return;
+        }
+        
         // Update portfolio summary with enhanced formatting
+        const totalGainPercent = totalCostBasis > 0 ? (totalUnrealizedPL / totalCostBasis) * 100 : 0;
         DOMUtils.setContent(totalValueEl, formatCurrency(totalValue));
+        totalValueEl.title = unconverted.length > 0
+            ? `Excludes ${unconverted.join(', ')}: no ${baseCurrency} exchange rate loaded`
+            : `Valued in ${baseCurrency}`;
         DOMUtils.setContent(totalChangeEl, formatCurrency(totalChange, true));
         totalChangeEl.className = `portfolio-change ${totalChange >= 0 ? 'positive' : 'negative'}`;
+        DOMUtils.setContent(totalGainEl, `${formatCurrency(totalUnrealizedPL, true)} (${formatPercent(totalGainPercent)})`);
+        totalGainEl.className = `portfolio-change ${totalUnrealizedPL >= 0 ? 'positive' : 'negative'}`;
         DOMUtils.setContent(stockCountEl, validStocks.toString());
         
+        recordPortfolioSnapshot(totalValue, unconverted.length === 0 && validStocks === AppState.portfolio.length, mockDataCount > 0);
+        updatePerformanceDisplay();
+        generatePortfolioChart();
+        renderTargetAllocation();
+        updateDividendDisplay();
+        updateMarketStatusDisplay();
+        
         // Add data source indicator if using mock data
         if (mockDataCount > 0) {
             addDataSourceIndicator(mockDataCount, validStocks);
@@ -1490,17 +9672,108 @@ function updatePortfolioDisplay() {
     }
 }
 
-function createStockCard(stock) {
+/**
+ * Build a stock card; watchlist cards (no metrics) show the quote only
+ * @param {Object} stock - Latest quote
+ * @param {Object} holding - Holding for the symbol
+ * @param {Object|null} metrics - Position metrics, or null for watchlists
+ * @returns {HTMLElement} Card element
+ */
+function createStockCard(stock, holding, metrics) {
     const card = document.createElement('div');
     card.className = 'stock-card';
-    card.innerHTML = `
+    card.tabIndex = 0;
+
+    // Crypto pairs have no company fundamentals, so their cards open the price chart
+    const isCrypto = !!parseCryptoSymbol(stock.symbol);
+    const openDetails = () => isCrypto ? openPriceChart(stock.symbol) : openCompanyDetails(stock.symbol);
+    card.title = isCrypto ? `Price history for ${stock.symbol}` : `Company details for ${stock.symbol}`;
+
+    // Buttons and the sparkline keep their own actions
+    card.addEventListener('click', (e) => {
+        if (!e.target.closest('button, canvas')) {
+            openDetails();
+        }
+    });
+    card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target === card) {
+            openDetails();
+        }
+    });
+
+    const yields = calculateDividendYields(stock.symbol, stock.price);
+    const instrument = holding.instrument || Instrument.parse(stock.symbol);
+    const assetClass = instrument ? instrument.assetClass : getSecurityProfile(stock.symbol).assetClass;
+    const quoteCurrency = instrument ? instrument.currency : holding.currency;
+    const listing = holding.security && holding.security.name
+        ? [holding.security.name, holding.security.exchange]
+        : [instrument && !['US', 'CRYPTO'].includes(instrument.exchange) ? instrument.exchangeName : null];
+    const quoteHTML = `
         <div class="stock-header">
             <span class="stock-symbol">${stock.symbol}</span>
-            <button class="remove-btn" onclick="removeStock('${stock.symbol}')">×</button>
+            <span class="asset-badge ${isCrypto ? 'crypto' : ''}">${SecurityManager.encodeForHTML(assetClass)}</span>
+            <button class="chart-btn" onclick="openPriceChart('${stock.symbol}')" title="Price history"><i class="fas fa-chart-line"></i></button>
+            <button class="remove-btn" onclick="removeStock('${stock.symbol}')" title="${metrics ? 'Sell position' : 'Remove from watchlist'}">×</button>
+        </div>
+        ${listing.some(Boolean) ? `
+        <div class="stock-name">${SecurityManager.encodeForHTML(listing.filter(Boolean).join(' · '))}</div>` : ''}
+        <div class="stock-price">${formatPrice(stock.price, false, quoteCurrency)}</div>
+        <div class="stock-change ${stock.change >= 0 ? 'positive' : 'negative'}"${isCrypto ? ' title="Change since 00:00 UTC; crypto trades around the clock"' : ''}>
+            ${formatPrice(stock.change, true, quoteCurrency)} (${stock.changePercent.toFixed(2)}%)${isCrypto ? ' 24h' : ''}
         </div>
-        <div class="stock-price">$${stock.price.toFixed(2)}</div>
-        <div class="stock-change ${stock.change >= 0 ? 'positive' : 'negative'}">
-            ${stock.change >= 0 ? '+' : ''}$${stock.change.toFixed(2)} (${stock.changePercent.toFixed(2)}%)
+        ${stock.staleAsOf ? `
+        <div class="stale-note" title="Refreshing this quote failed; showing the last one loaded">
+            <i class="fas fa-clock"></i> Stale as of ${new Date(stock.staleAsOf).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+        </div>` : ''}
+        ${yields ? `
+        <div class="dividend-yield">${yields.trailing > 0 || yields.forward > 0
+            ? `Yield ${yields.trailing.toFixed(2)}% TTM · ${yields.forward.toFixed(2)}% fwd`
+            : 'No dividend'}</div>` : ''}
+        <canvas class="sparkline" data-symbol="${stock.symbol}" onclick="openPriceChart('${stock.symbol}')"></canvas>
+    `;
+
+    if (!metrics) {
+        card.innerHTML = quoteHTML;
+        return card;
+    }
+
+    const plClass = metrics.unrealizedPL === null ? '' : (metrics.unrealizedPL >= 0 ? 'positive' : 'negative');
+    card.innerHTML = `
+        ${quoteHTML}
+        <div class="target-drift" data-symbol="${stock.symbol}"></div>
+        <div class="position-details">
+            <div class="position-row">
+                <span>${isCrypto ? 'Units' : 'Shares'}</span>
+                <span>${formatQuantity(holding.quantity)}</span>
+            </div>
+            <div class="position-row">
+                <span>Avg Cost</span>
+                <span>${holding.averageCost !== null ? formatPrice(holding.averageCost, false, holding.currency) : 'N/A'}</span>
+            </div>
+            <div class="position-row">
+                <span>Tax Lots</span>
+                <span>${holding.lots ? holding.lots.length : 1}</span>
+            </div>
+            <div class="position-row">
+                <span>Market Value</span>
+                <span>${formatCurrency(metrics.marketValue, false, metrics.currency)}</span>
+            </div>
+            <div class="position-row">
+                <span>Unrealized P/L</span>
+                <span class="${plClass}">${metrics.unrealizedPL !== null
+                    ? `${formatCurrency(metrics.unrealizedPL, true, metrics.currency)} (${formatPercent(metrics.unrealizedPLPercent)})`
+                    : 'N/A'}</span>
+            </div>
+            ${holding.dividends ? `
+            <div class="position-row">
+                <span>Dividends Received</span>
+                <span>${formatCurrency(holding.dividends, false, holding.currency)}</span>
+            </div>` : ''}
+            ${holding.purchaseDate ? `
+            <div class="position-row">
+                <span>First Purchased</span>
+                <span>${new Date(holding.purchaseDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}</span>
+            </div>` : ''}
         </div>
     `;
     return card;
@@ -1516,21 +9789,37 @@ function filterStocks() {
     });
 }
 
+/**
+ * Read a base-currency metric for sorting, treating missing values as zero
+ * @param {Object} holding - Holding
+ * @param {Object} stock - Latest quote
+ * @param {string} field - Metric name
+ * @returns {number} Metric value
+ */
+function sortableMetric(holding, stock, field) {
+    const metrics = calculatePositionMetrics(holding, stock, AppState.settings.baseCurrency);
+    return metrics && metrics[field] !== null ? metrics[field] : 0;
+}
+
 function sortStocks() {
     const sortBy = document.getElementById('sortOptions').value;
     const sortedPortfolio = [...AppState.portfolio].sort((a, b) => {
-        const stockA = AppState.stockData.get(a);
-        const stockB = AppState.stockData.get(b);
+        const stockA = AppState.stockData.get(a.symbol);
+        const stockB = AppState.stockData.get(b.symbol);
         
         if (!stockA || !stockB) return 0;
         
         switch (sortBy) {
             case 'symbol':
-                return a.localeCompare(b);
+                return a.symbol.localeCompare(b.symbol);
             case 'price':
                 return stockB.price - stockA.price;
             case 'change':
                 return stockB.change - stockA.change;
+            case 'value':
+                return sortableMetric(b, stockB, 'marketValue') - sortableMetric(a, stockA, 'marketValue');
+            case 'gain':
+                return sortableMetric(b, stockB, 'unrealizedPL') - sortableMetric(a, stockA, 'unrealizedPL');
             default:
                 return 0;
         }
@@ -1547,33 +9836,52 @@ async function loadExchangeRates() {
     // Check if configuration is loaded - exchange rate API doesn't require key for basic usage
     if (!AppState.isConfigLoaded || !API_CONFIG.EXCHANGE_RATE_URL) {
         console.log('Using mock exchange rate data');
-        AppState.exchangeRates = generateMockExchangeRates();
-        updateExchangeRatesDisplay();
+        applyExchangeRates({ rates: generateMockExchangeRates(), lastUpdated: new Date().toISOString(), source: 'mock_generator' });
         showLoading(false);
         return;
     }
     
     try {
-        const response = await fetch(`${API_CONFIG.EXCHANGE_RATE_URL}/USD`);
-        
-        if (!response.ok) {
-            throw new Error('Failed to fetch exchange rates');
-        }
-        
-        const data = await response.json();
-        AppState.exchangeRates = data.rates;
-        
-        updateExchangeRatesDisplay();
+        // Saved rates are shown at once when they have expired, and replaced once fresh ones arrive
+        const cachedRates = await readCache('rates_USD', fetchExchangeRates, applyExchangeRates);
+        applyExchangeRates(cachedRates || await fetchExchangeRates());
     } catch (error) {
         console.error('Error fetching exchange rates:', error);
         // Use mock data as fallback
-        AppState.exchangeRates = generateMockExchangeRates();
-        updateExchangeRatesDisplay();
+        applyExchangeRates({ rates: generateMockExchangeRates(), lastUpdated: new Date().toISOString(), source: 'mock_generator' });
     }
     
     showLoading(false);
 }
 
+/**
+ * Fetch USD exchange rates and cache them
+ * @returns {Promise<Object>} { rates, lastUpdated, source }
+ * @throws {Error} When the request fails
+ */
+async function fetchExchangeRates() {
+    const data = await shareRequest('rates_USD', () => fetchJSONWithRetry(`${API_CONFIG.EXCHANGE_RATE_URL}/USD`));
+    if (!data.rates) {
+        throw new Error('Failed to fetch exchange rates');
+    }
+
+    const exchangeRates = { rates: data.rates, lastUpdated: new Date().toISOString(), source: 'exchangerate_api' };
+    cacheManager.set('rates_USD', exchangeRates);
+    return exchangeRates;
+}
+
+/**
+ * Use a set of exchange rates and revalue holdings with them
+ * @param {Object} exchangeRates - { rates, lastUpdated, source }
+ */
+function applyExchangeRates(exchangeRates) {
+    AppState.exchangeRates = exchangeRates.rates;
+    AppState.exchangeRatesSource = exchangeRates.source;
+    AppState.exchangeRatesUpdated = exchangeRates.lastUpdated;
+    updateExchangeRatesDisplay();
+    refreshBaseCurrencyValuation();
+}
+
 function generateMockExchangeRates() {
     return {
         EUR: 0.85,
@@ -1582,7 +9890,10 @@ function generateMockExchangeRates() {
         CAD: 1.25,
         AUD: 1.35,
         CHF: 0.92,
-        CNY: 6.45
+        CNY: 6.45,
+        HKD: 7.82,
+        INR: 83.2,
+        BRL: 5.05
     };
 }
 
@@ -1619,16 +9930,9 @@ async function convertCurrency() {
     const startTime = performance.now();
     
     try {
-        let convertedAmount;
-        
-        if (fromCurrency === 'USD') {
-            convertedAmount = amount * AppState.exchangeRates[toCurrency];
-        } else if (toCurrency === 'USD') {
-            convertedAmount = amount / AppState.exchangeRates[fromCurrency];
-        } else {
-            // Convert through USD
-            const usdAmount = amount / AppState.exchangeRates[fromCurrency];
-            convertedAmount = usdAmount * AppState.exchangeRates[toCurrency];
+        const convertedAmount = convertAmount(amount, fromCurrency, toCurrency);
+        if (convertedAmount === null) {
+            throw new Error(`No exchange rate loaded for ${fromCurrency}/${toCurrency}`);
         }
         
         const result = document.getElementById('conversionResult');
@@ -1655,8 +9959,17 @@ async function loadNews() {
     const category = document.getElementById('newsCategory')?.value || 'general';
     const cacheKey = `news_${category}`;
     
-    // Check cache first
-    const cachedNews = cacheManager.get(cacheKey);
+    // Check if running from file:// protocol - NewsAPI requires HTTPS
+    const isFileProtocol = window.location.protocol === 'file:';
+    const isDemoNews = isFileProtocol || !AppState.isConfigLoaded || !API_CONFIG.NEWS_API_KEY || (AppState.configLoader && AppState.configLoader.isDemoMode());
+    
+    // Check cache first; expired news saved earlier is shown while the latest loads
+    const cachedNews = await readCache(cacheKey, isDemoNews ? null : () => fetchNewsArticles(category), (articles, failed) => {
+        const selected = document.getElementById('newsCategory')?.value || 'general';
+        if (!failed && selected === category) {
+            updateNewsDisplay(articles);
+        }
+    });
     if (cachedNews) {
         performanceMonitor.recordCacheHit();
         updateNewsDisplay(cachedNews);
@@ -1667,15 +9980,11 @@ async function loadNews() {
     performanceMonitor.recordCacheMiss();
     performanceMonitor.recordAPICall();
     
-    // Check if running from file:// protocol - NewsAPI requires HTTPS
-    const isFileProtocol = window.location.protocol === 'file:';
-    const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-    
     // Always use demo mode for file:// protocol or when API not configured
-    if (isFileProtocol || !AppState.isConfigLoaded || !API_CONFIG.NEWS_API_KEY || (AppState.configLoader && AppState.configLoader.isDemoMode())) {
+    if (isDemoNews) {
         console.log('📰 Using demo news data (NewsAPI requires HTTPS deployment)');
         const mockNews = generateMockNews(category);
-        cacheManager.set(cacheKey, mockNews, APP_CONSTANTS.CACHE.NEWS_DURATION / 2);
+        cacheManager.set(cacheKey, mockNews, APP_CONSTANTS.CACHE.NEWS_DURATION / 2, { persist: false });
         updateNewsDisplay(mockNews);
         
         if (isFileProtocol) {
@@ -1690,60 +9999,7 @@ async function loadNews() {
     showLoading(true);
     
     try {
-        // Build query based on category
-        let query = 'finance OR stock OR market';
-        if (category === 'business') query = 'business finance';
-        if (category === 'technology') query = 'fintech OR financial technology';
-        if (category === 'markets') query = 'stock market OR trading';
-        
-        const response = await fetch(
-            `${API_CONFIG.NEWS_API_URL}?q=${encodeURIComponent(query)}&language=en&sortBy=publishedAt&pageSize=6&apiKey=${API_CONFIG.NEWS_API_KEY}`
-        );
-        
-        // Handle specific HTTP status codes
-        if (response.status === 426) {
-            throw new Error('NewsAPI requires HTTPS protocol. Using demo data for local development.');
-        }
-        
-        if (!response.ok) {
-            throw new Error(`NewsAPI request failed with status ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        
-        if (response.ok && data.articles && data.articles.length > 0) {
-            // Format articles for display with security encoding
-            const formattedArticles = data.articles.map(article => ({
-                title: SecurityManager.encodeForHTML(article.title),
-                description: SecurityManager.encodeForHTML(article.description || 'No description available'),
-                source: SecurityManager.encodeForHTML(article.source.name),
-                publishedAt: article.publishedAt,
-                urlToImage: article.urlToImage,
-                url: article.url
-            }));
-            
-            // Cache the results
-            cacheManager.set(cacheKey, formattedArticles, APP_CONSTANTS.CACHE.NEWS_DURATION);
-            
-            updateNewsDisplay(formattedArticles);
-        } else {
-            // Handle API errors
-            if (data.code === 'apiKeyInvalid') {
-                showError('NewsAPI key is invalid. Using sample news data.');
-                console.error('NewsAPI Error: Invalid API key');
-            } else if (data.code === 'rateLimited') {
-                showError('NewsAPI rate limit exceeded. Using sample news data.');
-                console.error('NewsAPI Error: Rate limit exceeded');
-            } else {
-                showError('Unable to fetch live news. Using sample news data.');
-                console.error('NewsAPI Error:', data.message || 'Unknown error');
-            }
-            
-            // Fallback to mock data
-            const mockNews = generateMockNews(category);
-            cacheManager.set(cacheKey, mockNews, APP_CONSTANTS.CACHE.NEWS_DURATION / 2);
-            updateNewsDisplay(mockNews);
-        }
+        updateNewsDisplay(await fetchNewsArticles(category));
         
         // Record performance
         const endTime = performance.now();
@@ -1754,11 +10010,11 @@ async function loadNews() {
         performanceMonitor.recordError(error, 'news_load');
         
         // Handle specific error types
-        if (error.message.includes('426') || error.message.includes('HTTPS')) {
+        if (error.status === 426 || error.message.includes('HTTPS')) {
             showError('📰 NewsAPI requires HTTPS. Using demo news for local development.', 'info');
-        } else if (error.message.includes('rate limit')) {
+        } else if (error.status === 429 || error.code === 'rateLimited' || error.message.includes('rate limit')) {
             showError('📰 API rate limit reached. Using demo news data.', 'info');
-        } else if (error.message.includes('API key')) {
+        } else if (error.status === 401 || error.code === 'apiKeyInvalid' || error.message.includes('API key')) {
             showError('📰 Invalid API key. Using demo news data.', 'info');
         } else {
             showError('📰 Network error. Using demo news data.', 'info');
@@ -1766,13 +10022,50 @@ async function loadNews() {
         
         // Use mock data as fallback
         const mockNews = generateMockNews(category);
-        cacheManager.set(cacheKey, mockNews, APP_CONSTANTS.CACHE.NEWS_DURATION / 2);
+        cacheManager.set(cacheKey, mockNews, APP_CONSTANTS.CACHE.NEWS_DURATION / 2, { persist: false });
         updateNewsDisplay(mockNews);
     }
     
     showLoading(false);
 }
 
+/**
+ * Fetch the latest articles for a news category from NewsAPI and cache them
+ * @param {string} category - 'general', 'business', 'technology' or 'markets'
+ * @returns {Promise<Array<Object>>} Articles encoded for display
+ * @throws {Error} When the request fails or returns no articles; NewsAPI error codes are kept as error.code
+ */
+async function fetchNewsArticles(category) {
+    const cacheKey = `news_${category}`;
+
+    // Build query based on category
+    let query = 'finance OR stock OR market';
+    if (category === 'business') query = 'business finance';
+    if (category === 'technology') query = 'fintech OR financial technology';
+    if (category === 'markets') query = 'stock market OR trading';
+
+    const data = await shareRequest(cacheKey, () => fetchJSONWithRetry(
+        `${API_CONFIG.NEWS_API_URL}?q=${encodeURIComponent(query)}&language=en&sortBy=publishedAt&pageSize=6&apiKey=${API_CONFIG.NEWS_API_KEY}`
+    ));
+    if (!data.articles || data.articles.length === 0) {
+        throw Object.assign(new Error(data.message || 'No news articles returned'), { code: data.code });
+    }
+
+    // Format articles for display with security encoding
+    const formattedArticles = data.articles.map(article => ({
+        title: SecurityManager.encodeForHTML(article.title),
+        description: SecurityManager.encodeForHTML(article.description || 'No description available'),
+        source: SecurityManager.encodeForHTML(article.source.name),
+        publishedAt: article.publishedAt,
+        urlToImage: article.urlToImage,
+        url: article.url
+    }));
+
+    // Cache the results
+    cacheManager.set(cacheKey, formattedArticles);
+    return formattedArticles;
+}
+
 function generateMockNews(category) {
     const currentDate = new Date().toISOString();
     const yesterday = new Date(Date.now() - 86400000).toISOString();
@@ -1931,21 +10224,232 @@ function showError(message, type = 'error') {
     }
 }
 
+/**
+ * Load user preferences such as the portfolio base currency
+ * @returns {Object} Preferences with defaults applied
+ */
+function loadPreferences() {
+    const defaults = {
+        baseCurrency: 'USD',
+        performancePeriod: '1M',
+        chartRange: '3M',
+        allocationGroup: 'holding',
+        benchmarkSymbol: 'SPY'
+    };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem('userPreferences') || '{}') };
+    } catch (error) {
+        console.warn('Invalid stored preferences, using defaults:', error);
+        return defaults;
+    }
+}
+
+/**
+ * Persist user preferences to localStorage
+ */
+function savePreferences() {
+    localStorage.setItem('userPreferences', JSON.stringify(AppState.settings));
+}
+
+/**
+ * Convert an amount between currencies using the loaded USD-based rates
+ * @param {number} amount - Amount in the source currency
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @returns {number|null} Converted amount, or null when a rate is missing
+ */
+function convertAmount(amount, fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) {
+        return amount;
+    }
+
+    const rateFor = (currency) => currency === 'USD' ? 1 : AppState.exchangeRates[currency];
+    const fromRate = rateFor(fromCurrency);
+    const toRate = rateFor(toCurrency);
+
+    if (!fromRate || !toRate) {
+        return null;
+    }
+
+    // Rates are quoted per USD, so convert through USD
+    return (amount / fromRate) * toRate;
+}
+
+/**
+ * Sum a per-currency ledger total in the base currency
+ * @param {Object} byCurrency - Map of currency to totals
+ * @param {string} field - Total to sum ('realizedGain', 'dividends' or 'fees')
+ * @returns {number} Sum in the base currency (unconvertible amounts are skipped)
+ */
+function sumInBaseCurrency(byCurrency, field) {
+    return Object.entries(byCurrency || {}).reduce((sum, [currency, totals]) => {
+        const converted = convertAmount(totals[field], currency, AppState.settings.baseCurrency);
+        return converted === null ? sum : sum + converted;
+    }, 0);
+}
+
+/**
+ * Change the currency portfolio totals are reported in
+ */
+function changeBaseCurrency() {
+    const select = document.getElementById('baseCurrency');
+    if (!select || !SecurityManager.validateCurrency(select.value)) {
+        return;
+    }
+
+    AppState.settings.baseCurrency = select.value.toUpperCase();
+    savePreferences();
+    performanceMonitor.recordUserInteraction('base_currency_change');
+    updatePortfolioDisplay();
+}
+
+/**
+ * Revalue the portfolio after exchange rates change
+ */
+function refreshBaseCurrencyValuation() {
+    if (AppState.portfolio.length > 0 && AppState.stockData.size > 0) {
+        updatePortfolioDisplay();
+    }
+}
+
 /**
  * Format currency values with proper styling and symbols
  * @param {number} value - The numeric value to format
  * @param {boolean} showSign - Whether to show + for positive values
+ * @param {string} currency - ISO currency code (defaults to the base currency)
  * @returns {string} Formatted currency string
  */
-function formatCurrency(value, showSign = false) {
+function formatCurrency(value, showSign = false, currency = AppState.settings.baseCurrency) {
+    const amount = typeof value === 'number' && !isNaN(value) ? value : 0;
+    const sign = amount >= 0 ? (showSign ? '+' : '') : '-';
+    
+    try {
+        const formatted = new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: currency || 'USD'
+        }).format(Math.abs(amount));
+        return `${sign}${formatted}`;
+    } catch (error) {
+        // Unknown currency codes fall back to a plain number with the code
+        return `${sign}${Math.abs(amount).toFixed(2)} ${currency}`;
+    }
+}
+
+/**
+ * Format a quote price, keeping extra decimals for prices below one unit
+ * so low-priced crypto assets do not round to zero
+ * @param {number} value - Price or price change
+ * @param {boolean} showSign - Whether to show + for positive values
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted price
+ */
+function formatPrice(value, showSign = false, currency = AppState.settings.baseCurrency) {
+    const amount = typeof value === 'number' && !isNaN(value) ? value : 0;
+    if (amount === 0 || Math.abs(amount) >= 1) {
+        return formatCurrency(amount, showSign, currency);
+    }
+
+    const sign = amount >= 0 ? (showSign ? '+' : '') : '-';
+    try {
+        const formatted = new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency: currency || 'USD',
+            maximumFractionDigits: 6
+        }).format(Math.abs(amount));
+        return `${sign}${formatted}`;
+    } catch (error) {
+        return `${sign}${Math.abs(amount).toFixed(6)} ${currency}`;
+    }
+}
+
+/**
+ * Format a percentage with sign
+ * @param {number} value - Percentage value
+ * @returns {string} Formatted percentage (e.g. +4.25%)
+ */
+function formatPercent(value) {
     if (typeof value !== 'number' || isNaN(value)) {
-        return '$0.00';
+        return '0.00%';
     }
     
-    const formatted = Math.abs(value).toFixed(2);
-    const sign = value >= 0 ? (showSign ? '+' : '') : '-';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+/**
+ * Format a share quantity, keeping fractional shares readable
+ * @param {number} quantity - Number of shares
+ * @returns {string} Formatted quantity
+ */
+function formatQuantity(quantity) {
+    if (typeof quantity !== 'number' || isNaN(quantity)) {
+        return '0';
+    }
     
-    return `${sign}$${formatted}`;
+    return quantity.toLocaleString(undefined, { maximumFractionDigits: 6 });
+}
+
+/**
+ * Today's date in the user's time zone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getLocalDate() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Shift an ISO date by a number of days
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+function shiftDate(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Split a crypto pair symbol into its asset and quote currency
+ * @param {string} symbol - Symbol such as BTC-USD
+ * @returns {Object|null} { asset, market }, or null for equity symbols
+ */
+function parseCryptoSymbol(symbol) {
+    if (typeof symbol !== 'string' || !APP_CONSTANTS.VALIDATION.CRYPTO_SYMBOL_PATTERN.test(symbol)) {
+        return null;
+    }
+
+    const [asset, market] = symbol.toUpperCase().split('-');
+    return { asset, market };
+}
+
+/**
+ * Hash a string to a 32-bit unsigned integer (djb2)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash value
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
 /**
@@ -1989,9 +10493,10 @@ function addDataSourceIndicator(mockDataCount, totalStocks) {
 function showPerformanceStats() {
     const stats = performanceMonitor.getStats();
     const cacheStats = cacheManager.getStats();
+    const evictions = cacheStats.evictions;
     
     const statsModal = document.createElement('div');
-    statsModal.className = 'stats-modal';
+    statsModal.className = 'stats-modal performance-modal';
     statsModal.innerHTML = `
         <div class="stats-content">
             <h3>Performance Dashboard</h3>
@@ -2009,14 +10514,28 @@ function showPerformanceStats() {
                     <span class="stat-value">${stats.averageLoadTime}ms</span>
                 </div>
                 <div class="stat-item">
-                    <span class="stat-label">Cache Size:</span>
-                    <span class="stat-value">${cacheStats.size}/${cacheStats.maxSize}</span>
+                    <span class="stat-label">Memory Cache:</span>
+                    <span class="stat-value">${cacheStats.size}/${cacheStats.maxSize} · ${cacheStats.memoryUsage}/${Math.round(cacheStats.maxBytes / 1024)}KB</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Evictions:</span>
+                    <span class="stat-value">${evictions.capacity + evictions.namespace + evictions.bytes}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Saved Cache:</span>
+                    <span class="stat-value" id="savedCacheStats">Loading...</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">Errors:</span>
                     <span class="stat-value">${stats.errors}</span>
                 </div>
             </div>
+            <p class="performance-note">
+                ${Object.entries(cacheStats.namespaces).map(([name, namespace]) => `${name} ${namespace.count}${namespace.limit ? `/${namespace.limit}` : ''}`).join(' · ')}<br>
+                Evicted least recently used: ${evictions.capacity} at the item limit, ${evictions.namespace} at a namespace limit,
+                ${evictions.bytes} over the byte budget; ${evictions.expired} expired
+            </p>
+            <p class="performance-note" id="savedCacheBreakdown"></p>
             <div class="stats-actions">
                 <button onclick="clearCache()" class="clear-cache-btn">Clear Cache</button>
                 <button onclick="resetApiConfig()" class="reset-config-btn">Reset API Config</button>
@@ -2026,6 +10545,7 @@ function showPerformanceStats() {
     `;
     
     document.body.appendChild(statsModal);
+    showSavedCacheStats();
     
     // Add click outside to close
     statsModal.addEventListener('click', (e) => {
@@ -2035,17 +10555,39 @@ function showPerformanceStats() {
     });
 }
 
+/**
+ * Fill in the saved (IndexedDB) cache figures in the performance dashboard
+ */
+async function showSavedCacheStats() {
+    const stats = await cacheManager.getPersistentStats();
+    const value = document.getElementById('savedCacheStats');
+    const breakdown = document.getElementById('savedCacheBreakdown');
+    if (!value || !breakdown) return;
+
+    if (!stats || !stats.available) {
+        value.textContent = 'Unavailable';
+        breakdown.textContent = 'This browser does not allow IndexedDB here, so data is cached in memory only.';
+        return;
+    }
+
+    value.textContent = `${stats.count} items, ${Math.round(stats.size / 1024)}KB`;
+    breakdown.textContent = Object.entries(stats.namespaces)
+        .map(([name, namespace]) => `${name} ${namespace.count}${namespace.stale ? ` (${namespace.stale} stale)` : ''}`)
+        .join(' · ');
+}
+
 function closeStatsModal() {
-    const modal = document.querySelector('.stats-modal');
+    // Other dialogs share the stats-modal styling, so close the dashboard by its own class
+    const modal = document.querySelector('.performance-modal');
     if (modal) {
         modal.remove();
     }
 }
 
-function clearCache() {
-    cacheManager.clear();
-    showError('Cache cleared successfully!', 'success');
+async function clearCache() {
     closeStatsModal();
+    await cacheManager.clear();
+    showError('Cache cleared successfully, including saved data!', 'success');
 }
 
 function resetApiConfig() {
@@ -2115,6 +10657,14 @@ function clearAllApplicationData() {
         // Clear localStorage data
         const keysToRemove = [
             'portfolio',
+            'portfolios',
+            'activePortfolioId',
+            'transactions',
+            'lotMethod',
+            'portfolioHistory',
+            'priceAlerts',
+            'priceAlertLog',
+            'symbolSearches',
             'financeTrackerConfig',
             'apiConfiguration',
             'userPreferences'
@@ -2124,14 +10674,18 @@ function clearAllApplicationData() {
             localStorage.removeItem(key);
         });
         
-        // Clear cache manager
+        // Clear cache manager, including the copies saved in IndexedDB
         if (cacheManager) {
             cacheManager.clear();
         }
         
         // Clear application state
         AppState.portfolio = [];
+        AppState.portfolios = [];
+        AppState.activePortfolioId = null;
+        AppState.ledger = new TransactionLedger();
         AppState.stockData.clear();
+        AppState.dividendData.clear();
         AppState.exchangeRates = {};
         AppState.isConfigLoaded = false;
         AppState.configLoader = null;
@@ -2157,58 +10711,446 @@ function clearAllApplicationData() {
     }
 }
 
-// Advanced data visualization for portfolio
-function generatePortfolioChart() {
-    if (AppState.portfolio.length === 0) return;
-    
-    const canvas = document.createElement('canvas');
-    canvas.id = 'portfolioChart';
-    canvas.width = 400;
-    canvas.height = 200;
-    
-    const ctx = canvas.getContext('2d');
-    
-    // Simple pie chart for portfolio allocation
-    const colors = ['#3498db', '#e74c3c', '#f39c12', '#27ae60', '#9b59b6', '#1abc9c'];
+// Portfolio allocation view
+
+let allocationChartState = { slices: [], hidden: new Set(), centerX: 0, centerY: 0, radius: 0 };
+
+/**
+ * Classification of a symbol for allocation grouping
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} { sector, assetClass }
+ */
+function getSecurityProfile(symbol) {
+    if (parseCryptoSymbol(symbol)) {
+        return { sector: 'Digital Assets', assetClass: 'Crypto' };
+    }
+    return APP_CONSTANTS.SECURITY_PROFILES[symbol] || { sector: 'Unclassified', assetClass: 'Stock' };
+}
+
+/**
+ * Group the current holdings by market value in the base currency
+ * @param {string} groupBy - 'holding', 'sector', 'assetClass' or 'currency'
+ * @returns {Object} { groups: [{ key, value, percent, symbols }], total, excluded: Array<string> }
+ */
+function computeAllocation(groupBy) {
+    const baseCurrency = AppState.settings.baseCurrency;
+    const groups = new Map();
+    const excluded = [];
     let total = 0;
-    const data = AppState.portfolio.map(symbol => {
-        const stock = AppState.stockData.get(symbol);
-        if (stock) {
-            total += stock.price;
-            return { symbol, price: stock.price };
+
+    AppState.portfolio.forEach(holding => {
+        const stock = AppState.stockData.get(holding.symbol);
+        const metrics = stock && stock.price > 0 ? calculatePositionMetrics(holding, stock, baseCurrency) : null;
+        if (!metrics || metrics.marketValue <= 0) {
+            excluded.push(holding.symbol);
+            return;
         }
-        return null;
-    }).filter(Boolean);
-    
-    let currentAngle = 0;
-    data.forEach((item, index) => {
-        const slice = (item.price / total) * 2 * Math.PI;
-        
+
+        const profile = getSecurityProfile(holding.symbol);
+        const key = {
+            holding: holding.symbol,
+            sector: profile.sector,
+            assetClass: profile.assetClass,
+            currency: holding.currency || 'USD'
+        }[groupBy] || holding.symbol;
+
+        if (!groups.has(key)) {
+            groups.set(key, { key, value: 0, percent: 0, symbols: [] });
+        }
+        const group = groups.get(key);
+        group.value += metrics.marketValue;
+        group.symbols.push(holding.symbol);
+        total += metrics.marketValue;
+    });
+
+    const sorted = [...groups.values()].sort((a, b) => b.value - a.value);
+    sorted.forEach(group => {
+        group.percent = total > 0 ? (group.value / total) * 100 : 0;
+    });
+
+    return { groups: sorted, total, excluded };
+}
+
+/**
+ * Render the allocation panel: a value-weighted donut chart, its legend and a table
+ * Runs on every portfolio display update so it always matches the stock cards.
+ */
+function generatePortfolioChart() {
+    const panel = document.getElementById('allocationPanel');
+    if (!panel || isWatchlistActive()) return;
+
+    try {
+        const groupBy = AppState.settings.allocationGroup;
+        const { groups, total, excluded } = computeAllocation(groupBy);
+        const colors = APP_CONSTANTS.UI.CHART_COLORS;
+
+        // Hidden keys from another grouping no longer apply
+        const keys = groups.map(group => group.key);
+        allocationChartState.hidden.forEach(key => {
+            if (!keys.includes(key)) allocationChartState.hidden.delete(key);
+        });
+
+        groups.forEach((group, index) => {
+            group.color = colors[index % colors.length];
+        });
+
+        const select = document.getElementById('allocationGroup');
+        if (select) select.value = groupBy;
+
+        drawAllocationChart(document.getElementById('allocationChart'), groups);
+        renderAllocationLegend(groups);
+        renderAllocationTable(groups, total);
+
+        DOMUtils.setContent(document.getElementById('allocationNote'), excluded.length > 0
+            ? `Excludes ${excluded.join(', ')}: no quote or ${AppState.settings.baseCurrency} exchange rate loaded`
+            : '');
+    } catch (error) {
+        console.error('❌ Error rendering allocation chart:', error);
+        performanceMonitor.recordError(error, 'allocation_chart');
+    }
+}
+
+/**
+ * Draw the visible allocation groups as a donut with the visible total in the centre
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array<Object>} groups - Groups with key, value and color
+ */
+function drawAllocationChart(canvas, groups) {
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    allocationChartState.slices = [];
+
+    // Without canvas support the table is the only view, so show it open
+    if (!ctx) {
+        const details = document.getElementById('allocationTableDetails');
+        if (details) details.open = true;
+        if (canvas) canvas.style.display = 'none';
+        return;
+    }
+
+    const width = canvas.width = canvas.clientWidth || 260;
+    const height = canvas.height = canvas.clientHeight || 260;
+    const radius = Math.min(width, height) / 2 - 10;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    Object.assign(allocationChartState, { centerX, centerY, radius });
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '13px Arial';
+    ctx.textAlign = 'center';
+
+    const visible = groups.filter(group => !allocationChartState.hidden.has(group.key));
+    const visibleTotal = visible.reduce((sum, group) => sum + group.value, 0);
+
+    if (visibleTotal <= 0) {
+        ctx.fillStyle = '#95a5a6';
+        ctx.fillText(groups.length === 0 ? 'No priced holdings' : 'All groups hidden', centerX, centerY);
+        canvas.setAttribute('aria-label', 'Allocation chart: no data');
+        return;
+    }
+
+    let angle = -Math.PI / 2;
+    visible.forEach(group => {
+        const slice = (group.value / visibleTotal) * 2 * Math.PI;
         ctx.beginPath();
-        ctx.arc(200, 100, 80, currentAngle, currentAngle + slice);
-        ctx.lineTo(200, 100);
-        ctx.fillStyle = colors[index % colors.length];
+        ctx.moveTo(centerX, centerY);
+        ctx.arc(centerX, centerY, radius, angle, angle + slice);
+        ctx.closePath();
+        ctx.fillStyle = group.color;
         ctx.fill();
-        
-        // Add labels
-        const labelAngle = currentAngle + slice / 2;
-        const labelX = 200 + Math.cos(labelAngle) * 100;
-        const labelY = 100 + Math.sin(labelAngle) * 100;
-        
-        ctx.fillStyle = '#333';
-        ctx.font = '12px Arial';
+
+        allocationChartState.slices.push({
+            ...group,
+            share: (group.value / visibleTotal) * 100,
+            start: angle,
+            end: angle + slice
+        });
+        angle += slice;
+    });
+
+    // Cut out the centre to make a donut and label it with the shown total
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius * 0.55, 0, 2 * Math.PI);
+    ctx.fillStyle = 'white';
+    ctx.fill();
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = 'bold 14px Arial';
+    ctx.fillText(formatCurrency(visibleTotal), centerX, centerY + 5);
+
+    canvas.setAttribute('aria-label', `Allocation chart: ${allocationChartState.slices
+        .map(slice => `${slice.key} ${slice.share.toFixed(1)}%`).join(', ')}`);
+}
+
+/**
+ * Legend entries double as toggles for their slices
+ * @param {Array<Object>} groups - Groups with key, percent and color
+ */
+function renderAllocationLegend(groups) {
+    const legend = document.getElementById('allocationLegend');
+    if (!legend) return;
+
+    legend.innerHTML = groups.map((group, index) => {
+        const hidden = allocationChartState.hidden.has(group.key);
+        return `
+            <li>
+                <button class="legend-item ${hidden ? 'legend-hidden' : ''}" aria-pressed="${!hidden}"
+                        onclick="toggleAllocationGroup(${index})" title="${hidden ? 'Show' : 'Hide'} ${SecurityManager.encodeForHTML(group.key)}">
+                    <span class="legend-swatch" style="background: ${group.color}"></span>
+                    ${SecurityManager.encodeForHTML(group.key)}
+                    <span class="legend-percent">${group.percent.toFixed(1)}%</span>
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Text version of the allocation for screen readers and browsers without canvas
+ * @param {Array<Object>} groups - Allocation groups
+ * @param {number} total - Total value in the base currency
+ */
+function renderAllocationTable(groups, total) {
+    const tbody = document.getElementById('allocationTable');
+    if (!tbody) return;
+
+    if (groups.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="empty-ledger">No priced holdings</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = groups.map(group => `
+        <tr>
+            <td>${SecurityManager.encodeForHTML(group.key)}</td>
+            <td>${formatCurrency(group.value)}</td>
+            <td>${group.percent.toFixed(1)}%</td>
+            <td>${SecurityManager.encodeForHTML(group.symbols.join(', '))}</td>
+        </tr>
+    `).join('') + `
+        <tr class="allocation-total">
+            <td>Total</td>
+            <td>${formatCurrency(total)}</td>
+            <td>100.0%</td>
+            <td></td>
+        </tr>
+    `;
+}
+
+/**
+ * Show or hide one group's slice; percentages in the chart are re-based on what is shown
+ * @param {number} index - Position of the group in the legend
+ */
+function toggleAllocationGroup(index) {
+    const { groups } = computeAllocation(AppState.settings.allocationGroup);
+    const group = groups[index];
+    if (!group) return;
+
+    if (allocationChartState.hidden.has(group.key)) {
+        allocationChartState.hidden.delete(group.key);
+    } else {
+        allocationChartState.hidden.add(group.key);
+    }
+    generatePortfolioChart();
+}
+
+/**
+ * Change how the allocation is grouped
+ */
+function changeAllocationGroup() {
+    const select = document.getElementById('allocationGroup');
+    if (!select || !['holding', 'sector', 'assetClass', 'currency'].includes(select.value)) {
+        return;
+    }
+
+    AppState.settings.allocationGroup = select.value;
+    allocationChartState.hidden.clear();
+    savePreferences();
+    performanceMonitor.recordUserInteraction('allocation_group_change');
+    generatePortfolioChart();
+}
+
+/**
+ * Show the slice under the pointer in a tooltip
+ * @param {MouseEvent} event - Pointer event on the allocation canvas
+ */
+function showAllocationTooltip(event) {
+    const tooltip = document.getElementById('allocationTooltip');
+    if (!tooltip) return;
+
+    const { centerX, centerY, radius, slices } = allocationChartState;
+    const dx = event.offsetX - centerX;
+    const dy = event.offsetY - centerY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    // Angles are measured from 12 o'clock, matching how slices are drawn
+    let angle = Math.atan2(dy, dx);
+    if (angle < -Math.PI / 2) angle += 2 * Math.PI;
+    const slice = distance <= radius && distance >= radius * 0.55
+        ? slices.find(candidate => angle >= candidate.start && angle < candidate.end)
+        : null;
+
+    if (!slice) {
+        tooltip.classList.remove('show');
+        return;
+    }
+
+    tooltip.innerHTML = `
+        <strong>${SecurityManager.encodeForHTML(slice.key)}</strong><br>
+        ${formatCurrency(slice.value)} · ${slice.share.toFixed(1)}%
+        ${slice.symbols.length > 1 || slice.key !== slice.symbols[0]
+            ? `<br><small>${SecurityManager.encodeForHTML(slice.symbols.join(', '))}</small>`
+            : ''}
+    `;
+    tooltip.style.left = `${event.offsetX + 15}px`;
+    tooltip.style.top = `${event.offsetY + 15}px`;
+    tooltip.classList.add('show');
+}
+
+function hideAllocationTooltip() {
+    document.getElementById('allocationTooltip')?.classList.remove('show');
+}
+
+/**
+ * Draw one or more line series on a canvas
+ * Shared by the performance, price history and benchmark charts.
+ * @param {HTMLCanvasElement} canvas - Target canvas (sized from its CSS box)
+ * @param {Array<Object>} datasets - Series of shape { label, color, points: [{ x: 'YYYY-MM-DD[ HH:MM:SS]', y }] }
+ * @param {Object} options - { formatY, formatX, fill, emptyMessage }
+ * @returns {Object|null} Plot geometry { left, width, minX, maxX } for mapping pointer positions
+ */
+function drawLineChart(canvas, datasets, options = {}) {
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) return null;
+
+    const width = canvas.width = canvas.clientWidth || 600;
+    const height = canvas.height = canvas.clientHeight || 240;
+    const padding = { top: 20, right: 20, bottom: 30, left: 80 };
+    const formatY = options.formatY || (value => value.toFixed(2));
+    const formatX = options.formatX || (time => new Date(time).toISOString().slice(0, 10));
+    // Intraday timestamps use a space separator, which not every browser parses
+    const timeOf = (x) => Date.parse(String(x).replace(' ', 'T'));
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px Arial';
+
+    const allPoints = datasets.flatMap(dataset => dataset.points);
+    if (allPoints.length === 0) {
+        ctx.fillStyle = '#95a5a6';
         ctx.textAlign = 'center';
-        ctx.fillText(item.symbol, labelX, labelY);
-        
-        currentAngle += slice;
+        ctx.fillText(options.emptyMessage || 'No data', width / 2, height / 2);
+        return null;
+    }
+
+    const times = allPoints.map(point => timeOf(point.x));
+    const minX = Math.min(...times);
+    const maxX = Math.max(...times);
+    let minY = Math.min(...allPoints.map(point => point.y));
+    let maxY = Math.max(...allPoints.map(point => point.y));
+    const margin = (maxY - minY) * 0.05 || Math.abs(maxY) * 0.05 || 1;
+    minY -= margin;
+    maxY += margin;
+
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const toX = (time) => padding.left + (maxX === minX ? plotWidth / 2 : ((time - minX) / (maxX - minX)) * plotWidth);
+    const toY = (y) => padding.top + (1 - (y - minY) / (maxY - minY)) * plotHeight;
+
+    // Horizontal grid lines with value labels
+    ctx.strokeStyle = '#ecf0f1';
+    ctx.fillStyle = '#7f8c8d';
+    ctx.textAlign = 'right';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+        const value = minY + ((maxY - minY) * i) / 4;
+        const y = toY(value);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+        ctx.fillText(formatY(value), padding.left - 8, y + 4);
+    }
+
+    // Date labels at the start, middle and end of the range
+    [minX, (minX + maxX) / 2, maxX].forEach((time, index) => {
+        ctx.textAlign = ['left', 'center', 'right'][index];
+        ctx.fillText(formatX(time), toX(time), height - 8);
     });
-    
-    return canvas;
+
+    datasets.forEach((dataset, index) => {
+        if (dataset.points.length === 0) return;
+
+        ctx.beginPath();
+        dataset.points.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(timeOf(point.x)), toY(point.y));
+            } else {
+                ctx.lineTo(toX(timeOf(point.x)), toY(point.y));
+            }
+        });
+        ctx.strokeStyle = dataset.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        if (options.fill && index === 0) {
+            const last = dataset.points[dataset.points.length - 1];
+            ctx.lineTo(toX(timeOf(last.x)), padding.top + plotHeight);
+            ctx.lineTo(toX(timeOf(dataset.points[0].x)), padding.top + plotHeight);
+            ctx.closePath();
+            ctx.globalAlpha = 0.1;
+            ctx.fillStyle = dataset.color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+    });
+
+    // Legend only when there is more than one series to tell apart
+    if (datasets.length > 1) {
+        ctx.textAlign = 'left';
+        let legendX = padding.left + 10;
+        datasets.forEach(dataset => {
+            ctx.fillStyle = dataset.color;
+            ctx.fillRect(legendX, 6, 12, 4);
+            ctx.fillStyle = '#2c3e50';
+            ctx.fillText(dataset.label, legendX + 16, 12);
+            legendX += ctx.measureText(dataset.label).width + 36;
+        });
+    }
+
+    return { left: padding.left, width: plotWidth, minX, maxX };
+}
+
+/**
+ * Draw a small axis-free price line, green when the series ends higher than it starts
+ * @param {HTMLCanvasElement} canvas - Target canvas (sized from its CSS box)
+ * @param {Array<number>} values - Prices in time order
+ */
+function drawSparkline(canvas, values) {
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx || values.length < 2) return;
+
+    const width = canvas.width = canvas.clientWidth || 200;
+    const height = canvas.height = canvas.clientHeight || 40;
+    const min = Math.min(...values);
+    const range = (Math.max(...values) - min) || 1;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.beginPath();
+    values.forEach((value, i) => {
+        const x = (i / (values.length - 1)) * (width - 2) + 1;
+        const y = height - 2 - ((value - min) / range) * (height - 4);
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+    ctx.strokeStyle = values[values.length - 1] >= values[0] ? '#27ae60' : '#e74c3c';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
 }
 
 // Performance monitoring keyboard shortcut
 document.addEventListener('keydown', function(e) {
-    if (e.key === 'Enter' && e.target.id === 'stockSymbol') {
+    // The symbol input's own handler prevents the default once it has acted on Enter
+    if (e.key === 'Enter' && e.target.id === 'stockSymbol' && !e.defaultPrevented) {
         addStock();
     }
     
@@ -2224,16 +11166,3 @@ document.addEventListener('keydown', function(e) {
         clearCache();
     }
 });
-
-// Auto-refresh data every 5 minutes
-setInterval(() => {
-    const activeSection = document.querySelector('.section.active');
-    if (activeSection) {
-        const sectionId = activeSection.id;
-        if (sectionId === 'portfolio') {
-            loadPortfolio();
-        } else if (sectionId === 'exchange') {
-            loadExchangeRates();
-        }
-    }
-}, 300000); // 5 minutes
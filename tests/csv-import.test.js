@@ -0,0 +1,59 @@
+/**
+ * Broker CSV parsing: delimiters, source line numbers and decimal separators
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const { evaluate } = loadApp();
+// Arrays made in the sandbox have its own prototypes, so compare plain copies
+const plain = value => JSON.parse(JSON.stringify(value));
+const parseNumber = (value, decimal) => evaluate(`CSVImporter.parseNumber(${JSON.stringify(value)}, ${JSON.stringify(decimal)})`);
+
+test('parseNumber reads the decimal separator from the value', () => {
+    assert.equal(parseNumber('12,50'), 12.5);
+    assert.equal(parseNumber('1.234,50'), 1234.5);
+    assert.equal(parseNumber('1,234.50'), 1234.5);
+    assert.equal(parseNumber('$1,234,567'), 1234567);
+    assert.equal(parseNumber('(12.00)'), -12);
+    assert.equal(parseNumber('0,125'), 0.125);
+});
+
+test('parseNumber uses the given separator only when the value cannot tell', () => {
+    assert.equal(parseNumber('1,234', ','), 1.234);
+    assert.equal(parseNumber('1.234', ','), 1234);
+    assert.equal(parseNumber('1,234', '.'), 1234);
+    assert.equal(parseNumber('12,50', '.'), 12.5);
+    assert.throws(() => parseNumber('1,234', null), /decimal separator/);
+});
+
+test('a preamble line does not decide the delimiter', () => {
+    const rows = evaluate(`CSVImporter.parse('Depot 12345\\nDate;Action;Symbol;Quantity;Price\\n2024-01-05;Buy;AAPL;10;150,00')`);
+    assert.deepEqual(plain(rows.map(row => row.cells.length)), [1, 5, 5]);
+});
+
+test('preview rows keep their line in the file', () => {
+    const preview = evaluate(`
+        const rows = CSVImporter.parse('Date,Action,Symbol,Quantity,Price\\n\\n2024-01-05,Buy,AAPL,10,150\\n\\n2024-01-08,Buy,MSFT,2,370\\n');
+        CSVImporter.buildPreview(rows.slice(1), CSVImporter.detectMapping(rows[0].cells), { existing: [] });
+    `);
+    assert.deepEqual(plain(preview.map(row => row.line)), [3, 5]);
+});
+
+test('European semicolon exports import the right quantities and prices', () => {
+    const preview = evaluate(`
+        const euro = CSVImporter.parse('Datum;Aktion;Symbol;Anzahl;Kurs\\n05.01.2024;Buy;AAPL;12,50;1.234,50\\n08.01.2024;Buy;MSFT;3;370,25');
+        CSVImporter.buildPreview(euro.slice(1), { date: 0, side: 1, symbol: 2, quantity: 3, price: 4, fees: -1, amount: -1, currency: -1 }, { decimal: ',', existing: [] });
+    `);
+    assert.deepEqual(plain(preview.map(row => row.errors)), [[], []]);
+    assert.deepEqual(plain(preview.map(row => [row.transaction.quantity, row.transaction.price])), [[12.5, 1234.5], [3, 370.25]]);
+});
+
+test('numbers that stay ambiguous are reported as row errors', () => {
+    const preview = evaluate(`
+        const tabbed = CSVImporter.parse('Date\\tAction\\tSymbol\\tQuantity\\tPrice\\n2024-01-05\\tBuy\\tAAPL\\t10\\t1,234');
+        CSVImporter.buildPreview(tabbed.slice(1), CSVImporter.detectMapping(tabbed[0].cells), { decimal: null, existing: [] });
+    `);
+    assert.equal(preview[0].errors.length, 1);
+    assert.match(preview[0].errors[0], /^Ambiguous price/);
+});
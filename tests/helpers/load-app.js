@@ -0,0 +1,105 @@
+/**
+ * Test helper: loads script.js into a sandbox with the minimal browser globals it needs
+ * at load time. Classes and functions are top-level declarations of the script, so they
+ * are reached through evaluate() rather than as properties of the sandbox.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createElement() {
+    return {
+        style: {},
+        dataset: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains() { return false; } },
+        children: [],
+        appendChild(child) { this.children.push(child); return child; },
+        addEventListener() {},
+        removeEventListener() {},
+        setAttribute() {},
+        remove() {},
+        querySelector() { return null; },
+        querySelectorAll() { return []; },
+        value: '',
+        textContent: '',
+        innerHTML: ''
+    };
+}
+
+/**
+ * Load the application script
+ * @param {Object} options - { now: Date or timestamp that `new Date()` and `Date.now()` return }
+ * @returns {Object} { evaluate(code), context }
+ */
+function loadApp(options = {}) {
+    const store = {};
+    const localStorage = {
+        getItem: key => (key in store ? store[key] : null),
+        setItem: (key, value) => { store[key] = String(value); },
+        removeItem: key => { delete store[key]; },
+        clear: () => Object.keys(store).forEach(key => delete store[key]),
+        key: index => Object.keys(store)[index] || null,
+        get length() { return Object.keys(store).length; }
+    };
+
+    let DateClass = Date;
+    if (options.now !== undefined) {
+        const now = new Date(options.now).getTime();
+        DateClass = class extends Date {
+            constructor(...args) {
+                super(...(args.length ? args : [now]));
+            }
+
+            static now() {
+                return now;
+            }
+        };
+    }
+
+    const silent = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+    const context = {
+        console: silent,
+        Date: DateClass,
+        localStorage,
+        sessionStorage: localStorage,
+        document: {
+            getElementById: () => null,
+            createElement,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener() {},
+            body: createElement(),
+            visibilityState: 'visible',
+            hidden: false
+        },
+        window: {
+            location: { protocol: 'http:', hostname: 'localhost', href: 'http://localhost/' },
+            addEventListener() {},
+            localStorage
+        },
+        navigator: { userAgent: 'node' },
+        performance: { now: () => Date.now() },
+        setTimeout: () => 0,
+        clearTimeout() {},
+        setInterval: () => 0,
+        clearInterval() {},
+        fetch: async () => { throw new Error('Network access is disabled in tests'); },
+        URL,
+        Intl,
+        TextEncoder,
+        structuredClone,
+        crypto: require('crypto').webcrypto
+    };
+    context.self = context;
+    vm.createContext(context);
+
+    const source = fs.readFileSync(path.join(__dirname, '..', '..', 'script.js'), 'utf8');
+    vm.runInContext(source, context, { filename: 'script.js' });
+
+    return {
+        context,
+        evaluate: code => vm.runInContext(code, context)
+    };
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,34 @@
+/**
+ * Ledger dates follow the user's calendar day, not UTC
+ * Runs in Tokyo at 05:00 local time on 20 October, which is still 19 October in UTC.
+ */
+process.env.TZ = 'Asia/Tokyo';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const NOW = '2026-10-19T20:00:00Z';
+
+test('getLocalDate returns the local calendar date', () => {
+    const { evaluate } = loadApp({ now: NOW });
+    assert.equal(evaluate('getLocalDate()'), '2026-10-20');
+    assert.equal(evaluate('new Date().toISOString().slice(0, 10)'), '2026-10-19');
+});
+
+test('undated transactions are stamped with the local date', () => {
+    const { evaluate } = loadApp({ now: NOW });
+    const transaction = evaluate(`TransactionLedger.normalize({ type: 'BUY', symbol: 'AAPL', quantity: 5, price: 150 })`);
+    assert.equal(transaction.date, '2026-10-20');
+});
+
+test('an undated sale can close a position bought today', () => {
+    const { evaluate } = loadApp({ now: NOW });
+    const holdings = evaluate(`
+        const ledger = new TransactionLedger();
+        ledger.add({ type: 'BUY', symbol: 'AAPL', date: getLocalDate(), quantity: 5, price: 150 });
+        ledger.add({ type: 'SELL', symbol: 'AAPL', quantity: 5, price: 155 });
+        ledger.getHoldings();
+    `);
+    assert.equal(holdings.length, 0);
+});